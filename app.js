@@ -8,6 +8,10 @@
 // - Treats the measured control as the baseline for all comparisons.
 // - Presents a control-centric comparison table with plain-language labels.
 // - Provides leaderboard, charts, exports (TSV/CSV/XLSX), and AI summary prompt.
+// - Sensitivity tab re-runs the CBA over a grid of grain price, discount rate,
+//   persistence and horizon values and reports how rankings change.
+// - Risk tab runs a Monte Carlo simulation of net profit from replicate
+//   yields and user-specified price and cost distributions.
 
 (() => {
   "use strict";
@@ -21,24 +25,300 @@
     headers: [],
     rows: [],
     columnMap: null,
+    importReport: null, // from parseDelimitedText for the loaded dataset
+    validation: [], // issues from validateDataset for the loaded dataset
+    adjustments: {
+      applied: true, // off shows the results as if no plot had been adjusted
+      plots: {}, // row index -> { excluded, yield, cost, reason }
+      log: [], // audit trail: [{ at, row, plotId, treatment, action, field, from, to, reason }]
+      view: "flagged", // plot table filter: flagged | adjusted | all
+      effect: null // [{ name, withAdjustments, withoutAdjustments }] delta NPVs
+    },
+    workbookImport: null, // { fileName, workbook, sheetName, headerRow } for spreadsheet uploads
+    columnMapping: {
+      signature: "", // header signature the choices below belong to
+      roles: {}, // role -> header chosen by the user ("" for none)
+      units: {} // { yield: "t/ha" | "kg/ha" | "kg/plot", cost: "$/ha" | "$/plot", plotAreaM2 }
+    },
     treatments: [], // aggregated per treatment
     controlName: null,
     params: {
       pricePerTonne: 500,
       years: 10,
       persistenceYears: 10,
-      discountRate: 5
+      discountRate: 5,
+      reinvestmentRate: 5, // percent, for the modified IRR
+      minimumReturnPct: 100, // minimum acceptable marginal rate of return
+      comparisonMode: "pooled", // "pooled" or "replicate"
+      reapplication: {
+        // [{ treatment, mode: "interval" or "years", interval, years, ratePct }]
+        rules: []
+      },
+      componentDictionary: {}, // name part -> component, where the automatic match is wrong
+      finance: {
+        enabled: false,
+        basis: "share", // "share" of the upfront outlay or a fixed "amount" per ha
+        sharePct: 100,
+        amountPerHa: 0,
+        ratePct: 8, // loan interest per year
+        termYears: 5,
+        repayment: "principalInterest" // or "interestOnly"
+      },
+      farm: {
+        croppedArea: 2000, // ha
+        areas: {}, // treatment -> ha planned for it
+        ramp: [100] // cumulative % of the planned area adopted by year, start first
+      },
+      biomassStreams: {
+        // Residue = harvest biomass less grain. Grazing uses what is not baled.
+        grazing: { enabled: false, utilisationPct: 40, valuePerTonne: 50 }, // $/t DM
+        // Nitrogen left for the next crop per tonne of peak (flowering) biomass
+        nitrogen: { enabled: false, kgPerTonne: 15, availablePct: 50, pricePerKg: 1.7 },
+        hay: { enabled: false, baledPct: 30, netValuePerTonne: 60 } // $/t after baling
+      },
+      qualityPricing: {
+        enabled: false, // pay each plot on its protein and moisture
+        standardise: true, // convert yields to the receival moisture basis
+        basisMoisture: 14, // % moisture of the receival basis
+        moistureLimit: 14, // % above which shrink and drying apply
+        shrinkPctPerPoint: 1, // % of weight lost per point above the limit
+        dryingPctPerPoint: 1, // % of price charged per point above the limit
+        // Price adjustment (% of the base price) from each minimum protein %
+        proteinBands: [
+          { min: 0, pct: -5 },
+          { min: 22, pct: 0 },
+          { min: 26, pct: 3 }
+        ]
+      },
+      responseProfile: {
+        type: "constant", // "constant", "linear", "exponential" or "custom"
+        halfLife: 3, // years, for "exponential"
+        custom: [] // share of the full benefit in years 1, 2, ... for "custom"
+      },
+      capitalAssets: {
+        enabled: false, // model the Capital line items as machinery assets
+        method: "schedule", // "schedule" (purchases and resale) or "annualised"
+        assets: {} // column -> { purchaseYear, life, salvagePct, replace }
+      }
     },
     results: {
       treatments: [],
       control: null
     },
+    sensitivity: {
+      mode: "oneAtATime", // "oneAtATime" or "joint"
+      grid: {
+        pricePerTonne: [350, 425, 500, 575, 650],
+        discountRate: [3, 5, 7, 9],
+        persistenceYears: [3, 5, 10],
+        years: [5, 10, 15]
+      },
+      scenarios: [], // one entry per scenario with its params and results
+      rows: [] // one row per scenario per treatment (the sensitivity grid)
+    },
+    inputPrices: {
+      enabled: false, // rebuild plot costs from the line items
+      oneOffCategories: ["Amendment input", "Amendment application"],
+      categoryPct: {}, // category -> percentage change
+      items: {} // column -> { value: $/ha override, pct: percentage change }
+    },
+    costCategories: {
+      overrides: {}, // column -> category chosen by the user
+      columns: [], // [{ column, category, autoExcluded }]
+      categories: [], // category names in display order
+      byTreatment: [], // [{ name, byCategory: { category: avg } }]
+      plotCosts: [], // per row: { recurring, upfront } after price edits
+      reconciliation: null
+    },
+    breakEven: [], // one row per non-control treatment
+    partialBudgets: [], // one statement per non-control treatment
+    farm: {
+      rows: [], // one row per year of the whole-farm cash flow
+      summary: null,
+      warnings: []
+    },
+    marginal: {
+      rows: [], // treatments by total cost, with dominance and marginal returns
+      recommended: null // name of the last step that earns the minimum return
+    },
+    factorial: {
+      dictionary: [], // [{ token, auto, component }] for each part of a combined name
+      components: [], // main effect of each component vs control
+      combinations: [] // each combined treatment against the sum of its parts
+    },
+    pendingControl: null, // control named in the page link, applied once data loads
+    scenarios: {
+      saved: [], // [{ id, name, savedAt, settings }] mirrored in localStorage
+      selected: [], // ids ticked for the comparison view
+      comparison: null // { scenarios: [{ id, name, results }] }
+    },
+    risk: {
+      iterations: 5000,
+      seed: 2024,
+      yieldMethod: "pairedReplicates", // or "normal"
+      price: { type: "triangular", low: 350, mode: 500, high: 650, sd: 75 },
+      // Input cost level as a percentage of the dataset costs
+      cost: { type: "triangular", low: 90, mode: 100, high: 120, sd: 10 },
+      results: null,
+      stale: false // the data or settings changed after the last run
+    },
     charts: {
       netProfitDelta: null,
-      costsBenefits: null
+      costsBenefits: null,
+      sensitivityWinners: null,
+      riskCdf: null,
+      costCategories: null,
+      cumulativeNet: null,
+      combining: null,
+      marginal: null,
+      farm: null
     }
   };
 
+  // Defaults for parameters missing from older saved scenarios.
+  const DEFAULT_PARAMS = JSON.parse(JSON.stringify(state.params));
+
+  const SCENARIO_STORAGE_KEY = "fabaCba.savedScenarios";
+
+  // Settings carried in the page link (the part after #), so a link opens the
+  // same scenario, tab and leaderboard filter.
+  const URL_NUMBER_PARAMS = ["pricePerTonne", "years", "persistenceYears", "discountRate"];
+
+  // Rows of the comparison-to-control table, shared by the Results tab and
+  // the CSV/XLSX exports.
+  const COMPARISON_INDICATORS = [
+    { key: "pvBenefits", label: "Total benefits over time (discounted)" },
+    { key: "pvTotalCosts", label: "Total costs over time (discounted)" },
+    { key: "npv", label: "Net profit over time" },
+    { key: "bcr", label: "Benefit per dollar spent" },
+    { key: "roi", label: "Return on investment (percent)" },
+    { key: "rank", label: "Overall ranking" },
+    {
+      key: "deltaNpv",
+      label: "Difference in net profit compared with control"
+    },
+    {
+      key: "deltaPvCosts",
+      label: "Difference in total cost compared with control"
+    },
+    {
+      key: "pooledDeltaNpv",
+      label: "Difference in net profit vs pooled control mean"
+    },
+    {
+      key: "replicateDeltaNpv",
+      label: "Difference in net profit vs same-replicate control (average)"
+    },
+    {
+      key: "replicateDeltas",
+      label: "Difference in net profit vs control, replicate by replicate"
+    },
+    { key: "irr", label: "Internal rate of return vs control (percent)" },
+    { key: "mirr", label: "Modified internal rate of return vs control (percent)" },
+    { key: "paybackYears", label: "Payback period vs control (years)" },
+    {
+      key: "discountedPaybackYears",
+      label: "Discounted payback period vs control (years)"
+    },
+    {
+      key: "equivalentAnnualBenefit",
+      label: "Equivalent annual net benefit vs control (per ha per year)"
+    },
+    {
+      key: "yieldDiff",
+      label: "Yield difference vs control (t per ha, 95% interval)"
+    },
+    {
+      key: "deltaNpvCi",
+      label: "Difference in net profit vs control, 95% interval"
+    },
+    {
+      key: "significance",
+      label: "Statistically different from control?"
+    }
+  ];
+
+  // Benefit components listed under the total benefits when any residue or
+  // biomass stream is switched on.
+  const BENEFIT_COMPONENTS = [
+    { key: "pvGrain", stream: null, label: "Grain benefits (discounted)" },
+    { key: "pvGrazing", stream: "grazing", label: "Residue grazing value (discounted)" },
+    { key: "pvNitrogen", stream: "nitrogen", label: "Nitrogen credit to next crop (discounted)" },
+    { key: "pvHay", stream: "hay", label: "Hay and straw value (discounted)" }
+  ];
+  const BENEFIT_COMPONENT_KEYS = BENEFIT_COMPONENTS.map((c) => c.key);
+  const BIOMASS_STREAMS = ["grazing", "nitrogen", "hay"];
+
+  function biomassStreamsOn(params = state.params) {
+    return BIOMASS_STREAMS.some((k) => params.biomassStreams[k].enabled);
+  }
+
+  // Rows added under net profit when the finance module is on.
+  const FINANCE_INDICATORS = [
+    { key: "npvAfterFinance", label: "Net profit after financing costs" },
+    { key: "peakDebt", label: "Peak debt per hectare" }
+  ];
+
+  function comparisonIndicators() {
+    let indicators = COMPARISON_INDICATORS;
+    const insertAfter = (key, rows) => {
+      const at = indicators.findIndex((ind) => ind.key === key) + 1;
+      indicators = [...indicators.slice(0, at), ...rows, ...indicators.slice(at)];
+    };
+    if (biomassStreamsOn()) {
+      const bs = state.params.biomassStreams;
+      insertAfter(
+        "pvBenefits",
+        BENEFIT_COMPONENTS.filter((c) => !c.stream || bs[c.stream].enabled)
+      );
+    }
+    if (state.params.finance.enabled) insertAfter("npv", FINANCE_INDICATORS);
+    return indicators;
+  }
+
+  const EXCLUDED_COST_CATEGORY = "Excluded";
+
+  // Default prefix rules for grouping line-item cost columns. The first
+  // matching rule wins, so more specific prefixes come first.
+  const DEFAULT_COST_CATEGORY_RULES = [
+    { prefix: "cost_amendment_input_per_ha_raw", category: "Amendment input" },
+    { prefix: "pre_sow_amendment_", category: "Amendment application" },
+    { prefix: "seeding_", category: "Seeding" },
+    { prefix: "herbicide_cost_per_ha_", category: "Herbicide" },
+    { prefix: "fungicide_cost_per_ha_", category: "Fungicide" },
+    { prefix: "insecticide_", category: "Insecticide" },
+    { prefix: "labour_22_", category: "Labour" },
+    { prefix: "capital_22_", category: "Capital" },
+    { prefix: "transport_22_", category: "Transport" },
+    { prefix: "machinery_22_", category: "Machinery" }
+  ];
+
+  // Line items in this cost category are treated as machinery assets when
+  // the capital asset model is switched on.
+  const CAPITAL_ASSET_CATEGORY = "Capital";
+
+  // Default useful life by keyword in the column name; the first match wins.
+  const DEFAULT_ASSET_LIVES = [
+    { match: "ute", life: 5 },
+    { match: "truck", life: 15 },
+    { match: "tractor", life: 12 },
+    { match: "header", life: 10 },
+    { match: "boomspray", life: 10 },
+    { match: "seeder", life: 10 },
+    { match: "tiller", life: 10 },
+    { match: "ripper", life: 10 }
+  ];
+  const DEFAULT_ASSET_SALVAGE_PCT = 20;
+
+  const MAX_SENSITIVITY_SCENARIOS = 1000;
+
+  const SENSITIVITY_PARAMS = [
+    { key: "pricePerTonne", label: "Grain price", unit: "$/t" },
+    { key: "discountRate", label: "Discount rate", unit: "%" },
+    { key: "persistenceYears", label: "Years that yield gains last", unit: "years" },
+    { key: "years", label: "Years of benefits and costs", unit: "years" }
+  ];
+
   // =========================
   // 1) UTILITIES
   // =========================
@@ -132,39 +412,521 @@
     return JSON.parse(JSON.stringify(obj));
   }
 
+  // Small seeded generator so simulation runs are reproducible.
+  function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function sampleNormal(rand, mean, sd) {
+    const u1 = Math.max(rand(), 1e-12);
+    const u2 = rand();
+    return mean + sd * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  }
+
+  function sampleTriangular(rand, low, mode, high) {
+    if (high <= low) return low;
+    const u = rand();
+    const c = (mode - low) / (high - low);
+    return u < c
+      ? low + Math.sqrt(u * (high - low) * (mode - low))
+      : high - Math.sqrt((1 - u) * (high - low) * (high - mode));
+  }
+
+  // Draw from a distribution spec { type, low, mode, high, sd }.
+  function sampleDistribution(rand, spec) {
+    if (spec.type === "normal") return sampleNormal(rand, spec.mode, spec.sd);
+    if (spec.type === "uniform") return spec.low + rand() * (spec.high - spec.low);
+    if (spec.type === "fixed") return spec.mode;
+    return sampleTriangular(rand, spec.low, spec.mode, spec.high);
+  }
+
+  // Quantile of an ascending sorted array, with linear interpolation.
+  function quantileSorted(sorted, q) {
+    if (!sorted.length) return NaN;
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+  }
+
+  function sampleStdDev(values) {
+    const xs = values.filter((v) => !Number.isNaN(v));
+    if (xs.length < 2) return NaN;
+    const m = xs.reduce((a, b) => a + b, 0) / xs.length;
+    return Math.sqrt(xs.reduce((a, b) => a + (b - m) * (b - m), 0) / (xs.length - 1));
+  }
+
+  // ---- Statistical helpers (t distribution, Dunnett critical values) ----
+
+  function logGamma(x) {
+    // Lanczos approximation
+    const c = [
+      0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+      771.32342877765313, -176.61502916214059, 12.507343278686905,
+      -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+    ];
+    if (x < 0.5) {
+      return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    }
+    x -= 1;
+    let a = c[0];
+    const t = x + 7.5;
+    for (let i = 1; i < 9; i++) a += c[i] / (x + i);
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+  }
+
+  // Regularised incomplete beta function I_x(a, b) by continued fraction.
+  function incompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const lnFront =
+      logGamma(a + b) - logGamma(a) - logGamma(b) +
+      a * Math.log(x) + b * Math.log(1 - x);
+    if (x > (a + 1) / (a + b + 2)) {
+      return 1 - incompleteBeta(1 - x, b, a);
+    }
+    const tiny = 1e-30;
+    let f = 1;
+    let c = 1;
+    let d = 0;
+    for (let i = 0; i <= 300; i++) {
+      const m = i >> 1;
+      let num;
+      if (i === 0) num = 1;
+      else if (i % 2 === 0) num = (m * (b - m) * x) / ((a + 2 * m - 1) * (a + 2 * m));
+      else num = -((a + m) * (a + b + m) * x) / ((a + 2 * m) * (a + 2 * m + 1));
+      d = 1 + num * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      d = 1 / d;
+      c = 1 + num / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      const cd = c * d;
+      f *= cd;
+      if (Math.abs(1 - cd) < 1e-12) break;
+    }
+    return Math.exp(lnFront) * (f - 1) / a;
+  }
+
+  function studentTCdf(t, df) {
+    if (!Number.isFinite(t)) return t > 0 ? 1 : 0;
+    const x = df / (df + t * t);
+    const tail = 0.5 * incompleteBeta(x, df / 2, 0.5);
+    return t > 0 ? 1 - tail : tail;
+  }
+
+  function studentTQuantile(p, df) {
+    let lo = -1000;
+    let hi = 1000;
+    for (let i = 0; i < 100; i++) {
+      const mid = (lo + hi) / 2;
+      if (studentTCdf(mid, df) < p) lo = mid;
+      else hi = mid;
+    }
+    return (lo + hi) / 2;
+  }
+
+  function normalCdf(z) {
+    // Abramowitz and Stegun 7.1.26
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const y =
+      1 -
+      ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t +
+        0.254829592) *
+        t *
+        Math.exp(-x * x);
+    return z >= 0 ? 0.5 * (1 + y) : 0.5 * (1 - y);
+  }
+
+  // Solve A x = b by Gaussian elimination with partial pivoting. Returns
+  // null when A is singular (a disconnected block design).
+  function solveLinearSystem(A, b) {
+    const n = b.length;
+    const m = A.map((row, i) => row.concat(b[i]));
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let i = col + 1; i < n; i++) {
+        if (Math.abs(m[i][col]) > Math.abs(m[pivot][col])) pivot = i;
+      }
+      if (Math.abs(m[pivot][col]) < 1e-12) return null;
+      [m[col], m[pivot]] = [m[pivot], m[col]];
+      for (let i = 0; i < n; i++) {
+        if (i === col) continue;
+        const f = m[i][col] / m[col][col];
+        if (f === 0) continue;
+        for (let j = col; j <= n; j++) m[i][j] -= f * m[col][j];
+      }
+    }
+    return m.map((row, i) => row[n] / row[i]);
+  }
+
+  // Two-sided Dunnett critical value for k comparisons with a control,
+  // error degrees of freedom df and common correlation rho (0.5 when all
+  // groups have the same number of replicates). Found by bisection on the
+  // multivariate t probability, integrated numerically.
+  const dunnettCache = new Map();
+  function dunnettCritical(k, df, rho = 0.5, alpha = 0.05) {
+    if (k <= 1) return studentTQuantile(1 - alpha / 2, df);
+    const cacheKey = `${k}|${df}|${rho.toFixed(3)}|${alpha}`;
+    if (dunnettCache.has(cacheKey)) return dunnettCache.get(cacheKey);
+
+    const sr = Math.sqrt(rho);
+    const sq = Math.sqrt(1 - rho);
+    const nz = 120;
+    const zMin = -7;
+    const dz = 14 / nz;
+    const ns = 160;
+    const sMax = 1 + 10 / Math.sqrt(2 * df);
+    const ds = sMax / ns;
+    const logNorm =
+      (df / 2) * Math.log(df) - logGamma(df / 2) - (df / 2 - 1) * Math.log(2);
+
+    const simpson = (i, n) => (i === 0 || i === n ? 1 : i % 2 === 1 ? 4 : 2);
+
+    const coverage = (d) => {
+      let total = 0;
+      for (let j = 0; j <= ns; j++) {
+        const sVal = j * ds;
+        if (sVal <= 0) continue;
+        const fs = Math.exp(
+          logNorm + (df - 1) * Math.log(sVal) - (df * sVal * sVal) / 2
+        );
+        if (fs < 1e-14) continue;
+        let inner = 0;
+        for (let i = 0; i <= nz; i++) {
+          const z = zMin + i * dz;
+          const phi = Math.exp(-0.5 * z * z) / Math.sqrt(2 * Math.PI);
+          const band =
+            normalCdf((d * sVal + sr * z) / sq) -
+            normalCdf((-d * sVal + sr * z) / sq);
+          inner += simpson(i, nz) * phi * Math.pow(Math.max(0, band), k);
+        }
+        total += simpson(j, ns) * fs * (inner * dz) / 3;
+      }
+      return (total * ds) / 3;
+    };
+
+    let lo = 1;
+    let hi = 8;
+    for (let i = 0; i < 30; i++) {
+      const mid = (lo + hi) / 2;
+      if (coverage(mid) < 1 - alpha) lo = mid;
+      else hi = mid;
+    }
+    const crit = (lo + hi) / 2;
+    dunnettCache.set(cacheKey, crit);
+    return crit;
+  }
+
   // =========================
   // 2) DATA PARSING
   // =========================
 
-  function detectDelimiter(headerLine) {
-    if (!headerLine) return "\t";
-    const tabCount = (headerLine.match(/\t/g) || []).length;
-    const commaCount = (headerLine.match(/,/g) || []).length;
-    return tabCount >= commaCount ? "\t" : ",";
+  const CANDIDATE_DELIMITERS = ["\t", ",", ";", "|"];
+
+  const DELIMITER_NAMES = {
+    "\t": "tab",
+    ",": "comma",
+    ";": "semicolon",
+    "|": "pipe"
+  };
+
+  // Split text into records of fields following RFC 4180: fields may be
+  // quoted, quotes inside quoted fields are doubled, and quoted fields may
+  // hold delimiters and line breaks. Each record keeps the file line it
+  // starts on, for the import report.
+  function tokenizeDelimited(text, delimiter, maxRecords = Infinity) {
+    const records = [];
+    let fields = [];
+    let field = "";
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+    let i = 0;
+
+    const endRecord = () => {
+      fields.push(field);
+      records.push({ line: recordLine, fields });
+      fields = [];
+      field = "";
+      recordLine = line;
+    };
+
+    while (i < text.length && records.length < maxRecords) {
+      const ch = text[i];
+      if (inQuotes) {
+        if (ch === '"') {
+          if (text[i + 1] === '"') {
+            field += '"';
+            i += 2;
+            continue;
+          }
+          inQuotes = false;
+        } else {
+          if (ch === "\n") line++;
+          field += ch;
+        }
+        i++;
+        continue;
+      }
+      if (ch === '"' && field.trim() === "") {
+        inQuotes = true;
+        field = "";
+      } else if (ch === delimiter) {
+        fields.push(field);
+        field = "";
+      } else if (ch === "\r" || ch === "\n") {
+        if (ch === "\r" && text[i + 1] === "\n") i++;
+        line++;
+        endRecord();
+      } else {
+        field += ch;
+      }
+      i++;
+    }
+    const unterminatedQuote = inQuotes;
+    if ((field !== "" || fields.length) && records.length < maxRecords) endRecord();
+    return { records, unterminatedQuote };
+  }
+
+  // Pick the delimiter that splits the first records into the same number
+  // of fields most often, preferring the one giving more fields on a tie.
+  function detectDelimiter(text) {
+    let best = "\t";
+    let bestScore = -1;
+    for (const d of CANDIDATE_DELIMITERS) {
+      const { records } = tokenizeDelimited(text, d, 20);
+      const sample = records.filter((r) => r.fields.some((f) => f.trim() !== ""));
+      if (!sample.length) continue;
+      const width = sample[0].fields.length;
+      if (width < 2) continue;
+      const consistent = sample.filter((r) => r.fields.length === width).length;
+      const score = (consistent / sample.length) * 1000 + width;
+      if (score > bestScore) {
+        best = d;
+        bestScore = score;
+      }
+    }
+    return best;
   }
 
+  const DECIMAL_COMMA_PATTERN = /^[-+]?(\d{1,3}(\.\d{3})+|\d+),\d+$/;
+  // Decimal-comma values that could equally be English thousands: 1,264.
+  const THOUSANDS_COMMA_PATTERN = /^[-+]?\d{1,3}(,\d{3})+$/;
+  // Values only written with a thousands comma and a decimal point: 1,264.5.
+  const ENGLISH_NUMBER_PATTERN = /^[-+]?\d{1,3}(,\d{3})+\.\d+$/;
+
+  // Parse delimited text into headers and row objects. Nothing is dropped
+  // silently: padded, truncated and converted cells are listed in the
+  // returned import report.
   function parseDelimitedText(text) {
-    const trimmed = text.replace(/\r\n/g, "\n").trim();
-    if (!trimmed) {
+    const bom = text.charCodeAt(0) === 0xfeff;
+    const body = bom ? text.slice(1) : text;
+    if (!body.trim()) {
       throw new Error("No data found in the provided text.");
     }
 
-    const lines = trimmed.split("\n").filter((l) => l.trim().length > 0);
-    const delimiter = detectDelimiter(lines[0]);
-    const headers = lines[0].split(delimiter).map((h) => h.trim());
-    const rows = [];
+    const delimiter = detectDelimiter(body);
+    const { records: allRecords, unterminatedQuote } = tokenizeDelimited(body, delimiter);
+    const records = allRecords.filter((r) => r.fields.some((f) => f.trim() !== ""));
+    if (!records.length) {
+      throw new Error("No data found in the provided text.");
+    }
+
+    const { headers, rows, report } = recordsToTable(records, {
+      delimiter: DELIMITER_NAMES[delimiter],
+      bom,
+      unterminatedQuote
+    });
+
+    // Decimal commas (1,5 or 1.234,5) only occur when the comma is not the
+    // delimiter; they are rewritten with a decimal point. Values such as
+    // 1,264 could equally hold thousands separators, so a column is only
+    // converted in a semicolon file or when it also has a value that cannot
+    // be thousands (2,5 or 1.234,5) and none written the English way
+    // (1,264.5). Ambiguous values are listed either way for the user to check.
+    if (delimiter !== ",") {
+      for (const h of headers) {
+        const values = rows.map((row) => String(row[h]).trim());
+        const lineOf = (i) => records[i + 1].line;
+        const candidates = values
+          .map((v, i) => (DECIMAL_COMMA_PATTERN.test(v) ? i : -1))
+          .filter((i) => i >= 0);
+        if (!candidates.length) continue;
+        const ambiguous = candidates.filter((i) => THOUSANDS_COMMA_PATTERN.test(values[i]));
+        const decimal =
+          delimiter === ";" ||
+          (ambiguous.length < candidates.length &&
+            !values.some((v) => ENGLISH_NUMBER_PATTERN.test(v)));
+        if (!decimal) {
+          report.ambiguousCommas.push({
+            column: h,
+            readAs: "whole",
+            count: candidates.length,
+            lines: candidates.map(lineOf)
+          });
+          continue;
+        }
+        for (const i of candidates) {
+          rows[i][h] = values[i].replace(/\./g, "").replace(",", ".");
+        }
+        report.coerced.push({
+          column: h,
+          count: candidates.length,
+          lines: candidates.map(lineOf)
+        });
+        if (ambiguous.length && delimiter !== ";") {
+          report.ambiguousCommas.push({
+            column: h,
+            readAs: "decimal",
+            count: ambiguous.length,
+            lines: ambiguous.map(lineOf)
+          });
+        }
+      }
+    }
+
+    return { headers, rows, report };
+  }
+
+  // Turn records (the header record first) into headers and row objects,
+  // shared by the text and workbook imports. The report records every header
+  // renamed and every row padded or cut to the header's width.
+  function recordsToTable(records, source) {
+    const report = Object.assign(
+      {
+        renamedHeaders: [], // [{ column, original, renamed }]
+        padded: [], // [{ line, missing }]
+        truncated: [], // [{ line, extra, dropped }]
+        coerced: [], // [{ column, count, lines }]
+        ambiguousCommas: [] // [{ column, readAs: "whole" | "decimal", count, lines }]
+      },
+      source
+    );
+    const isBlank = (f) => f === null || f === undefined || String(f).trim() === "";
+
+    // Blank and repeated header names would make columns overwrite each
+    // other, so they get a numbered name instead.
+    const headers = [];
+    records[0].fields.forEach((raw, j) => {
+      const original = isBlank(raw) ? "" : String(raw).trim();
+      let name = original || `column_${j + 1}`;
+      if (headers.includes(name)) {
+        let k = 2;
+        while (headers.includes(`${name}_${k}`)) k++;
+        name = `${name}_${k}`;
+      }
+      if (name !== original) {
+        report.renamedHeaders.push({ column: j + 1, original, renamed: name });
+      }
+      headers.push(name);
+    });
 
-    for (let i = 1; i < lines.length; i++) {
-      const parts = lines[i].split(delimiter);
+    const rows = [];
+    for (const rec of records.slice(1)) {
+      const parts = rec.fields;
+      if (parts.length < headers.length) {
+        report.padded.push({ line: rec.line, missing: headers.length - parts.length });
+      } else if (parts.length > headers.length) {
+        const dropped = parts.slice(headers.length).filter((f) => !isBlank(f));
+        report.truncated.push({
+          line: rec.line,
+          extra: parts.length - headers.length,
+          dropped
+        });
+      }
       const row = {};
       for (let j = 0; j < headers.length; j++) {
-        row[headers[j]] = j < parts.length ? parts[j] : "";
+        row[headers[j]] = j < parts.length && parts[j] !== null ? parts[j] : "";
       }
       rows.push(row);
     }
-    return { headers, rows };
+
+    return { headers, rows, report };
+  }
+
+  // Guess the header row of a sheet: the first of its top rows that is at
+  // least half as full as the fullest of them.
+  function detectHeaderRow(aoa) {
+    const top = aoa.slice(0, 20);
+    const filled = top.map(
+      (r) => r.filter((v) => v !== null && v !== undefined && String(v).trim() !== "").length
+    );
+    const most = Math.max(0, ...filled);
+    const idx = filled.findIndex((n) => n >= Math.max(2, most / 2));
+    return idx < 0 ? 1 : idx + 1;
+  }
+
+  // Read one sheet of a SheetJS workbook from the given header row (1-based).
+  // Numbers and booleans keep their type; dates become ISO dates.
+  function parseWorkbookSheet(workbook, sheetName, headerRow) {
+    const ws = workbook.Sheets[sheetName];
+    if (!ws) throw new Error(`Sheet "${sheetName}" not found.`);
+    const aoa = XLSX.utils.sheet_to_json(ws, {
+      header: 1,
+      raw: true,
+      defval: "",
+      blankrows: true
+    });
+    const startRow = XLSX.utils.decode_range(ws["!ref"] || "A1").s.r;
+    const typed = (v) => {
+      if (v instanceof Date) return v.toISOString().slice(0, 10);
+      if (typeof v === "string") return v.trim();
+      return v;
+    };
+    // A blank cell in a sheet is a blank value rather than a missing field,
+    // so rows are only reported when they hold values beyond the header.
+    const records = [];
+    let width = 0;
+    aoa.forEach((r, i) => {
+      const line = startRow + i + 1;
+      if (line < headerRow) return;
+      const fields = r.map(typed);
+      if (line === headerRow) {
+        while (fields.length && fields[fields.length - 1] === "") fields.pop();
+        width = fields.length;
+      } else {
+        if (fields.every((f) => f === "")) return;
+        while (fields.length > width && fields[fields.length - 1] === "") fields.pop();
+        while (fields.length < width) fields.push("");
+      }
+      records.push({ line, fields });
+    });
+    if (!width) {
+      throw new Error(`Row ${headerRow} of sheet "${sheetName}" is empty.`);
+    }
+    return recordsToTable(records, { sheet: sheetName, headerRow });
   }
 
+  // Semantic roles a dataset column can fill. Optional roles are not needed
+  // for the cost–benefit analysis but are kept for later use.
+  const COLUMN_ROLES = [
+    { key: "plotId", label: "Plot ID" },
+    { key: "replicate", label: "Replicate / block" },
+    { key: "treatmentName", label: "Treatment name" },
+    { key: "isControl", label: "Control flag" },
+    { key: "yield", label: "Yield", unit: "yield" },
+    { key: "variableCost", label: "Yearly (variable) cost", unit: "cost" },
+    { key: "capitalCost", label: "Upfront (capital) cost", unit: "cost" },
+    { key: "totalCostRaw", label: "Raw total cost (for reconciliation)", unit: "cost" },
+    { key: "site", label: "Site", optional: true },
+    { key: "year", label: "Year / season", optional: true },
+    { key: "protein", label: "Grain protein", optional: true },
+    { key: "moisture", label: "Grain moisture", optional: true },
+    { key: "harvestBiomass", label: "Biomass at harvest (t/ha)", optional: true },
+    { key: "floweringBiomass", label: "Biomass at flowering (t/ha)", optional: true },
+    { key: "plotArea", label: "Plot area (m², for per-plot units)", optional: true }
+  ];
+
+  const COLUMN_MAPPING_STORAGE_KEY = "fabaCba.columnMappings";
+
   // Map required semantic columns to actual dataset headers
   function detectColumnMap(headers) {
     const lcHeaders = headers.map((h) => h.toLowerCase());
@@ -178,25 +940,501 @@
     };
 
     const map = {
-      plotId: findCol(["plot_id"]),
-      replicate: findCol(["replicate_id", "replicate", "rep", "rep_no"]),
+      plotId: findCol(["plot_id", "plot", "plot_no"]),
+      replicate: findCol(["replicate_id", "replicate", "rep", "rep_no", "block"]),
       treatmentName: findCol(["treatment_name", "amendment_name", "treatment"]),
       isControl: findCol(["is_control", "control_flag", "control"]),
-      yield: findCol(["yield_t_ha", "yield", "yield_t/ha"]),
+      yield: findCol([
+        "yield_t_ha",
+        "yield",
+        "yield_t/ha",
+        "grain_yield_t_ha",
+        "grain_yield",
+        "yield_kg_ha",
+        "grain_yield_kg_ha"
+      ]),
       variableCost: findCol([
         "total_cost_per_ha",
         "variable_cost_per_ha",
-        "total_cost_per_ha_raw"
+        "total_cost_per_ha_raw",
+        "cost_per_ha",
+        "cost_aud_ha",
+        "total_cost",
+        "cost_per_plot"
       ]),
       capitalCost: findCol([
         "capital_cost_per_ha",
-        "cost_amendment_input_per_ha"
+        "cost_amendment_input_per_ha",
+        "capital_cost"
+      ]),
+      totalCostRaw: findCol(["total_cost_per_ha_raw"]),
+      site: findCol(["site", "site_id", "site_name", "location"]),
+      year: findCol(["year", "season", "harvest_year", "trial_year"]),
+      protein: findCol([
+        "grain_protein_pct",
+        "protein_pct",
+        "protein",
+        "grain_protein",
+        "protein_percent"
+      ]),
+      moisture: findCol([
+        "grain_moisture_pct",
+        "moisture_pct",
+        "moisture",
+        "grain_moisture",
+        "moisture_percent"
+      ]),
+      harvestBiomass: findCol([
+        "hand_cut_harvest_biomass_t_per_ha",
+        "harvest_biomass_t_per_ha",
+        "harvest_biomass_t_ha",
+        "harvest_biomass"
+      ]),
+      plotArea: findCol(["plot_area_m2", "plot_area"]),
+      floweringBiomass: findCol([
+        "flowering_anthesis_biomass_t_per_ha",
+        "flowering_biomass_t_per_ha",
+        "anthesis_biomass_t_per_ha",
+        "flowering_biomass"
       ])
     };
 
     return map;
   }
 
+  // Units guessed from the mapped column names: yields in kilograms and
+  // values per plot when the name says so.
+  function detectColumnUnits(map) {
+    const yieldCol = (map.yield || "").toLowerCase();
+    const costCol = (map.variableCost || map.capitalCost || "").toLowerCase();
+    const perPlot = (name) => /plot/.test(name) && !/_ha\b|per_ha/.test(name);
+    return {
+      yield: /kg/.test(yieldCol) ? (perPlot(yieldCol) ? "kg/plot" : "kg/ha") : "t/ha",
+      cost: perPlot(costCol) ? "$/plot" : "$/ha",
+      plotAreaM2: NaN
+    };
+  }
+
+  // Short, order-independent key for a set of headers (a 32-bit string hash
+  // of the sorted, lower-cased names).
+  function headerSignature(headers) {
+    const text = headers
+      .map((h) => h.trim().toLowerCase())
+      .sort()
+      .join("|");
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+      hash = (hash * 31 + text.charCodeAt(i)) | 0;
+    }
+    return `${headers.length}-${(hash >>> 0).toString(36)}`;
+  }
+
+  // The automatic mapping with the user's choices laid over it. Choices that
+  // name a header missing from this dataset are ignored.
+  function resolveColumnMap(headers) {
+    const map = detectColumnMap(headers);
+    const roles = state.columnMapping.roles;
+    for (const role of COLUMN_ROLES) {
+      if (!(role.key in roles)) continue;
+      const chosen = roles[role.key];
+      map[role.key] = chosen && headers.includes(chosen) ? chosen : null;
+    }
+    return map;
+  }
+
+  function columnUnits() {
+    return Object.assign(detectColumnUnits(state.columnMap || {}), state.columnMapping.units);
+  }
+
+  // Hectares in one plot, for per-plot units: the row's own plot area when
+  // that column is mapped, otherwise the area entered with the units. With
+  // neither, per-plot values cannot be converted and read as missing.
+  function plotHectares(row) {
+    const cm = state.columnMap || {};
+    const own = cm.plotArea ? parseNumber(row[cm.plotArea]) : NaN;
+    const area = own > 0 ? own : parseNumber(columnUnits().plotAreaM2);
+    return area > 0 ? area / 10000 : NaN;
+  }
+
+  // Yields and costs in the t/ha and $/ha the analysis works in.
+  function yieldCell(row, column) {
+    const value = parseNumber(row[column]);
+    const unit = columnUnits().yield;
+    if (unit === "kg/plot") return (value * 0.001) / plotHectares(row);
+    return unit === "kg/ha" ? value * 0.001 : value;
+  }
+
+  function costCell(row, column) {
+    const value = parseNumber(row[column]);
+    return columnUnits().cost === "$/plot" ? value / plotHectares(row) : value;
+  }
+
+  // Columns the validation rules look for by name, beyond the mapped roles.
+  const VALIDATION_COLUMNS = {
+    treatmentId: ["treatment_id", "treatment_code", "trt_id"],
+    plotLength: ["plot_length_m", "plot_length"],
+    plotWidth: ["plot_width_m", "plot_width"],
+    plotArea: ["plot_area_m2", "plot_area"],
+    controlYield: ["control_yield_t_ha"],
+    controlCost: ["control_total_cost_per_ha"],
+    deltaYield: ["delta_yield_t_ha"],
+    deltaCost: ["delta_cost_per_ha"]
+  };
+
+  // Yields and costs outside these limits are flagged as implausible.
+  const PLAUSIBLE_MAX_YIELD = 15; // t/ha
+  const PLAUSIBLE_MAX_COST = 20000; // $/ha
+
+  // Check the loaded rows for design and data problems. Each issue has a
+  // severity ("err", "warn", "neutral") and the offending rows, as
+  // { index, note } with index into state.rows, for the drill-down.
+  function validateDataset() {
+    const { headers, rows } = state;
+    const cm = state.columnMap || {};
+    const lc = headers.map((h) => h.toLowerCase());
+    const col = {};
+    for (const [key, aliases] of Object.entries(VALIDATION_COLUMNS)) {
+      const idx = aliases.map((a) => lc.indexOf(a)).find((i) => i !== -1);
+      col[key] = idx === undefined ? null : headers[idx];
+    }
+    const text = (row, c) => (c && row[c] !== null && row[c] !== undefined ? String(row[c]).trim() : "");
+    const issues = [];
+    const add = (severity, label, detail, offending = []) =>
+      issues.push({ severity, label, detail, rows: offending });
+
+    // Duplicate plot IDs
+    if (cm.plotId) {
+      const byPlot = new Map();
+      rows.forEach((r, index) => {
+        const id = text(r, cm.plotId);
+        if (!id) return;
+        if (!byPlot.has(id)) byPlot.set(id, []);
+        byPlot.get(id).push(index);
+      });
+      const dupes = Array.from(byPlot.entries()).filter(([, idx]) => idx.length > 1);
+      if (dupes.length) {
+        add(
+          "err",
+          "Duplicate plot IDs",
+          `${dupes.length} plot ID${dupes.length === 1 ? " appears" : "s appear"} on more than one row, so plots may be double counted.`,
+          dupes.flatMap(([id, idx]) =>
+            idx.map((index) => ({ index, note: `Plot ${escapeHtml(id)} appears ${idx.length} times` }))
+          )
+        );
+      } else {
+        add("ok", "Plot IDs are unique", `All ${byPlot.size} plot IDs appear once.`);
+      }
+    }
+
+    // Controls per replicate, and which treatments each replicate holds
+    const control = state.controlName;
+    if (cm.replicate && cm.treatmentName) {
+      const reps = new Map();
+      rows.forEach((r, index) => {
+        const rep = text(r, cm.replicate);
+        if (!rep) return;
+        if (!reps.has(rep)) reps.set(rep, { indices: [], treatments: new Set(), controls: [] });
+        const entry = reps.get(rep);
+        const name = text(r, cm.treatmentName);
+        entry.indices.push(index);
+        if (name) entry.treatments.add(name);
+        if (control && name === control) entry.controls.push(index);
+      });
+
+      if (control) {
+        const none = Array.from(reps.entries()).filter(([, e]) => !e.controls.length);
+        const several = Array.from(reps.entries()).filter(([, e]) => e.controls.length > 1);
+        if (none.length) {
+          add(
+            "err",
+            "Replicates without a control plot",
+            `${none.length} replicate${none.length === 1 ? " has" : "s have"} no "${escapeHtml(
+              control
+            )}" plot (${none.map(([rep]) => escapeHtml(rep)).join(", ")}). Same-replicate comparisons cannot be made for the treatments in ${
+              none.length === 1 ? "it" : "them"
+            }.`,
+            none.flatMap(([rep, e]) =>
+              e.indices.map((index) => ({ index, note: `Replicate ${escapeHtml(rep)} has no control` }))
+            )
+          );
+        }
+        if (several.length) {
+          add(
+            "warn",
+            "More than one control per replicate",
+            `${several.length} replicate${several.length === 1 ? " has" : "s have"} several "${escapeHtml(
+              control
+            )}" plots; their average is used as that replicate's control.`,
+            several.flatMap(([rep, e]) =>
+              e.controls.map((index) => ({
+                index,
+                note: `One of ${e.controls.length} control plots in replicate ${escapeHtml(rep)}`
+              }))
+            )
+          );
+        }
+        if (!none.length && !several.length) {
+          add("ok", "One control per replicate", `Each of the ${reps.size} replicates has one control plot.`);
+        }
+      }
+
+      const allTreatments = new Set();
+      for (const e of reps.values()) for (const t of e.treatments) allTreatments.add(t);
+      const gaps = [];
+      for (const t of allTreatments) {
+        const missing = Array.from(reps.entries())
+          .filter(([, e]) => !e.treatments.has(t))
+          .map(([rep]) => rep);
+        if (missing.length) gaps.push({ t, missing });
+      }
+      if (gaps.length) {
+        add(
+          "warn",
+          "Unbalanced design",
+          `${gaps.length} treatment${gaps.length === 1 ? " is" : "s are"} missing from some replicates: ${gaps
+            .slice(0, 5)
+            .map((g) => `${escapeHtml(g.t)} (replicate${g.missing.length === 1 ? "" : "s"} ${g.missing.map(escapeHtml).join(", ")})`)
+            .join("; ")}${gaps.length > 5 ? "; …" : ""}. Averages for these treatments rest on fewer blocks.`,
+          rows
+            .map((r, index) => ({ r, index }))
+            .filter(({ r }) => gaps.some((g) => g.t === text(r, cm.treatmentName)))
+            .map(({ r, index }) => {
+              const g = gaps.find((x) => x.t === text(r, cm.treatmentName));
+              return { index, note: `Treatment missing from replicate ${g.missing.map(escapeHtml).join(", ")}` };
+            })
+        );
+      } else if (reps.size) {
+        add("ok", "Balanced design", `Every treatment appears in all ${reps.size} replicates.`);
+      }
+    }
+
+    // Flagged control plots should all belong to one treatment.
+    if (cm.isControl && cm.treatmentName) {
+      const flagged = rows
+        .map((r, index) => ({ index, name: text(r, cm.treatmentName), flag: parseBoolean(r[cm.isControl]) }))
+        .filter((x) => x.flag);
+      const names = new Set(flagged.map((x) => x.name));
+      if (names.size > 1) {
+        add(
+          "warn",
+          "Control flag on several treatments",
+          `Plots of ${names.size} different treatments are flagged as control (${Array.from(names)
+            .map(escapeHtml)
+            .join(", ")}). Only "${escapeHtml(control || "")}" is used as the control.`,
+          flagged.map((x) => ({ index: x.index, note: `Flagged as control (${escapeHtml(x.name)})` }))
+        );
+      }
+    }
+
+    // Negative or implausible yields and costs
+    const rangeCheck = (column, readCell, max, what, unit) => {
+      if (!column) return;
+      const negative = [];
+      const high = [];
+      rows.forEach((r, index) => {
+        const v = readCell(r, column);
+        if (Number.isNaN(v)) return;
+        if (v < 0) negative.push({ index, note: `${what} ${formatNumber(v, 2)} ${unit}` });
+        else if (v > max) high.push({ index, note: `${what} ${formatNumber(v, 2)} ${unit}` });
+      });
+      if (negative.length) {
+        add(
+          "err",
+          `Negative ${what.toLowerCase()} values`,
+          `${negative.length} row${negative.length === 1 ? " has" : "s have"} a negative value in "${escapeHtml(column)}".`,
+          negative
+        );
+      }
+      if (high.length) {
+        add(
+          "warn",
+          `Implausibly high ${what.toLowerCase()} values`,
+          `${high.length} row${high.length === 1 ? " has" : "s have"} a value above ${formatNumber(max, 0)} ${unit} in "${escapeHtml(
+            column
+          )}". Check the units on the column mapping.`,
+          high
+        );
+      }
+    };
+    // Per-plot values need a plot area to be converted to per hectare.
+    const units = columnUnits();
+    const perPlot = [
+      units.yield === "kg/plot" ? "yields" : null,
+      units.cost === "$/plot" ? "costs" : null
+    ].filter(Boolean);
+    if (perPlot.length) {
+      const noArea = [];
+      rows.forEach((r, index) => {
+        if (Number.isNaN(plotHectares(r))) noArea.push({ index, note: "No plot area" });
+      });
+      if (noArea.length) {
+        add(
+          "err",
+          "Per-plot values without a plot area",
+          `The ${perPlot.join(" and ")} are per plot, but ${noArea.length} row${
+            noArea.length === 1 ? " has" : "s have"
+          } no plot area, so those values are left out. Map a plot area column or enter the plot area under Column mapping.`,
+          noArea
+        );
+      }
+    }
+    rangeCheck(cm.yield, yieldCell, PLAUSIBLE_MAX_YIELD, "Yield", "t/ha");
+    rangeCheck(cm.variableCost, costCell, PLAUSIBLE_MAX_COST, "Cost", "$/ha");
+    if (cm.capitalCost !== cm.variableCost) {
+      rangeCheck(cm.capitalCost, costCell, PLAUSIBLE_MAX_COST, "Upfront cost", "$/ha");
+    }
+
+    // Plot area against length × width
+    if (col.plotArea && col.plotLength && col.plotWidth) {
+      const off = [];
+      rows.forEach((r, index) => {
+        const area = parseNumber(r[col.plotArea]);
+        const expected = parseNumber(r[col.plotLength]) * parseNumber(r[col.plotWidth]);
+        if (Number.isNaN(area) || Number.isNaN(expected)) return;
+        if (Math.abs(area - expected) > Math.max(0.01, 0.01 * expected)) {
+          off.push({
+            index,
+            note: `Area ${formatNumber(area, 2)} m² but length × width is ${formatNumber(expected, 2)} m²`
+          });
+        }
+      });
+      if (off.length) {
+        add(
+          "warn",
+          "Plot area does not match its dimensions",
+          `On ${off.length} row${off.length === 1 ? "" : "s"} "${escapeHtml(col.plotArea)}" differs from length × width by more than 1%.`,
+          off
+        );
+      } else {
+        add("ok", "Plot areas match their dimensions", "Every plot area equals its length × width.");
+      }
+    }
+
+    // Treatment IDs and names should map one to one.
+    if (col.treatmentId && cm.treatmentName) {
+      const idToNames = new Map();
+      const nameToIds = new Map();
+      rows.forEach((r) => {
+        const id = text(r, col.treatmentId);
+        const name = text(r, cm.treatmentName);
+        if (!id || !name) return;
+        if (!idToNames.has(id)) idToNames.set(id, new Set());
+        if (!nameToIds.has(name)) nameToIds.set(name, new Set());
+        idToNames.get(id).add(name);
+        nameToIds.get(name).add(id);
+      });
+      const badIds = Array.from(idToNames.entries()).filter(([, n]) => n.size > 1);
+      const badNames = Array.from(nameToIds.entries()).filter(([, i]) => i.size > 1);
+      if (badIds.length || badNames.length) {
+        const parts = [
+          ...badIds.map(([id, n]) => `ID ${escapeHtml(id)} is used for ${Array.from(n).map(escapeHtml).join(" and ")}`),
+          ...badNames.map(([name, i]) => `${escapeHtml(name)} has IDs ${Array.from(i).map(escapeHtml).join(" and ")}`)
+        ];
+        add(
+          "neutral",
+          "Treatment IDs and names do not match one to one",
+          `${parts.slice(0, 5).join("; ")}${parts.length > 5 ? "; …" : ""}. Confirm the treatment labels before presenting results.`,
+          rows
+            .map((r, index) => ({ r, index }))
+            .filter(
+              ({ r }) =>
+                badIds.some(([id]) => id === text(r, col.treatmentId)) ||
+                badNames.some(([name]) => name === text(r, cm.treatmentName))
+            )
+            .map(({ r, index }) => ({
+              index,
+              note: `ID ${escapeHtml(text(r, col.treatmentId))}, name ${escapeHtml(text(r, cm.treatmentName))}`
+            }))
+        );
+      } else if (idToNames.size) {
+        add("ok", "Treatment IDs match names", `Each of the ${idToNames.size} treatment IDs has one name.`);
+      }
+    }
+
+    // Precomputed control and difference columns against values recomputed
+    // from the same replicate's control plots.
+    if (
+      control &&
+      cm.replicate &&
+      cm.treatmentName &&
+      (col.controlYield || col.controlCost || col.deltaYield || col.deltaCost)
+    ) {
+      const controlMeans = new Map();
+      rows.forEach((r) => {
+        if (text(r, cm.treatmentName) !== control) return;
+        const rep = text(r, cm.replicate);
+        if (!controlMeans.has(rep)) controlMeans.set(rep, { yields: [], costs: [] });
+        const m = controlMeans.get(rep);
+        if (cm.yield) m.yields.push(yieldCell(r, cm.yield));
+        if (cm.variableCost) m.costs.push(costCell(r, cm.variableCost));
+      });
+      const differs = (stated, expected) =>
+        !Number.isNaN(stated) &&
+        !Number.isNaN(expected) &&
+        Math.abs(stated - expected) > Math.max(0.01, 0.005 * Math.abs(expected));
+      const checks = [
+        {
+          column: col.controlYield,
+          expected: (r, m) => meanIgnoringNaN(m.yields),
+          unit: "t/ha",
+          needs: cm.yield
+        },
+        {
+          column: col.controlCost,
+          expected: (r, m) => meanIgnoringNaN(m.costs),
+          unit: "$/ha",
+          needs: cm.variableCost
+        },
+        {
+          column: col.deltaYield,
+          expected: (r, m) => yieldCell(r, cm.yield) - meanIgnoringNaN(m.yields),
+          unit: "t/ha",
+          needs: cm.yield
+        },
+        {
+          column: col.deltaCost,
+          expected: (r, m) => costCell(r, cm.variableCost) - meanIgnoringNaN(m.costs),
+          unit: "$/ha",
+          needs: cm.variableCost
+        }
+      ];
+      for (const c of checks) {
+        if (!c.column || c.needs === null) continue;
+        const off = [];
+        rows.forEach((r, index) => {
+          const m = controlMeans.get(text(r, cm.replicate));
+          if (!m) return;
+          const stated = parseNumber(r[c.column]);
+          const expected = c.expected(r, m);
+          if (differs(stated, expected)) {
+            off.push({
+              index,
+              note: `Stated ${formatNumber(stated, 3)}, recomputed ${formatNumber(expected, 3)} ${c.unit}`
+            });
+          }
+        });
+        if (off.length) {
+          add(
+            "warn",
+            `"${escapeHtml(c.column)}" disagrees with the data`,
+            `On ${off.length} row${off.length === 1 ? "" : "s"} the precomputed value differs from the one recomputed from the same replicate's "${escapeHtml(
+              control
+            )}" plots. The tool always uses its own recomputed values.`,
+            off
+          );
+        } else {
+          add(
+            "ok",
+            `"${escapeHtml(c.column)}" is consistent`,
+            `The precomputed values match those recomputed from each replicate's control plots.`
+          );
+        }
+      }
+    }
+
+    return issues;
+  }
+
   // =========================
   // 3) AGGREGATION & CBA
   // =========================
@@ -205,13 +1443,23 @@
     const { headers, rows } = state;
     if (!headers.length || !rows.length) return;
 
-    const columnMap = detectColumnMap(headers);
+    const columnMap = resolveColumnMap(headers);
     state.columnMap = columnMap;
 
     const summaryByName = new Map();
     let controlNameFromFlag = null;
-
-    for (const row of rows) {
+    const rebuilt =
+      state.inputPrices.enabled &&
+      state.costCategories.plotCosts.length === rows.length;
+    const assetsOn =
+      state.params.capitalAssets.enabled &&
+      state.costCategories.plotCosts.length === rows.length;
+
+    const adjustments = state.adjustments.applied ? state.adjustments.plots : {};
+
+    for (const [rowIndex, row] of rows.entries()) {
+      const adj = adjustments[rowIndex];
+      if (adj && adj.excluded) continue;
       const tNameRaw = columnMap.treatmentName
         ? row[columnMap.treatmentName]
         : "";
@@ -225,28 +1473,146 @@
           yields: [],
           variableCosts: [],
           capitalCosts: [],
+          assetCosts: [],
+          byReplicate: new Map(),
+          plots: [],
+          paidYields: [],
+          proteins: [],
+          moistures: [],
+          harvestBiomass: [],
+          floweringBiomass: [],
+          biomass: { grazing: [], nitrogen: [], hay: [] },
           isControlFlagged: false
         });
       }
       const t = summaryByName.get(treatmentName);
 
       const repVal = columnMap.replicate ? row[columnMap.replicate] : null;
-      if (repVal !== null && repVal !== undefined && String(repVal).trim()) {
+      const repKey =
+        repVal !== null && repVal !== undefined && String(repVal).trim()
+          ? String(repVal).trim()
+          : null;
+      if (repKey !== null) {
         t.replicates.push(repVal);
+        if (!t.byReplicate.has(repKey)) {
+          t.byReplicate.set(repKey, {
+            yields: [],
+            paidYields: [],
+            variableCosts: [],
+            capitalCosts: [],
+            assetCosts: [],
+            biomass: { grazing: [], nitrogen: [], hay: [] }
+          });
+        }
+      }
+      const rep = repKey !== null ? t.byReplicate.get(repKey) : null;
+
+      // Plot costs come from the dataset's cost columns, or from the edited
+      // line items when the input price model is switched on.
+      let plotVarCost = columnMap.variableCost
+        ? costCell(row, columnMap.variableCost)
+        : NaN;
+      let plotCapCost = columnMap.capitalCost
+        ? costCell(row, columnMap.capitalCost)
+        : NaN;
+      if (rebuilt) {
+        plotVarCost = state.costCategories.plotCosts[rowIndex].recurring;
+        plotCapCost = state.costCategories.plotCosts[rowIndex].upfront;
+      }
+      // A corrected cost replaces the plot's yearly cost from either basis.
+      if (adj && adj.cost !== undefined) plotVarCost = adj.cost;
+      // Capital assets are costed by their own schedule, so their dataset
+      // values come out of the yearly cost column.
+      let plotAssets = {};
+      if (assetsOn) {
+        const pc = state.costCategories.plotCosts[rowIndex];
+        plotAssets = pc.assets;
+        if (!rebuilt) plotVarCost -= pc.rawAssetTotal;
+        t.assetCosts.push(plotAssets);
+        if (rep) rep.assetCosts.push(plotAssets);
+      }
+      // The lines that make up the plot's yearly and upfront costs, for the
+      // partial budget: cost categories when costs are rebuilt, otherwise
+      // the dataset's own cost columns.
+      const costItems = { yearly: {}, upfront: {} };
+      if (rebuilt) {
+        const { byCategory } = state.costCategories.plotCosts[rowIndex];
+        for (const cat of state.costCategories.categories) {
+          if (assetsOn && cat === CAPITAL_ASSET_CATEGORY) continue;
+          const kind = state.inputPrices.oneOffCategories.includes(cat) ? "upfront" : "yearly";
+          costItems[kind][cat] = byCategory[cat];
+        }
+      } else {
+        costItems.yearly[`Yearly costs (${columnMap.variableCost})`] = plotVarCost;
+        costItems.upfront[`Upfront amendment (${columnMap.capitalCost})`] = plotCapCost;
+      }
+      if (adj && adj.cost !== undefined) {
+        costItems.yearly = { "Yearly cost corrected in Plot review": plotVarCost };
       }
 
-      if (columnMap.yield) {
-        const y = parseNumber(row[columnMap.yield]);
-        if (!Number.isNaN(y)) t.yields.push(y);
+      const recordedYield =
+        adj && adj.yield !== undefined
+          ? adj.yield
+          : columnMap.yield
+          ? yieldCell(row, columnMap.yield)
+          : NaN;
+      // With quality pricing on, grain is paid on paid tonnes: standardised
+      // to the receival moisture and weighted by the grade and drying
+      // adjustments. They only set revenue; the statistics use the yield.
+      const protein = columnMap.protein ? parseNumber(row[columnMap.protein]) : NaN;
+      const moisture = columnMap.moisture ? parseNumber(row[columnMap.moisture]) : NaN;
+      const paidYield = state.params.qualityPricing.enabled
+        ? recordedYield * qualityPriceFactor(protein, moisture, state.params.qualityPricing)
+        : recordedYield;
+
+      // Residue and biomass benefit streams, per ha per year
+      const harvestBiomass = columnMap.harvestBiomass
+        ? parseNumber(row[columnMap.harvestBiomass])
+        : NaN;
+      const floweringBiomass = columnMap.floweringBiomass
+        ? parseNumber(row[columnMap.floweringBiomass])
+        : NaN;
+      if (!Number.isNaN(harvestBiomass)) t.harvestBiomass.push(harvestBiomass);
+      if (!Number.isNaN(floweringBiomass)) t.floweringBiomass.push(floweringBiomass);
+      const plotBiomass = biomassValues(
+        harvestBiomass,
+        floweringBiomass,
+        recordedYield,
+        state.params.biomassStreams
+      );
+      for (const k of BIOMASS_STREAMS) {
+        t.biomass[k].push(plotBiomass[k]);
+        if (rep) rep.biomass[k].push(plotBiomass[k]);
+      }
+      if (!Number.isNaN(protein)) t.proteins.push(protein);
+      if (!Number.isNaN(moisture)) t.moistures.push(moisture);
+      if (columnMap.yield && !Number.isNaN(recordedYield)) {
+        t.yields.push(recordedYield);
+        t.paidYields.push(paidYield);
+        if (rep) {
+          rep.yields.push(recordedYield);
+          rep.paidYields.push(paidYield);
+        }
       }
-      if (columnMap.variableCost) {
-        const vc = parseNumber(row[columnMap.variableCost]);
-        if (!Number.isNaN(vc)) t.variableCosts.push(vc);
+      if (!Number.isNaN(plotVarCost)) {
+        t.variableCosts.push(plotVarCost);
+        if (rep) rep.variableCosts.push(plotVarCost);
       }
-      if (columnMap.capitalCost) {
-        const cc = parseNumber(row[columnMap.capitalCost]);
-        if (!Number.isNaN(cc)) t.capitalCosts.push(cc);
+      if (!Number.isNaN(plotCapCost)) {
+        t.capitalCosts.push(plotCapCost);
+        if (rep) rep.capitalCosts.push(plotCapCost);
       }
+      t.plots.push({
+        replicate: repKey,
+        yield: columnMap.yield ? recordedYield : NaN,
+        paidYield: columnMap.yield ? paidYield : NaN,
+        varCost: plotVarCost,
+        capCost: plotCapCost,
+        costItems,
+        assets: plotAssets,
+        biomass: plotBiomass
+      });
+
       if (columnMap.isControl) {
         const isCtrl = parseBoolean(row[columnMap.isControl]);
         if (isCtrl) {
@@ -273,52 +1639,868 @@
 
     const treatments = [];
     for (const [name, t] of summaryByName.entries()) {
+      // Plots or replicates with missing biomass take the treatment's mean.
+      const streamMeans = {};
+      for (const k of BIOMASS_STREAMS) {
+        const m = meanIgnoringNaN(t.biomass[k]);
+        streamMeans[k] = Number.isNaN(m) ? 0 : m;
+      }
+      const biomassTotal = (values) =>
+        BIOMASS_STREAMS.reduce(
+          (sum, k) => sum + (Number.isNaN(values[k]) ? streamMeans[k] : values[k]),
+          0
+        );
+      for (const p of t.plots) p.biomassValue = biomassTotal(p.biomass);
       const avgYield = meanIgnoringNaN(t.yields);
+      const avgPaidYield = meanIgnoringNaN(t.paidYields);
       const avgVarCost = meanIgnoringNaN(t.variableCosts);
       const avgCapCost = Number.isNaN(meanIgnoringNaN(t.capitalCosts))
         ? 0
         : meanIgnoringNaN(t.capitalCosts);
+      // Replicate means feed the same-replicate control comparison.
+      const replicateMeans = [];
+      for (const [replicate, rep] of t.byReplicate.entries()) {
+        const repCap = meanIgnoringNaN(rep.capitalCosts);
+        replicateMeans.push({
+          replicate,
+          avgYield: meanIgnoringNaN(rep.yields),
+          avgPaidYield: meanIgnoringNaN(rep.paidYields),
+          avgVarCost: meanIgnoringNaN(rep.variableCosts),
+          avgCapCost: Number.isNaN(repCap) ? 0 : repCap,
+          avgAssets: averageAssetCosts(rep.assetCosts),
+          avgBiomassValue: biomassTotal(
+            Object.fromEntries(
+              BIOMASS_STREAMS.map((k) => [k, meanIgnoringNaN(rep.biomass[k])])
+            )
+          )
+        });
+      }
       treatments.push({
         name,
         isControl: name === controlName,
         avgYield,
         avgVarCost,
-        avgCapCost
+        avgCapCost,
+        avgAssets: averageAssetCosts(t.assetCosts),
+        avgPaidYield,
+        // Paid tonnes per recorded tonne, so a changed yield (in the break-
+        // even and risk runs) keeps the treatment's grain quality.
+        qualityFactor: avgYield > 0 ? avgPaidYield / avgYield : 1,
+        avgProtein: meanIgnoringNaN(t.proteins),
+        avgMoisture: meanIgnoringNaN(t.moistures),
+        avgHarvestBiomass: meanIgnoringNaN(t.harvestBiomass),
+        avgFloweringBiomass: meanIgnoringNaN(t.floweringBiomass),
+        avgGrazingValue: streamMeans.grazing,
+        avgNitrogenValue: streamMeans.nitrogen,
+        avgHayValue: streamMeans.hay,
+        avgBiomassValue: streamMeans.grazing + streamMeans.nitrogen + streamMeans.hay,
+        replicateMeans,
+        plots: t.plots
       });
     }
 
+    // Each reapplication rule adds a variant of its treatment, so "apply
+    // once" and the top-up strategy can be compared side by side.
+    for (const rule of state.params.reapplication.rules) {
+      const base = treatments.find(
+        (t) => t.name === rule.treatment && !t.reapplication
+      );
+      if (!base) continue;
+      const name = `${base.name} (reapplied ${reapplicationLabel(rule)})`;
+      if (treatments.some((t) => t.name === name)) continue;
+      treatments.push(
+        Object.assign({}, base, {
+          name,
+          isControl: false,
+          baseName: base.name,
+          reapplication: rule
+        })
+      );
+    }
+
     state.treatments = treatments;
   }
 
-  function computeCBA() {
-    const { treatments, controlName, params } = state;
-    if (!treatments.length || !controlName) return;
+  // Paid tonnes per recorded tonne for a plot with the given protein and
+  // moisture (%). Missing values leave that part of the schedule out. Grade
+  // and drying adjustments are shares of the price, so they are folded into
+  // the factor and scale with any grain price.
+  function qualityPriceFactor(protein, moisture, qp) {
+    let weight = 1;
+    let price = 1;
+    if (!Number.isNaN(moisture)) {
+      if (qp.standardise && moisture < 100) {
+        weight *= (100 - moisture) / (100 - qp.basisMoisture);
+      }
+      const over = Math.max(0, moisture - qp.moistureLimit);
+      weight *= Math.max(0, 1 - (over * qp.shrinkPctPerPoint) / 100);
+      price *= Math.max(0, 1 - (over * qp.dryingPctPerPoint) / 100);
+    }
+    if (!Number.isNaN(protein)) {
+      const band = qp.proteinBands
+        .filter((b) => protein >= b.min)
+        .sort((a, b) => b.min - a.min)[0];
+      if (band) price *= 1 + band.pct / 100;
+    }
+    return weight * price;
+  }
 
-    const control = treatments.find((t) => t.name === controlName) || treatments[0];
+  // Yearly value per ha of each residue and biomass stream for one plot.
+  // Streams that are off are zero; streams whose biomass is missing are NaN.
+  function biomassValues(harvestBiomass, floweringBiomass, grainYield, bs) {
+    const residue =
+      Number.isNaN(harvestBiomass) || Number.isNaN(grainYield)
+        ? NaN
+        : Math.max(0, harvestBiomass - grainYield);
+    const baled = bs.hay.enabled ? (residue * bs.hay.baledPct) / 100 : 0;
+    return {
+      grazing: bs.grazing.enabled
+        ? ((residue - baled) * bs.grazing.utilisationPct * bs.grazing.valuePerTonne) / 100
+        : 0,
+      nitrogen: bs.nitrogen.enabled
+        ? (floweringBiomass * bs.nitrogen.kgPerTonne * bs.nitrogen.availablePct * bs.nitrogen.pricePerKg) /
+          100
+        : 0,
+      hay: bs.hay.enabled ? baled * bs.hay.netValuePerTonne : 0
+    };
+  }
 
-    const price = parseNumber(params.pricePerTonne) || 0;
-    const years = Math.max(1, parseInt(params.years, 10) || 1);
-    const persistenceYears = Math.max(
-      1,
+  // Average purchase cost per ha of each asset over a set of plots; plots
+  // that do not use an asset count as zero.
+  function averageAssetCosts(plotAssets) {
+    const avg = {};
+    if (!plotAssets.length) return avg;
+    for (const assets of plotAssets) {
+      for (const [column, v] of Object.entries(assets)) {
+        avg[column] = (avg[column] || 0) + v / plotAssets.length;
+      }
+    }
+    return avg;
+  }
+
+  function defaultCostCategory(column) {
+    const lc = column.toLowerCase();
+    const rule = DEFAULT_COST_CATEGORY_RULES.find((r) =>
+      lc.startsWith(r.prefix.toLowerCase())
+    );
+    return rule ? rule.category : null;
+  }
+
+  // Line-item value for one plot after the input price edits: an item
+  // override replaces the dataset $/ha wherever the item is used, then the
+  // item and category percentage changes are applied.
+  function editedComponentValue(row, c) {
+    const raw = costCell(row, c.column);
+    if (Number.isNaN(raw)) return NaN;
+    const ip = state.inputPrices;
+    const item = ip.items[c.column] || {};
+    let v = raw;
+    if (item.value !== undefined && !Number.isNaN(item.value) && raw !== 0) {
+      v = item.value;
+    }
+    const itemPct = item.pct !== undefined && !Number.isNaN(item.pct) ? item.pct : 0;
+    const catPct = parseNumber(ip.categoryPct[c.category]);
+    return v * (1 + itemPct / 100) * (1 + (Number.isNaN(catPct) ? 0 : catPct) / 100);
+  }
+
+  // Robust z-score above which a plot is flagged (Iglewicz and Hoaglin).
+  const OUTLIER_Z = 3.5;
+
+  // Flag plots whose yield or yearly cost is far from the rest of their
+  // treatment, using the median and the median absolute deviation (MAD) so
+  // that the outlier itself does not hide the problem. Values are the
+  // dataset's, before any plot corrections. Returns one entry per row.
+  function plotOutlierFlags() {
+    const { rows } = state;
+    const cm = state.columnMap || {};
+    const rebuilt =
+      state.inputPrices.enabled && state.costCategories.plotCosts.length === rows.length;
+    const values = rows.map((r, i) => ({
+      treatment: cm.treatmentName ? String(r[cm.treatmentName] || "").trim() : "",
+      yield: cm.yield ? yieldCell(r, cm.yield) : NaN,
+      cost: rebuilt
+        ? state.costCategories.plotCosts[i].recurring
+        : cm.variableCost
+        ? costCell(r, cm.variableCost)
+        : NaN
+    }));
+
+    const median = (xs) => {
+      const sorted = xs.slice().sort((a, b) => a - b);
+      const mid = Math.floor(sorted.length / 2);
+      return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    };
+    const flags = rows.map(() => ({ yieldZ: NaN, costZ: NaN, yield: false, cost: false }));
+    const byTreatment = new Map();
+    values.forEach((v, i) => {
+      if (!v.treatment) return;
+      if (!byTreatment.has(v.treatment)) byTreatment.set(v.treatment, []);
+      byTreatment.get(v.treatment).push(i);
+    });
+    for (const indices of byTreatment.values()) {
+      for (const field of ["yield", "cost"]) {
+        const present = indices.filter((i) => !Number.isNaN(values[i][field]));
+        if (present.length < 3) continue;
+        const xs = present.map((i) => values[i][field]);
+        const med = median(xs);
+        const mad = median(xs.map((x) => Math.abs(x - med)));
+        for (const i of present) {
+          const dev = values[i][field] - med;
+          // With no spread at all, any value off the median stands out.
+          const z = mad > 0 ? (0.6745 * dev) / mad : Math.abs(dev) > 1e-9 ? Infinity * Math.sign(dev) : 0;
+          flags[i][`${field}Z`] = z;
+          flags[i][field] = Math.abs(z) > OUTLIER_Z;
+        }
+      }
+    }
+    return flags;
+  }
+
+  // Group the line-item cost columns into categories, average them per
+  // treatment and check that the included components add up to the raw
+  // total cost of each plot.
+  function computeCostBreakdown() {
+    const cc = state.costCategories;
+    const { headers, rows, columnMap } = state;
+    const totalCol = columnMap ? columnMap.totalCostRaw : null;
+    const treatmentCol = columnMap ? columnMap.treatmentName : null;
+
+    const columns = [];
+    for (const h of headers) {
+      const dflt = defaultCostCategory(h);
+      if (!dflt && !cc.overrides[h]) continue;
+
+      // A component that is larger than the plot's total cost cannot be part
+      // of it (for example a machine purchase price), so it is excluded
+      // unless the user has chosen a category for it.
+      let autoExcluded = false;
+      if (totalCol) {
+        autoExcluded = rows.some((r) => {
+          const v = costCell(r, h);
+          const tot = costCell(r, totalCol);
+          return !Number.isNaN(v) && !Number.isNaN(tot) && v > tot + 0.01;
+        });
+      }
+      const category =
+        cc.overrides[h] || (autoExcluded ? EXCLUDED_COST_CATEGORY : dflt);
+      columns.push({ column: h, category, defaultCategory: dflt, autoExcluded });
+    }
+    cc.columns = columns;
+
+    const categories = [];
+    for (const c of columns) {
+      if (c.category !== EXCLUDED_COST_CATEGORY && !categories.includes(c.category)) {
+        categories.push(c.category);
+      }
+    }
+    cc.categories = categories;
+
+    // Per-plot category sums; missing line items count as zero. Edited sums
+    // apply the input price changes, raw sums are kept for reconciliation.
+    const categorySums = (r, valueOf) => {
+      const sums = {};
+      for (const cat of categories) sums[cat] = 0;
+      for (const c of columns) {
+        if (c.category === EXCLUDED_COST_CATEGORY) continue;
+        const v = valueOf(r, c);
+        if (!Number.isNaN(v)) sums[c.category] += v;
+      }
+      return sums;
+    };
+    const rawPlotSums = rows.map((r) =>
+      categorySums(r, (row, c) => costCell(row, c.column))
+    );
+    const plotSums = state.inputPrices.enabled
+      ? rows.map((r) => categorySums(r, editedComponentValue))
+      : rawPlotSums;
+
+    // Recurring (every year) and one-off (upfront) cost of each plot, used
+    // by the aggregation when costs are rebuilt from the line items. With
+    // the capital asset model on, the Capital items are kept per asset and
+    // left out of the recurring cost.
+    const oneOff = state.inputPrices.oneOffCategories;
+    const assetsOn = state.params.capitalAssets.enabled;
+    const assetColumns = columns.filter(
+      (c) => c.category === CAPITAL_ASSET_CATEGORY
+    );
+    cc.plotCosts = plotSums.map((sums, i) => {
+      let recurring = 0;
+      let upfront = 0;
+      for (const cat of categories) {
+        if (assetsOn && cat === CAPITAL_ASSET_CATEGORY) continue;
+        if (oneOff.includes(cat)) upfront += sums[cat];
+        else recurring += sums[cat];
+      }
+      const assets = {};
+      let rawAssetTotal = 0;
+      if (assetsOn) {
+        for (const c of assetColumns) {
+          const raw = costCell(rows[i], c.column);
+          const v = state.inputPrices.enabled
+            ? editedComponentValue(rows[i], c)
+            : raw;
+          if (!Number.isNaN(raw)) rawAssetTotal += raw;
+          if (!Number.isNaN(v) && v !== 0) assets[c.column] = v;
+        }
+      }
+      return { recurring, upfront, assets, rawAssetTotal, byCategory: sums };
+    });
+
+    // Treatment averages leave out the plots excluded or given a corrected
+    // cost in Plot review, as the aggregation does.
+    const adjustments = state.adjustments.applied ? state.adjustments.plots : {};
+    const byName = new Map();
+    rows.forEach((r, i) => {
+      const adj = adjustments[i];
+      if (adj && (adj.excluded || adj.cost !== undefined)) return;
+      const name = treatmentCol ? String(r[treatmentCol] || "").trim() : "";
+      if (!name) return;
+      if (!byName.has(name)) byName.set(name, []);
+      byName.get(name).push(plotSums[i]);
+    });
+    cc.byTreatment = Array.from(byName.entries()).map(([name, list]) => {
+      const byCategory = {};
+      for (const cat of categories) {
+        byCategory[cat] = list.reduce((a, x) => a + x[cat], 0) / list.length;
+      }
+      const total = categories.reduce((a, cat) => a + byCategory[cat], 0);
+      return { name, byCategory, total };
+    });
+
+    // Reconciliation against the raw total cost column
+    if (!totalCol || !columns.length) {
+      cc.reconciliation = null;
+      return;
+    }
+    let checked = 0;
+    let matched = 0;
+    let maxAbsDiff = 0;
+    const mismatchedRows = [];
+    rows.forEach((r, i) => {
+      const tot = costCell(r, totalCol);
+      if (Number.isNaN(tot)) return;
+      checked++;
+      const sum = categories.reduce((a, cat) => a + rawPlotSums[i][cat], 0);
+      const diff = sum - tot;
+      maxAbsDiff = Math.max(maxAbsDiff, Math.abs(diff));
+      if (Math.abs(diff) <= Math.max(0.01, Math.abs(tot) * 1e-6)) matched++;
+      else mismatchedRows.push(i + 1);
+    });
+    cc.reconciliation = {
+      totalColumn: totalCol,
+      checked,
+      matched,
+      maxAbsDiff,
+      mismatchedRows,
+      excludedColumns: columns
+        .filter((c) => c.category === EXCLUDED_COST_CATEGORY)
+        .map((c) => c.column)
+    };
+  }
+
+  // Additive randomised complete block model (value ~ treatment + block)
+  // fitted by backfitting, which gives the least squares fit for balanced
+  // and connected unbalanced designs. Returns treatment effects, residual
+  // mean square and error degrees of freedom.
+  function analyseBlockDesign(observations) {
+    const obs = observations.filter((o) => !Number.isNaN(o.value));
+    const treatmentNames = Array.from(new Set(obs.map((o) => o.treatment)));
+    const blocks = Array.from(new Set(obs.map((o) => o.block)));
+    const nByTreatment = new Map();
+    for (const o of obs) {
+      nByTreatment.set(o.treatment, (nByTreatment.get(o.treatment) || 0) + 1);
+    }
+
+    const tEff = new Map(treatmentNames.map((t) => [t, 0]));
+    const bEff = new Map(blocks.map((b) => [b, 0]));
+    for (let iter = 0; iter < 500; iter++) {
+      let change = 0;
+      for (const t of treatmentNames) {
+        const own = obs.filter((o) => o.treatment === t);
+        const v = own.reduce((acc, o) => acc + o.value - bEff.get(o.block), 0) / own.length;
+        change = Math.max(change, Math.abs(v - tEff.get(t)));
+        tEff.set(t, v);
+      }
+      for (const b of blocks) {
+        const own = obs.filter((o) => o.block === b);
+        const v = own.reduce((acc, o) => acc + o.value - tEff.get(o.treatment), 0) / own.length;
+        change = Math.max(change, Math.abs(v - bEff.get(b)));
+        bEff.set(b, v);
+      }
+      if (change < 1e-10) break;
+    }
+
+    let sse = 0;
+    for (const o of obs) {
+      const resid = o.value - tEff.get(o.treatment) - bEff.get(o.block);
+      sse += resid * resid;
+    }
+    const dfError = obs.length - treatmentNames.length - blocks.length + 1;
+
+    // Normal equations X'X of the same model, with the first block's effect
+    // fixed at zero. The variance of a difference between two treatments is
+    // mse * c'(X'X)^-1 c, which reduces to 1/nA + 1/nB only when every
+    // treatment has the same number of plots in every block.
+    const tIndex = new Map(treatmentNames.map((t, i) => [t, i]));
+    const bIndex = new Map(blocks.slice(1).map((b, i) => [b, treatmentNames.length + i]));
+    const size = treatmentNames.length + blocks.length - 1;
+    const xtx = Array.from({ length: size }, () => new Array(size).fill(0));
+    for (const o of obs) {
+      const cols = [tIndex.get(o.treatment)];
+      if (bIndex.has(o.block)) cols.push(bIndex.get(o.block));
+      for (const i of cols) for (const j of cols) xtx[i][j] += 1;
+    }
+    const differenceVariance = (a, b) => {
+      if (!tIndex.has(a) || !tIndex.has(b)) return NaN;
+      const c = new Array(size).fill(0);
+      c[tIndex.get(a)] = 1;
+      c[tIndex.get(b)] = -1;
+      const x = solveLinearSystem(xtx, c);
+      return x ? c.reduce((acc, ci, i) => acc + ci * x[i], 0) : NaN;
+    };
+
+    return {
+      treatmentEffects: tEff,
+      nByTreatment,
+      nBlocks: blocks.length,
+      dfError,
+      mse: dfError > 0 ? sse / dfError : NaN,
+      differenceVariance
+    };
+  }
+
+  // Standard errors, 95% intervals and LSD / Dunnett tests for the yield
+  // and net profit differences between each treatment and the control.
+  function computeSignificance(results, treatments, controlName, factors) {
+    const { price, factorCosts, assetPv, factorsFor, factorBaseline, baseline } = factors;
+    const baseRevenue = Number.isFinite(baseline.grain)
+      ? baseline.grain + baseline.biomass
+      : 0;
+    const npvObsOf = (t, label) => {
+      const { factorBenefits, upfrontFactor } = factorsFor(t.name);
+      // Only the gain over the control's mean revenue follows a
+      // reapplication's restarted response.
+      const offset = baseRevenue * (factorBaseline - factorBenefits);
+      return (t.plots || []).map((p) => {
+        const cap =
+          (Number.isNaN(p.capCost) ? 0 : p.capCost) * upfrontFactor +
+          assetPv(p.assets);
+        return {
+          treatment: label,
+          block: p.replicate === null ? "all" : p.replicate,
+          value:
+            (p.paidYield * price + (p.biomassValue || 0)) * factorBenefits +
+            offset -
+            p.varCost * factorCosts -
+            cap
+        };
+      });
+    };
+    // Reapplication variants reuse their base treatment's plots, so they
+    // are left out of the design and tested separately below.
+    const design = treatments.filter((t) => !t.reapplication);
+    const yieldObs = [];
+    const npvObs = [];
+    for (const t of design) {
+      for (const p of t.plots || []) {
+        const block = p.replicate === null ? "all" : p.replicate;
+        yieldObs.push({ treatment: t.name, block, value: p.yield });
+      }
+      npvObs.push(...npvObsOf(t, t.name));
+    }
+
+    const yieldFit = analyseBlockDesign(yieldObs);
+    const npvFit = analyseBlockDesign(npvObs);
+    const df = yieldFit.dfError;
+    const stats = {
+      dfError: df,
+      mseYield: yieldFit.mse,
+      tCrit: NaN,
+      dunnettCrit: NaN,
+      lsdYield: [NaN, NaN] // smallest and largest, as plot numbers differ
+    };
+    if (!(df > 0) || !yieldFit.treatmentEffects.has(controlName)) {
+      for (const r of results) {
+        r.yieldDiff = NaN;
+        r.yieldDiffSe = NaN;
+        r.yieldDiffCi = [NaN, NaN];
+        r.deltaNpvSe = NaN;
+        r.deltaNpvCi = [NaN, NaN];
+        r.pValue = NaN;
+        r.lsdSignificant = false;
+        r.dunnettSignificant = false;
+        r.yieldLsdSignificant = false;
+        r.yieldDunnettSignificant = false;
+      }
+      return stats;
+    }
+
+    const nControl = yieldFit.nByTreatment.get(controlName);
+    const others = results.filter((r) => !r.isControl);
+    const measured = others.filter((r) => yieldFit.nByTreatment.has(r.name));
+    const avgN =
+      measured.reduce((acc, r) => acc + yieldFit.nByTreatment.get(r.name), 0) /
+      Math.max(1, measured.length);
+    const rho = avgN > 0 ? avgN / (avgN + nControl) : 0.5;
+
+    // Reapplication variants are not in the fit, so the Dunnett family is
+    // the fitted treatments other than the control. Each fit is judged on
+    // its own error degrees of freedom.
+    const criticalValues = (fitDf) =>
+      fitDf > 0
+        ? {
+            t: studentTQuantile(0.975, fitDf),
+            dunnett: dunnettCritical(measured.length, fitDf, rho)
+          }
+        : { t: NaN, dunnett: NaN };
+    const yieldCrit = criticalValues(df);
+    stats.tCrit = yieldCrit.t;
+    stats.dunnettCrit = yieldCrit.dunnett;
+
+    const cYield = yieldFit.treatmentEffects.get(controlName);
+    for (const r of results) {
+      const nT = yieldFit.nByTreatment.get(r.name);
+      if (r.isControl || !nT) {
+        r.yieldDiff = r.isControl ? 0 : NaN;
+        r.yieldDiffSe = NaN;
+        r.yieldDiffCi = [NaN, NaN];
+        r.deltaNpvSe = NaN;
+        r.deltaNpvCi = [NaN, NaN];
+        r.pValue = NaN;
+        r.lsdSignificant = false;
+        r.dunnettSignificant = false;
+        r.yieldLsdSignificant = false;
+        r.yieldDunnettSignificant = false;
+        continue;
+      }
+      r.yieldDiff = yieldFit.treatmentEffects.get(r.name) - cYield;
+      r.yieldDiffSe = Math.sqrt(
+        yieldFit.mse * yieldFit.differenceVariance(r.name, controlName)
+      );
+      const lsd = stats.tCrit * r.yieldDiffSe;
+      stats.lsdYield = [
+        Number.isNaN(stats.lsdYield[0]) ? lsd : Math.min(stats.lsdYield[0], lsd),
+        Number.isNaN(stats.lsdYield[1]) ? lsd : Math.max(stats.lsdYield[1], lsd)
+      ];
+      r.yieldDiffCi = [
+        r.yieldDiff - stats.tCrit * r.yieldDiffSe,
+        r.yieldDiff + stats.tCrit * r.yieldDiffSe
+      ];
+
+      setNpvStats(r, npvFit, r.name);
+      r.yieldLsdSignificant =
+        Math.abs(r.yieldDiff / r.yieldDiffSe) > stats.tCrit;
+      r.yieldDunnettSignificant =
+        Math.abs(r.yieldDiff / r.yieldDiffSe) > stats.dunnettCrit;
+    }
+
+    // A variant has its base treatment's yield difference; its net profit
+    // is tested by refitting with the variant's plots in place of the base.
+    for (const t of treatments.filter((x) => x.reapplication)) {
+      const r = results.find((x) => x.name === t.name);
+      const base = results.find((x) => x.name === t.baseName);
+      if (!r || !base || base.isControl || !yieldFit.nByTreatment.get(base.name)) {
+        continue;
+      }
+      for (const key of [
+        "yieldDiff",
+        "yieldDiffSe",
+        "yieldDiffCi",
+        "yieldLsdSignificant",
+        "yieldDunnettSignificant"
+      ]) {
+        r[key] = base[key];
+      }
+      const fit = analyseBlockDesign(
+        npvObs
+          .filter((o) => o.treatment !== base.name)
+          .concat(npvObsOf(t, base.name))
+      );
+      setNpvStats(r, fit, base.name);
+    }
+    return stats;
+
+    function setNpvStats(r, fit, effectName) {
+      const crit = criticalValues(fit.dfError);
+      r.deltaNpvSe = Math.sqrt(fit.mse * fit.differenceVariance(effectName, controlName));
+      const npvDiff =
+        fit.treatmentEffects.get(effectName) - fit.treatmentEffects.get(controlName);
+      // The interval is centred on the block-model estimate that is tested,
+      // so it excludes zero exactly when the difference is significant.
+      r.deltaNpvCi = [
+        npvDiff - crit.t * r.deltaNpvSe,
+        npvDiff + crit.t * r.deltaNpvSe
+      ];
+      const tStat = npvDiff / r.deltaNpvSe;
+      r.pValue = Number.isFinite(tStat)
+        ? 2 * (1 - studentTCdf(Math.abs(tStat), fit.dfError))
+        : NaN;
+      r.lsdSignificant = Math.abs(tStat) > crit.t;
+      r.dunnettSignificant = Math.abs(tStat) > crit.dunnett;
+    }
+  }
+
+  // Settings for one capital asset, falling back to the defaults for its
+  // kind of machine.
+  function capitalAssetRule(column, capitalParams) {
+    const lc = column.toLowerCase();
+    const match = DEFAULT_ASSET_LIVES.find((d) => lc.includes(d.match));
+    const defaults = {
+      purchaseYear: 0,
+      life: match ? match.life : 10,
+      salvagePct: DEFAULT_ASSET_SALVAGE_PCT,
+      replace: true
+    };
+    const custom = (capitalParams && capitalParams.assets[column]) || {};
+    return Object.assign(defaults, custom);
+  }
+
+  // Year-by-year outlays (index 0 is the start, before the first season) for
+  // an asset bought for `cost` per ha. At the end of each useful life the
+  // asset is sold for its salvage value and, if it is replaced, bought
+  // again. An asset still held at the end of the horizon is valued by
+  // straight-line depreciation towards its salvage value.
+  function capitalAssetSchedule(rule, cost, years) {
+    const outlays = new Array(years + 1).fill(0);
+    const life = Math.max(1, Math.round(rule.life) || 1);
+    const salvage = (cost * (parseNumber(rule.salvagePct) || 0)) / 100;
+    let residual = 0;
+    let t = Math.max(0, Math.round(rule.purchaseYear) || 0);
+    while (t < years) {
+      outlays[t] += cost;
+      const end = t + life;
+      if (end > years) {
+        residual = cost - ((cost - salvage) * (years - t)) / life;
+        break;
+      }
+      outlays[end] -= salvage;
+      if (!rule.replace) break;
+      t = end;
+    }
+    return { outlays, residual };
+  }
+
+  // Equivalent annual cost of owning the asset over one useful life: the
+  // purchase cost less the discounted salvage value, spread with the
+  // capital recovery factor.
+  function annualisedAssetCost(rule, cost, discountRatePct) {
+    const r = (parseNumber(discountRatePct) || 0) / 100;
+    const life = Math.max(1, Math.round(rule.life) || 1);
+    const salvage = (cost * (parseNumber(rule.salvagePct) || 0)) / 100;
+    if (r === 0) return (cost - salvage) / life;
+    const crf = r / (1 - Math.pow(1 + r, -life));
+    return (cost - salvage / Math.pow(1 + r, life)) * crf;
+  }
+
+  // Capital cost per ha in each year 0..years for a set of assets
+  // ({ column: purchase cost }), either from the purchase and resale
+  // schedule (with the remaining value credited in the final year) or as an
+  // annualised cost charged every year from the purchase year onwards.
+  function capitalAssetOutlays(assetCosts, params, years) {
+    const byYear = new Array(years + 1).fill(0);
+    const capitalParams = params.capitalAssets;
+    if (!capitalParams || !capitalParams.enabled || !assetCosts) return byYear;
+    for (const [column, cost] of Object.entries(assetCosts)) {
+      if (Number.isNaN(cost) || cost === 0) continue;
+      const rule = capitalAssetRule(column, capitalParams);
+      if (capitalParams.method === "annualised") {
+        const start = Math.max(0, Math.round(rule.purchaseYear) || 0);
+        const eac = annualisedAssetCost(rule, cost, params.discountRate);
+        for (let t = start + 1; t <= years; t++) byYear[t] += eac;
+      } else {
+        const { outlays, residual } = capitalAssetSchedule(rule, cost, years);
+        outlays.forEach((x, t) => {
+          byYear[t] += x;
+        });
+        byYear[years] -= residual;
+      }
+    }
+    return byYear;
+  }
+
+  function capitalAssetsPv(assetCosts, params, years) {
+    const r = (parseNumber(params.discountRate) || 0) / 100;
+    return capitalAssetOutlays(assetCosts, params, years).reduce(
+      (pv, x, t) => pv + x / Math.pow(1 + r, t),
+      0
+    );
+  }
+
+  // Share of the full yield benefit received in each year under the
+  // selected response profile. Index 0 is the start (no harvest yet).
+  // "constant" keeps the full benefit for the years that gains last, then
+  // nothing; "linear" falls in equal steps to zero after that many years;
+  // "exponential" halves every half-life; "custom" uses the user's table
+  // and gives nothing after its last year.
+  function responseMultipliers(params, years) {
+    const profile = params.responseProfile || { type: "constant" };
+    const persistenceYears = Math.max(
+      1,
+      Math.min(years, parseInt(params.persistenceYears, 10) || years)
+    );
+    const halfLife = parseNumber(profile.halfLife);
+    const custom = profile.custom || [];
+    const multipliers = [0];
+    for (let t = 1; t <= years; t++) {
+      let m;
+      if (profile.type === "linear") {
+        m = Math.max(0, 1 - (t - 1) / persistenceYears);
+      } else if (profile.type === "exponential") {
+        m = halfLife > 0 ? Math.pow(0.5, (t - 1) / halfLife) : 0;
+      } else if (profile.type === "custom") {
+        m = t <= custom.length ? custom[t - 1] : 0;
+      } else {
+        m = t <= persistenceYears ? 1 : 0;
+      }
+      multipliers.push(m);
+    }
+    return multipliers;
+  }
+
+  function formatResponseProfile(profile) {
+    if (!profile || profile.type === "constant") {
+      return "full yield gain for the years that gains last, then none";
+    }
+    if (profile.type === "linear") {
+      return "yield gain falling in equal steps to zero over the years that gains last";
+    }
+    if (profile.type === "exponential") {
+      return `yield gain halving every ${formatNumber(profile.halfLife, 1)} years`;
+    }
+    return `custom yearly multipliers (${profile.custom
+      .map((m) => formatNumber(m, 2))
+      .join(", ")})`;
+  }
+
+  // Years (after the first application at the start) in which a
+  // reapplication rule tops up the amendment, within the horizon.
+  function reapplicationYears(rule, years) {
+    let list = [];
+    if (rule.mode === "years") {
+      list = (rule.years || []).map((y) => Math.round(y));
+    } else {
+      const every = Math.round(parseNumber(rule.interval));
+      if (every >= 1) {
+        for (let y = every; y < years; y += every) list.push(y);
+      }
+    }
+    return Array.from(new Set(list.filter((y) => y > 0 && y < years))).sort(
+      (a, b) => a - b
+    );
+  }
+
+  function reapplicationLabel(rule) {
+    const when =
+      rule.mode === "years"
+        ? `in year${rule.years.length === 1 ? "" : "s"} ${rule.years.join(", ")}`
+        : `every ${rule.interval} years`;
+    const rate = parseNumber(rule.ratePct);
+    return rate !== 100 && !Number.isNaN(rate) ? `${when} at ${rate}% rate` : when;
+  }
+
+  // Yield-benefit multipliers and upfront cost shares by year for one
+  // treatment. Each reapplication repeats the upfront amendment and
+  // application cost at its rate and restarts the response curve, scaled
+  // by the rate; the response in a year is the largest of the curves from
+  // the applications made so far. The multipliers apply to the treatment's
+  // gain over the control only; the control's own revenue stays on the
+  // shared curve.
+  function reapplicationTimeline(rule, baseMultipliers, years) {
+    const upfrontShares = new Array(years + 1).fill(0);
+    upfrontShares[0] = 1;
+    if (!rule) return { multipliers: baseMultipliers, upfrontShares };
+
+    const rate = Math.max(0, parseNumber(rule.ratePct) || 0) / 100;
+    const appYears = reapplicationYears(rule, years);
+    for (const y of appYears) upfrontShares[y] += rate;
+    const multipliers = baseMultipliers.map((m, t) => {
+      let best = m;
+      for (const y of appYears) {
+        if (y < t) best = Math.max(best, rate * baseMultipliers[t - y]);
+      }
+      return best;
+    });
+    return { multipliers, upfrontShares };
+  }
+
+  // Tonnes per ha the grain is paid on: the yield, adjusted for quality
+  // when quality pricing is on.
+  function paidYieldOf(t) {
+    return parseNumber(t.avgYield) * (t.qualityFactor || 1);
+  }
+
+  // Pure CBA run: returns the results object for the given treatments,
+  // control and parameters without touching state. Used for the base
+  // scenario and for every scenario in the sensitivity grid.
+  function runCBA(treatments, controlName, params, options = {}) {
+    if (!treatments.length || !controlName) return null;
+
+    const price = parseNumber(params.pricePerTonne) || 0;
+    const years = Math.max(1, parseInt(params.years, 10) || 1);
+    const persistenceYears = Math.max(
+      1,
       Math.min(years, parseInt(params.persistenceYears, 10) || years)
     );
     const discountRate = parseNumber(params.discountRate);
-    const factorBenefits = discountFactorSum(discountRate, persistenceYears);
+    const multipliers = responseMultipliers(params, years);
     const factorCosts = discountFactorSum(discountRate, years);
+    const pvOf = (byYear) =>
+      byYear.reduce((sum, x, t) => sum + x / Math.pow(1 + discountRate / 100, t), 0);
+
+    // Benefit and upfront cost factors per treatment; they differ from the
+    // shared ones only for reapplication variants.
+    const timelines = new Map();
+    for (const t of treatments) {
+      const tl = reapplicationTimeline(t.reapplication, multipliers, years);
+      timelines.set(t.name, {
+        multipliers: tl.multipliers,
+        upfrontShares: tl.upfrontShares,
+        factorBenefits: pvOf(tl.multipliers),
+        upfrontFactor: pvOf(tl.upfrontShares)
+      });
+    }
+    const factorsFor = (name) => timelines.get(name);
+    const factorBaseline = pvOf(multipliers);
+
+    // The control's revenue per ha by stream. A reapplication restarts the
+    // response only on a treatment's gain over this baseline.
+    const controlT =
+      treatments.find((t) => t.name === controlName) || treatments[0];
+    const baseline = {
+      grain: paidYieldOf(controlT) * price,
+      grazing: controlT.avgGrazingValue || 0,
+      nitrogen: controlT.avgNitrogenValue || 0,
+      hay: controlT.avgHayValue || 0
+    };
+    baseline.biomass = baseline.grazing + baseline.nitrogen + baseline.hay;
+    const pvStream = (value, base, factor) =>
+      factor === factorBaseline || !Number.isFinite(base)
+        ? value * factor
+        : base * factorBaseline + (value - base) * factor;
 
     const results = [];
     for (const t of treatments) {
       const avgYield = parseNumber(t.avgYield);
       const avgVarCost = parseNumber(t.avgVarCost);
       const avgCapCost = parseNumber(t.avgCapCost);
+      const { factorBenefits, upfrontFactor } = factorsFor(t.name);
 
-      const pvBenefits = Number.isNaN(avgYield)
+      // Grain plus any residue and biomass streams, which follow the same
+      // response over time as the yield gain.
+      const pvGrain = Number.isNaN(avgYield)
         ? NaN
-        : avgYield * price * factorBenefits;
+        : pvStream(paidYieldOf(t) * price, baseline.grain, factorBenefits);
+      const pvGrazing = pvStream(t.avgGrazingValue || 0, baseline.grazing, factorBenefits);
+      const pvNitrogen = pvStream(t.avgNitrogenValue || 0, baseline.nitrogen, factorBenefits);
+      const pvHay = pvStream(t.avgHayValue || 0, baseline.hay, factorBenefits);
+      const pvBenefits = pvGrain + pvGrazing + pvNitrogen + pvHay;
       const pvVarCosts = Number.isNaN(avgVarCost)
         ? NaN
         : avgVarCost * factorCosts;
-      const pvCapCosts = Number.isNaN(avgCapCost) ? 0 : avgCapCost;
+      const pvCapitalAssets = capitalAssetsPv(t.avgAssets, params, years);
+      const pvCapCosts =
+        (Number.isNaN(avgCapCost) ? 0 : avgCapCost * upfrontFactor) +
+        pvCapitalAssets;
       const pvTotalCosts =
         Number.isNaN(pvVarCosts) && Number.isNaN(pvCapCosts)
           ? NaN
@@ -342,6 +2524,11 @@
         avgYield,
         avgVarCost,
         avgCapCost,
+        pvCapitalAssets,
+        pvGrain,
+        pvGrazing,
+        pvNitrogen,
+        pvHay,
         pvBenefits,
         pvTotalCosts,
         npv,
@@ -356,16 +2543,87 @@
     const cPvCosts = controlRes.pvTotalCosts;
     const cNpv = controlRes.npv;
 
-    // Differences vs control and ranking
+    // Differences vs the pooled control mean
+    for (const r of results) {
+      r.pooledDeltaPvBenefits = r.pvBenefits - cPvBenefits;
+      r.pooledDeltaPvCosts = r.pvTotalCosts - cPvCosts;
+      r.pooledDeltaNpv = r.npv - cNpv;
+    }
+
+    // Differences vs the control plot(s) in the same replicate, averaged
+    // over the replicates where both the treatment and control were measured.
+    const controlByRep = new Map(
+      ((controlT && controlT.replicateMeans) || []).map((m) => [m.replicate, m])
+    );
+    for (const r of results) {
+      const t = treatments.find((x) => x.name === r.name);
+      const replicateDeltas = [];
+      for (const m of (t && t.replicateMeans) || []) {
+        const c = controlByRep.get(m.replicate);
+        if (!c) continue;
+        const tf = factorsFor(r.name);
+        const cf = factorsFor(controlRes.name);
+        const dYield = m.avgYield - c.avgYield;
+        const dVarCost = m.avgVarCost - c.avgVarCost;
+        const dCapCost = m.avgCapCost - c.avgCapCost;
+        const dPvBenefits =
+          ((m.avgPaidYield - c.avgPaidYield) * price +
+            (m.avgBiomassValue || 0) -
+            (c.avgBiomassValue || 0)) *
+          tf.factorBenefits;
+        const dPvCosts =
+          dVarCost * factorCosts +
+          m.avgCapCost * tf.upfrontFactor -
+          c.avgCapCost * cf.upfrontFactor +
+          capitalAssetsPv(m.avgAssets, params, years) -
+          capitalAssetsPv(c.avgAssets, params, years);
+        replicateDeltas.push({
+          replicate: m.replicate,
+          deltaYield: dYield,
+          deltaVarCost: dVarCost,
+          deltaCapCost: dCapCost,
+          deltaPvBenefits: dPvBenefits,
+          deltaPvCosts: dPvCosts,
+          deltaNpv: dPvBenefits - dPvCosts
+        });
+      }
+      replicateDeltas.sort((a, b) =>
+        a.replicate.localeCompare(b.replicate, undefined, { numeric: true })
+      );
+      r.replicateDeltas = replicateDeltas;
+      r.replicateDeltaPvBenefits = meanIgnoringNaN(
+        replicateDeltas.map((d) => d.deltaPvBenefits)
+      );
+      r.replicateDeltaPvCosts = meanIgnoringNaN(
+        replicateDeltas.map((d) => d.deltaPvCosts)
+      );
+      r.replicateDeltaNpv = meanIgnoringNaN(
+        replicateDeltas.map((d) => d.deltaNpv)
+      );
+      r.replicatesBetter = replicateDeltas.filter((d) => d.deltaNpv > 0).length;
+    }
+
+    // Headline differences follow the selected comparison mode
+    const byReplicate =
+      params.comparisonMode === "replicate" &&
+      !Number.isNaN(controlRes.replicateDeltaNpv);
     for (const r of results) {
-      r.deltaPvBenefits = r.pvBenefits - cPvBenefits;
-      r.deltaPvCosts = r.pvTotalCosts - cPvCosts;
-      r.deltaNpv = r.npv - cNpv;
+      if (byReplicate) {
+        r.deltaPvBenefits = r.replicateDeltaPvBenefits;
+        r.deltaPvCosts = r.replicateDeltaPvCosts;
+        r.deltaNpv = r.replicateDeltaNpv;
+      } else {
+        r.deltaPvBenefits = r.pooledDeltaPvBenefits;
+        r.deltaPvCosts = r.pooledDeltaPvCosts;
+        r.deltaNpv = r.pooledDeltaNpv;
+      }
     }
 
+    // Ranking by the difference from control; in pooled mode this is the
+    // same order as ranking by net profit.
     results.sort((a, b) => {
-      const aVal = Number.isNaN(a.npv) ? -Infinity : a.npv;
-      const bVal = Number.isNaN(b.npv) ? -Infinity : b.npv;
+      const aVal = Number.isNaN(a.deltaNpv) ? -Infinity : a.deltaNpv;
+      const bVal = Number.isNaN(b.deltaNpv) ? -Infinity : b.deltaNpv;
       return bVal - aVal;
     });
 
@@ -373,103 +2631,1212 @@
       r.rank = idx + 1;
     });
 
-    state.results = {
+    const stats = options.skipStats
+      ? null
+      : computeSignificance(results, treatments, controlRes.name, {
+          price,
+          factorCosts,
+          factorsFor,
+          factorBaseline,
+          baseline,
+          assetPv: (assets) => capitalAssetsPv(assets, params, years)
+        });
+
+    return {
       treatments: results,
       control: controlRes,
       price,
       years,
       persistenceYears,
-      discountRate
+      discountRate,
+      multipliers,
+      timelines,
+      baseline,
+      comparisonMode: byReplicate ? "replicate" : "pooled",
+      stats
     };
   }
 
-  // =========================
-  // 4) RENDERING
-  // =========================
-
-  function renderOverview() {
-    const container = document.getElementById("overviewSummary");
-    if (!container) return;
-    container.innerHTML = "";
-
-    if (!state.rows.length || !state.treatments.length) {
-      container.innerHTML = `<p class="small muted">No dataset loaded yet.</p>`;
-      return;
+  // Year-by-year cash flows per ha for one treatment: benefits, yearly
+  // costs, capital, net and discounted net from the start (year 0) to the
+  // end of the horizon. The discounted net adds up to the treatment's NPV.
+  function buildCashFlows(t, results, params) {
+    const { price, years, discountRate, baseline } = results;
+    const { multipliers, upfrontShares } = results.timelines.get(t.name);
+    const revenue = paidYieldOf(t) * price + (t.avgBiomassValue || 0);
+    const baseRevenue = Number.isFinite(baseline.grain)
+      ? baseline.grain + baseline.biomass
+      : revenue;
+    const avgVarCost = parseNumber(t.avgVarCost);
+    const avgCapCost = parseNumber(t.avgCapCost);
+    const capital = capitalAssetOutlays(t.avgAssets, params, years);
+    const rows = [];
+    let cumulative = 0;
+    for (let year = 0; year <= years; year++) {
+      const benefits =
+        year === 0
+          ? 0
+          : baseRevenue * results.multipliers[year] +
+            (revenue - baseRevenue) * multipliers[year];
+      const variableCosts = year === 0 ? 0 : avgVarCost;
+      const capitalCosts =
+        (Number.isNaN(avgCapCost) ? 0 : avgCapCost * upfrontShares[year]) +
+        capital[year];
+      const net = benefits - variableCosts - capitalCosts;
+      const discountFactor = 1 / Math.pow(1 + discountRate / 100, year);
+      cumulative += net * discountFactor;
+      rows.push({
+        year,
+        multiplier: multipliers[year],
+        benefits,
+        variableCosts,
+        capitalCosts,
+        net,
+        discountFactor,
+        discountedNet: net * discountFactor,
+        cumulativeDiscountedNet: cumulative
+      });
     }
+    return rows;
+  }
 
-    const nPlots = state.rows.length;
-    const nTreatments = state.treatments.length;
-    const nReplicates = new Set(
-      state.rows
-        .map((r) =>
-          state.columnMap && state.columnMap.replicate
-            ? r[state.columnMap.replicate]
-            : null
-        )
-        .filter((x) => x !== null && x !== undefined && String(x).trim() !== "")
-    ).size;
+  // Rates at which a cash flow series (year 0 first) has zero net present
+  // value. Roots are bracketed on a grid from -99% to 1000% and refined by
+  // bisection, so every root in that range is found, not just the first.
+  function findIrrs(flows) {
+    const npvAt = (rate) =>
+      flows.reduce((sum, x, t) => sum + x / Math.pow(1 + rate, t), 0);
+    const grid = [];
+    for (let i = -99; i < 100; i++) grid.push(i / 100);
+    for (let i = 10; i <= 100; i++) grid.push(i / 10);
+    const roots = [];
+    for (let i = 0; i < grid.length - 1; i++) {
+      let lo = grid[i];
+      let hi = grid[i + 1];
+      let fLo = npvAt(lo);
+      const fHi = npvAt(hi);
+      if (fLo === 0) {
+        roots.push(lo);
+        continue;
+      }
+      if (fLo * fHi > 0) continue;
+      for (let k = 0; k < 60; k++) {
+        const mid = (lo + hi) / 2;
+        const fMid = npvAt(mid);
+        if (fLo * fMid <= 0) {
+          hi = mid;
+        } else {
+          lo = mid;
+          fLo = fMid;
+        }
+      }
+      roots.push((lo + hi) / 2);
+    }
+    return roots.filter((r, i) => i === 0 || Math.abs(r - roots[i - 1]) > 1e-6);
+  }
 
-    const controlName = state.controlName || "Not identified";
+  // Years until the running total of a cash flow series turns from negative
+  // to zero or above for the last time, interpolated within the year; a
+  // later dip below zero, such as a reapplication, moves it on. Zero if it
+  // is never negative and NaN if it ends the horizon below zero.
+  function paybackPeriod(flows) {
+    let cumulative = 0;
+    let payback = 0;
+    for (let t = 0; t < flows.length; t++) {
+      const before = cumulative;
+      cumulative += flows[t];
+      if (cumulative < -1e-9) payback = NaN;
+      else if (Number.isNaN(payback)) payback = t - 1 + -before / flows[t];
+    }
+    return payback;
+  }
 
-    const cards = [
-      {
-        label: "Plots in dataset",
-        value: nPlots
-      },
-      {
-        label: "Distinct treatments",
-        value: nTreatments
-      },
-      {
-        label: "Replicates",
-        value: nReplicates || "–"
-      },
-      {
-        label: "Control treatment",
-        value: controlName
+  // Investment metrics on the incremental cash flow of a treatment over the
+  // control (treatment net minus control net, year by year). The IRR is
+  // only reported when exactly one rate gives zero NPV; otherwise irrNote
+  // says why it is undefined or lists the rates found. The equivalent
+  // annual benefit spreads the same flows' NPV, so all the metrics share
+  // one basis.
+  function computeInvestmentMetrics(flows, params) {
+    const discount = (parseNumber(params.discountRate) || 0) / 100;
+    const reinvest =
+      (Number.isNaN(parseNumber(params.reinvestmentRate))
+        ? parseNumber(params.discountRate) || 0
+        : parseNumber(params.reinvestmentRate)) / 100;
+    const n = flows.length - 1;
+    const hasNeg = flows.some((x) => x < -1e-9);
+    const hasPos = flows.some((x) => x > 1e-9);
+
+    let irr = NaN;
+    let irrNote = "";
+    if (!hasNeg && !hasPos) {
+      irrNote = "Same cash flow as the control";
+    } else if (!hasNeg) {
+      irrNote = "No extra outlay: ahead of the control every year";
+    } else if (!hasPos) {
+      irrNote = "Never ahead of the control";
+    } else {
+      const roots = findIrrs(flows);
+      if (roots.length === 1) {
+        irr = roots[0] * 100;
+      } else if (roots.length > 1) {
+        irrNote = `Multiple rates (${roots
+          .map((x) => `${formatNumber(x * 100, 1)}%`)
+          .join(", ")})`;
+      } else {
+        irrNote = "No rate between -99% and 1000% breaks even";
       }
-    ];
+    }
 
-    for (const c of cards) {
-      const div = document.createElement("div");
-      div.className = "summary-card";
-      div.innerHTML = `
-        <div class="summary-card-label">${c.label}</div>
-        <div class="summary-card-value">${c.value}</div>
-      `;
-      container.appendChild(div);
+    let mirr = NaN;
+    if (hasNeg && hasPos && n > 0) {
+      let pvOutlays = 0;
+      let fvReturns = 0;
+      flows.forEach((x, t) => {
+        if (x < 0) pvOutlays += x / Math.pow(1 + discount, t);
+        else fvReturns += x * Math.pow(1 + reinvest, n - t);
+      });
+      mirr = (Math.pow(fvReturns / -pvOutlays, 1 / n) - 1) * 100;
     }
-  }
 
-  function renderDataSummaryAndChecks() {
-    const summaryEl = document.getElementById("dataSummary");
-    const checksEl = document.getElementById("dataChecks");
-    if (!summaryEl || !checksEl) return;
+    const discounted = flows.map((x, t) => x / Math.pow(1 + discount, t));
+    const crf =
+      n <= 0 ? NaN : discount === 0 ? 1 / n : discount / (1 - Math.pow(1 + discount, -n));
+
+    return {
+      irr,
+      irrNote,
+      mirr,
+      paybackYears: paybackPeriod(flows),
+      discountedPaybackYears: paybackPeriod(discounted),
+      equivalentAnnualBenefit: discounted.reduce((acc, x) => acc + x, 0) * crf
+    };
+  }
 
-    if (!state.rows.length || !state.headers.length) {
-      summaryEl.textContent = "No dataset loaded.";
-      checksEl.innerHTML = "";
-      return;
+  function computeCBA() {
+    const { treatments, controlName, params } = state;
+    const results = runCBA(treatments, controlName, params);
+    if (!results) return;
+    for (const r of results.treatments) {
+      const t = treatments.find((x) => x.name === r.name);
+      r.cashFlows = t ? buildCashFlows(t, results, params) : [];
     }
+    const control = results.control;
+    for (const r of results.treatments) {
+      const flows = r.isControl
+        ? []
+        : r.cashFlows.map((cf, i) => cf.net - control.cashFlows[i].net);
+      Object.assign(
+        r,
+        r.isControl
+          ? {
+              irr: NaN,
+              irrNote: "",
+              mirr: NaN,
+              paybackYears: NaN,
+              discountedPaybackYears: NaN,
+              equivalentAnnualBenefit: NaN
+            }
+          : computeInvestmentMetrics(flows, params)
+      );
+    }
+    state.results = results;
+  }
 
-    const nRows = state.rows.length;
-    const nCols = state.headers.length;
-    summaryEl.textContent = `${nRows} plot rows, ${nCols} columns. All rows and columns are used in calculations.`;
+  // The results and everything derived from them, in dependency order.
+  function computeAnalyses() {
+    computeCBA();
+    computeFinance();
+    computeBreakEven();
+    computePartialBudgets();
+    computeFarmScaling();
+    computeMarginalAnalysis();
+    computeFactorialDecomposition();
+  }
 
-    const cm = state.columnMap;
-    const checks = [];
+  // Value of x at which a straight line through (x0, y0) and (x1, y1)
+  // crosses zero; NaN when the line is flat.
+  function linearZero(x0, y0, x1, y1) {
+    const slope = (y1 - y0) / (x1 - x0);
+    if (!Number.isFinite(slope) || Math.abs(slope) < 1e-12) return NaN;
+    return x0 - y0 / slope;
+  }
 
-    const addCheck = (ok, label, detail, severity) => {
-      checks.push({ ok, label, detail, severity });
+  // Break-even points for each non-control treatment: the grain price, the
+  // yield gain over control and the upfront amendment cost at which its
+  // difference in net profit is zero, and the fewest years of yield gains
+  // that make it pay. The difference is linear in price, yield and upfront
+  // cost, so two CBA runs locate each break-even exactly; persistence is
+  // searched year by year.
+  function computeBreakEven() {
+    const { treatments, controlName, params } = state;
+    state.breakEven = [];
+    if (!state.results.treatments.length || !controlName) return;
+
+    const deltas = (ts, p) => {
+      const res = runCBA(ts, controlName, p, { skipStats: true });
+      return new Map(res ? res.treatments.map((r) => [r.name, r.deltaNpv]) : []);
     };
+    const adjust = (change) =>
+      treatments.map((t) =>
+        t.name === controlName
+          ? t
+          : Object.assign({}, t, change(t, t), {
+              replicateMeans: t.replicateMeans.map((m) =>
+                Object.assign({}, m, change(m, t))
+              )
+            })
+      );
+    // A recorded tonne more is paid at the treatment's quality, in both the
+    // pooled and the same-replicate comparisons.
+    const shiftYield = (by) => (x, t) => ({
+      avgYield: x.avgYield + by,
+      avgPaidYield: x.avgPaidYield + by * (t.qualityFactor || 1)
+    });
 
-    const addColCheck = (purpose, colName) => {
-      if (colName) {
-        addCheck(
-          true,
-          `${purpose} column found`,
-          `"${colName}" is used for ${purpose.toLowerCase()}.`,
-          "ok"
+    const atPrice0 = deltas(treatments, Object.assign({}, params, { pricePerTonne: 0 }));
+    const atPrice1 = deltas(treatments, Object.assign({}, params, { pricePerTonne: 1 }));
+    const atShift0 = deltas(adjust(shiftYield(0)), params);
+    const atShift1 = deltas(adjust(shiftYield(1)), params);
+    const atCap0 = deltas(adjust(() => ({ avgCapCost: 0 })), params);
+    const atCap1 = deltas(adjust(() => ({ avgCapCost: 1 })), params);
+
+    // Persistence only matters for the profiles that use it.
+    const profileType = (params.responseProfile || {}).type || "constant";
+    const usesPersistence = profileType === "constant" || profileType === "linear";
+    const years = state.results.years;
+    const byPersistence = [];
+    if (usesPersistence) {
+      for (let k = 1; k <= years; k++) {
+        byPersistence.push(
+          deltas(treatments, Object.assign({}, params, { persistenceYears: k }))
+        );
+      }
+    }
+
+    const control = state.results.control;
+    for (const r of state.results.treatments) {
+      if (r.isControl) continue;
+      const shift = linearZero(0, atShift0.get(r.name), 1, atShift1.get(r.name));
+      const row = {
+        name: r.name,
+        deltaNpv: r.deltaNpv,
+        currentPrice: state.results.price,
+        breakEvenPrice: linearZero(0, atPrice0.get(r.name), 1, atPrice1.get(r.name)),
+        currentYieldGain: r.avgYield - control.avgYield,
+        breakEvenYieldGain: r.avgYield - control.avgYield + shift,
+        currentUpfrontCost: r.avgCapCost,
+        maxUpfrontCost: linearZero(0, atCap0.get(r.name), 1, atCap1.get(r.name)),
+        breakEvenPersistence: NaN,
+        persistenceNote: usesPersistence ? "" : "Not used by the response profile"
+      };
+      if (usesPersistence) {
+        const k = byPersistence.findIndex((m) => m.get(r.name) >= 0);
+        if (k >= 0) row.breakEvenPersistence = k + 1;
+        else row.persistenceNote = `Does not pay within ${years} years`;
+      }
+      // With lower yields than the control a higher price widens the gap,
+      // so the break-even price is a ceiling rather than a floor.
+      row.priceIsCeiling = atPrice1.get(r.name) < atPrice0.get(r.name);
+      state.breakEven.push(row);
+    }
+  }
+
+  // Partial-budget marginal analysis. Treatments are ordered by total
+  // discounted cost; one whose net profit is no higher than a cheaper
+  // treatment's is dominated. Between successive undominated treatments the
+  // marginal rate of return is the extra net profit per extra dollar of
+  // cost. Starting from the cheapest, a step is taken when it earns at
+  // least the minimum acceptable return over the last step taken.
+  function computeMarginalAnalysis() {
+    state.marginal = { rows: [], recommended: null };
+    const results = (state.results.treatments || []).filter(
+      (r) => !Number.isNaN(r.npv) && !Number.isNaN(r.pvTotalCosts)
+    );
+    if (!results.length) return;
+    const minimum = parseNumber(state.params.minimumReturnPct);
+    const sorted = results
+      .slice()
+      .sort((a, b) => a.pvTotalCosts - b.pvTotalCosts || b.npv - a.npv);
+
+    let best = null;
+    let previous = null;
+    let accepted = null;
+    for (const r of sorted) {
+      const row = {
+        name: r.name,
+        isControl: r.isControl,
+        cost: r.pvTotalCosts,
+        netBenefit: r.npv,
+        dominatedBy: null,
+        previous: null,
+        mrr: NaN,
+        base: null,
+        mrrFromBase: NaN,
+        accepted: false
+      };
+      state.marginal.rows.push(row);
+      if (best && r.npv <= best.netBenefit) {
+        row.dominatedBy = best.name;
+        continue;
+      }
+      best = row;
+      if (previous) {
+        row.previous = previous.name;
+        row.mrr = ((row.netBenefit - previous.netBenefit) / (row.cost - previous.cost)) * 100;
+      }
+      if (!accepted) {
+        row.accepted = true;
+        accepted = row;
+      } else {
+        row.base = accepted.name;
+        row.mrrFromBase =
+          ((row.netBenefit - accepted.netBenefit) / (row.cost - accepted.cost)) * 100;
+        if (row.mrrFromBase >= minimum) {
+          row.accepted = true;
+          accepted = row;
+        }
+      }
+      previous = row;
+    }
+    state.marginal.recommended = accepted ? accepted.name : null;
+  }
+
+  // Partial budget of each treatment against the control, per ha and
+  // discounted over the horizon. Each line is the change in one income
+  // stream or cost category; gains are added income and reduced costs,
+  // losses are added costs and reduced income, and gains less losses equal
+  // the difference in net profit from the pooled control. Categories are
+  // costed the way the aggregation uses them: from the line items with the
+  // input price model on (one-off categories upfront), otherwise every
+  // category is a yearly cost and the capital cost column is the upfront
+  // amendment. What the categories do not itemise is shown on its own line.
+  function computePartialBudgets() {
+    state.partialBudgets = [];
+    const { treatments: results, control, years, timelines } = state.results;
+    if (!results || !results.length || !control) return;
+    const { params } = state;
+    const yearlyFactor = discountFactorSum(parseNumber(params.discountRate) || 0, years);
+
+    // Cost lines averaged over the plots and cost basis the aggregation
+    // used, so they add up to the treatment's discounted total cost.
+    const linesFor = (r) => {
+      const t = state.treatments.find((x) => x.name === r.name) || {};
+      const { upfrontFactor } = timelines.get(r.name);
+      const income = BENEFIT_COMPONENTS.filter(
+        (c) => !c.stream || params.biomassStreams[c.stream].enabled
+      ).map((c) => ({
+        label: c.stream ? c.label.replace(" (discounted)", "") : "Grain revenue",
+        value: r[c.key]
+      }));
+      const cost = new Map();
+      const addItems = (kind, costKey, factor) => {
+        const plots = (t.plots || []).filter((p) => !Number.isNaN(p[costKey]));
+        for (const p of plots) {
+          for (const [label, v] of Object.entries(p.costItems[kind])) {
+            cost.set(label, (cost.get(label) || 0) + (v * factor) / plots.length);
+          }
+        }
+      };
+      addItems("yearly", "varCost", yearlyFactor);
+      addItems("upfront", "capCost", upfrontFactor);
+      if (params.capitalAssets.enabled) {
+        cost.set("Capital assets (purchase less salvage)", r.pvCapitalAssets);
+      }
+      return { income, cost };
+    };
+
+    const controlLines = linesFor(control);
+    for (const r of results) {
+      if (r.isControl) continue;
+      const own = linesFor(r);
+      const income = own.income.map((l, i) => ({
+        label: l.label,
+        change: l.value - controlLines.income[i].value
+      }));
+      const labels = Array.from(
+        new Set([...controlLines.cost.keys(), ...own.cost.keys()])
+      );
+      const cost = labels.map((label) => ({
+        label,
+        change: (own.cost.get(label) || 0) - (controlLines.cost.get(label) || 0)
+      }));
+      const pick = (list, sign) =>
+        list
+          .filter((l) => sign * l.change > 0.005)
+          .map((l) => ({ label: l.label, amount: Math.abs(l.change) }));
+      const total = (list) => list.reduce((a, l) => a + l.amount, 0);
+      const budget = {
+        name: r.name,
+        addedIncome: pick(income, 1),
+        reducedCosts: pick(cost, -1),
+        addedCosts: pick(cost, 1),
+        reducedIncome: pick(income, -1),
+        error: null
+      };
+      budget.gains = total(budget.addedIncome) + total(budget.reducedCosts);
+      budget.losses = total(budget.addedCosts) + total(budget.reducedIncome);
+      budget.net = budget.gains - budget.losses;
+
+      // The lines must account for the whole difference in net profit; a
+      // gap beyond rounding means they no longer match the costing.
+      const expected = r.npv - control.npv;
+      if (Number.isFinite(expected) && Math.abs(budget.net - expected) > 0.01) {
+        budget.error = `The budget lines come to ${formatCurrency(
+          budget.net
+        )} per ha but the difference in net profit is ${formatCurrency(
+          expected
+        )} per ha, so the budget is not shown.`;
+      }
+      state.partialBudgets.push(budget);
+    }
+  }
+
+  // Loan drawn at the start and repaid over the term, by year from the
+  // start. Principal-and-interest loans pay an equal annual instalment;
+  // interest-only loans repay the principal at the end of the term. Any
+  // balance left at the end of the horizon is settled in its last year.
+  function loanSchedule(loan, fin, years) {
+    const i = Math.max(0, parseNumber(fin.ratePct) || 0) / 100;
+    const term = Math.max(1, Math.round(parseNumber(fin.termYears) || 1));
+    const instalment = i ? (loan * i) / (1 - Math.pow(1 + i, -term)) : loan / term;
+    const rows = [{ draw: loan, interest: 0, principal: 0, balance: loan }];
+    let balance = loan;
+    for (let year = 1; year <= years; year++) {
+      const interest = balance * i;
+      let principal = 0;
+      if (balance > 0) {
+        if (fin.repayment === "interestOnly") principal = year === term ? balance : 0;
+        else principal = Math.min(balance, instalment - interest);
+        if (year === years) principal = balance;
+      }
+      balance = Math.max(0, balance - principal);
+      rows.push({ draw: 0, interest, principal, balance });
+    }
+    return rows;
+  }
+
+  // Financed cash flow per ha of each treatment: the upfront outlay at the
+  // start (or part of it) is borrowed and repaid with interest. Net profit
+  // after financing discounts the financed cash flow; the cash position is
+  // the cumulative difference from the control after financing.
+  function computeFinance() {
+    const { treatments: results, control, years, discountRate } = state.results;
+    if (!results || !results.length || !control) return;
+    const fin = state.params.finance;
+    if (!fin.enabled) {
+      for (const r of results) delete r.finance;
+      return;
+    }
+    for (const r of results) {
+      const flows = r.cashFlows || [];
+      const upfront = flows.length ? Math.max(0, flows[0].capitalCosts) : 0;
+      const loan =
+        fin.basis === "amount"
+          ? Math.min(upfront, Math.max(0, parseNumber(fin.amountPerHa) || 0))
+          : (upfront * Math.min(100, Math.max(0, parseNumber(fin.sharePct) || 0))) / 100;
+      const schedule = loanSchedule(loan, fin, years);
+      const rows = flows.map((cf, year) => {
+        const l = schedule[year];
+        return {
+          year,
+          net: cf.net,
+          draw: l.draw,
+          interest: l.interest,
+          principal: l.principal,
+          balance: l.balance,
+          financedNet: cf.net + l.draw - l.interest - l.principal,
+          discountFactor: 1 / Math.pow(1 + discountRate / 100, year)
+        };
+      });
+      r.finance = {
+        loan,
+        rows,
+        totalInterest: rows.reduce((a, x) => a + x.interest, 0),
+        peakDebt: rows.reduce((a, x) => Math.max(a, x.balance), 0)
+      };
+      r.npvAfterFinance = rows.reduce((a, x) => a + x.financedNet * x.discountFactor, 0);
+      r.peakDebt = r.finance.peakDebt;
+    }
+    const c = control.finance;
+    for (const r of results) {
+      const f = r.finance;
+      r.deltaNpvAfterFinance = r.npvAfterFinance - control.npvAfterFinance;
+      let cash = 0;
+      for (const x of f.rows) {
+        x.difference = x.financedNet - c.rows[x.year].financedNet;
+        cash += x.difference;
+        x.cashPosition = cash;
+      }
+      const lowest = f.rows.reduce((a, x) => (x.cashPosition < a.cashPosition ? x : a));
+      f.largestShortfall = Math.max(0, -lowest.cashPosition);
+      f.shortfallYear = lowest.year;
+    }
+  }
+
+  // Cumulative share (0-1) of the planned area adopted by a given year.
+  // The ramp lists percentages from the start; the last value holds after.
+  // Adopted area is never taken back, so a lower value keeps the highest
+  // share reached so far.
+  function adoptionShare(ramp, year) {
+    if (!ramp.length) return 1;
+    const pct = Math.max(...ramp.slice(0, Math.min(year, ramp.length - 1) + 1));
+    return Math.min(100, Math.max(0, pct)) / 100;
+  }
+
+  function rampDecreases(ramp) {
+    return ramp.some((pct, i) => i > 0 && pct < ramp[i - 1]);
+  }
+
+  // Whole-farm consequence of putting part of the cropped area under one or
+  // more treatments. Area adopted in a given year follows the treatment's
+  // per-ha cash flow from its own start, less the control's at the same
+  // age; the rest of the farm stays with the control. Area adopted late is
+  // only followed to the end of the horizon.
+  function computeFarmScaling() {
+    state.farm = { rows: [], summary: null, warnings: [] };
+    const { treatments: results, control, years, discountRate } = state.results;
+    if (!results || !results.length || !control) return;
+    const farm = state.params.farm;
+    const plans = results
+      .filter((r) => !r.isControl && farm.areas[r.name] > 0)
+      .map((r) => ({ r, area: farm.areas[r.name] }));
+    if (!plans.length) return;
+
+    if (rampDecreases(farm.ramp)) {
+      state.farm.warnings.push(
+        `The adoption ramp (${farm.ramp.join("%, ")}%) goes down; adopted area is not taken back, so each year keeps the highest share reached so far.`
+      );
+    }
+    const planned = plans.reduce((a, p) => a + p.area, 0);
+    if (planned > farm.croppedArea) {
+      state.farm.warnings.push(
+        `The planned areas add up to ${formatNumber(planned, 0)} ha, more than the ${formatNumber(
+          farm.croppedArea,
+          0
+        )} ha cropped.`
+      );
+    }
+
+    const controlFlows = control.cashFlows || [];
+    const financed = Boolean(control.finance);
+    let cumulative = 0;
+    let cumulativeDiscounted = 0;
+    let financedCash = 0;
+    let financedDiscounted = 0;
+    for (let year = 0; year <= years; year++) {
+      let difference = 0;
+      let capital = 0;
+      let debt = 0;
+      let interest = 0;
+      let financedDifference = 0;
+      for (const { r, area } of plans) {
+        for (let start = 0; start <= year; start++) {
+          const newArea =
+            area * (adoptionShare(farm.ramp, start) - (start ? adoptionShare(farm.ramp, start - 1) : 0));
+          if (!newArea) continue;
+          const age = year - start;
+          difference += newArea * (r.cashFlows[age].net - controlFlows[age].net);
+          capital += newArea * r.cashFlows[age].capitalCosts;
+          if (financed) {
+            const f = r.finance.rows[age];
+            debt += newArea * f.balance;
+            interest += newArea * f.interest;
+            financedDifference += newArea * f.difference;
+          }
+        }
+      }
+      const stayNet = farm.croppedArea * controlFlows[year].net;
+      const discountFactor = 1 / Math.pow(1 + discountRate / 100, year);
+      cumulative += difference;
+      cumulativeDiscounted += difference * discountFactor;
+      financedCash += financedDifference;
+      financedDiscounted += financedDifference * discountFactor;
+      state.farm.rows.push({
+        debt,
+        interest,
+        financedDifference,
+        financedCash,
+        year,
+        areaTreated: plans.reduce((a, p) => a + p.area * adoptionShare(farm.ramp, year), 0),
+        capital,
+        stayNet,
+        adoptNet: stayNet + difference,
+        difference,
+        discountedDifference: difference * discountFactor,
+        cumulative,
+        cumulativeDiscounted
+      });
+    }
+
+    const rows = state.farm.rows;
+    const worst = rows.reduce((a, x) => (x.difference < a.difference ? x : a));
+    const deepest = rows.reduce((a, x) => (x.cumulative < a.cumulative ? x : a));
+    const npvStay = farm.croppedArea * control.npv;
+    state.farm.summary = {
+      planned,
+      totalCapital: rows.reduce((a, x) => a + x.capital, 0),
+      peakRequirement: Math.max(0, -worst.difference),
+      peakYear: worst.year,
+      peakCumulativeDeficit: Math.max(0, -deepest.cumulative),
+      npvStay,
+      npvAdopt: npvStay + cumulativeDiscounted,
+      npvDifference: cumulativeDiscounted,
+      financed,
+      peakDebt: rows.reduce((a, x) => Math.max(a, x.debt), 0),
+      totalInterest: rows.reduce((a, x) => a + x.interest, 0),
+      largestFinancedShortfall: Math.max(0, -Math.min(...rows.map((x) => x.financedCash))),
+      npvDifferenceAfterFinance: financedDiscounted
+    };
+  }
+
+  // Sections of a partial budget in the order consultants present them.
+  const PARTIAL_BUDGET_SECTIONS = [
+    { key: "addedIncome", label: "A. Added income" },
+    { key: "reducedCosts", label: "B. Reduced costs" },
+    { key: "addedCosts", label: "C. Added costs" },
+    { key: "reducedIncome", label: "D. Reduced income" }
+  ];
+
+  // Parts of a combined treatment name,
+  // e.g. "Deep OM (CP1) + PAM" -> ["Deep OM (CP1)", "PAM"].
+  function treatmentTokens(name) {
+    return String(name)
+      .split("+")
+      .map((s) => s.trim())
+      .filter(Boolean);
+  }
+
+  // Component a name part stands for: the treatment applied alone with that
+  // name, allowing for a placement word in front of it
+  // ("liq. Gypsum (CHT)" -> "Deep liq. Gypsum (CHT)"), or the part itself.
+  function defaultComponent(token, singles) {
+    const lower = token.toLowerCase();
+    return (
+      singles.find((n) => n.toLowerCase() === lower) ||
+      singles.find((n) => n.toLowerCase().endsWith(` ${lower}`)) ||
+      token
+    );
+  }
+
+  // Split each combined treatment into its components and compare it with
+  // the sum of its parts. A component's main effect is its difference from
+  // the control when applied alone; when it was only tested in a
+  // combination, it is what the combination adds over the other parts,
+  // which cannot be separated from their interaction. The interaction is
+  // the combination's difference from the control less the sum of its
+  // parts' differences, with an interval whose width comes from the
+  // same-replicate differences.
+  function computeFactorialDecomposition() {
+    state.factorial = { dictionary: [], components: [], combinations: [] };
+    const results = state.results.treatments || [];
+    const control = state.results.control;
+    if (!results.length || !control) return;
+
+    const base = results.filter((r) => {
+      const t = state.treatments.find((x) => x.name === r.name);
+      return t && !t.reapplication;
+    });
+    const byName = new Map(base.map((r) => [r.name, r]));
+    const singles = base.filter((r) => treatmentTokens(r.name).length === 1);
+    const combined = base.filter((r) => treatmentTokens(r.name).length > 1);
+    if (!combined.length) return;
+
+    const overrides = state.params.componentDictionary;
+    const singleNames = singles.map((r) => r.name);
+    const tokens = [...new Set(combined.flatMap((r) => treatmentTokens(r.name)))];
+    const dictionary = tokens.map((token) => {
+      const auto = defaultComponent(token, singleNames);
+      return { token, auto, component: overrides[token] || auto };
+    });
+    const componentOf = new Map(dictionary.map((d) => [d.token, d.component]));
+
+    const effectOf = (r) =>
+      r.isControl
+        ? { yield: 0, cost: 0, npv: 0 }
+        : { yield: r.avgYield - control.avgYield, cost: r.deltaPvCosts, npv: r.deltaNpv };
+    const sumEffects = (effects) =>
+      effects.reduce(
+        (acc, e) => ({ yield: acc.yield + e.yield, cost: acc.cost + e.cost, npv: acc.npv + e.npv }),
+        { yield: 0, cost: 0, npv: 0 }
+      );
+    const alone = (name) => {
+      const r = byName.get(name);
+      return r && treatmentTokens(name).length === 1 ? r : null;
+    };
+    const repDelta = (r, replicate) =>
+      r.isControl
+        ? 0
+        : ((r.replicateDeltas || []).find((d) => d.replicate === replicate) || {}).deltaNpv;
+
+    const combinations = combined.map((r) => {
+      const parts = [...new Set(treatmentTokens(r.name).map((tok) => componentOf.get(tok)))];
+      const partResults = parts.map(alone);
+      const testedAlone = partResults.every(Boolean);
+      const effect = effectOf(r);
+      const row = {
+        name: r.name,
+        parts,
+        missingParts: parts.filter((p, i) => !partResults[i]),
+        effect,
+        sumOfParts: null,
+        interaction: null,
+        interactionCi: [NaN, NaN],
+        replicates: 0,
+        bestPart: null
+      };
+      const tested = partResults.filter(Boolean);
+      if (tested.length) {
+        const best = tested.reduce((a, b) => (effectOf(b).npv > effectOf(a).npv ? b : a));
+        row.bestPart = { name: best.name, npv: effectOf(best).npv };
+      }
+      if (!testedAlone) return row;
+
+      row.sumOfParts = sumEffects(partResults.map(effectOf));
+      row.interaction = {
+        yield: effect.yield - row.sumOfParts.yield,
+        cost: effect.cost - row.sumOfParts.cost,
+        npv: effect.npv - row.sumOfParts.npv
+      };
+      const byRep = (r.replicateDeltas || [])
+        .map((d) =>
+          partResults.reduce((acc, p) => acc - repDelta(p, d.replicate), d.deltaNpv)
+        )
+        .filter((x) => typeof x === "number" && !Number.isNaN(x));
+      row.replicates = byRep.length;
+      // The replicate-to-replicate spread sets the width; the interval is
+      // centred on the interaction shown, so the verdict matches it.
+      if (byRep.length >= 2) {
+        const half =
+          (studentTQuantile(0.975, byRep.length - 1) * sampleStdDev(byRep)) /
+          Math.sqrt(byRep.length);
+        row.interactionCi = [row.interaction.npv - half, row.interaction.npv + half];
+      }
+      return row;
+    });
+
+    const names = [...new Set(combinations.flatMap((c) => c.parts))];
+    const components = names.map((name) => {
+      const solo = alone(name);
+      const inCombinations = combinations.filter((c) => c.parts.includes(name));
+      const component = {
+        name,
+        tokens: dictionary.filter((d) => d.component === name).map((d) => d.token),
+        combinations: inCombinations.map((c) => c.name),
+        source: "none",
+        from: [],
+        effect: null
+      };
+      if (solo) {
+        return Object.assign(component, { source: "alone", from: [solo.name], effect: effectOf(solo) });
+      }
+      // Only tested in combination: what the combination adds over its
+      // other parts, averaged where several combinations allow it.
+      const estimates = inCombinations
+        .filter((c) => c.missingParts.length === 1)
+        .map((c) => {
+          const others = c.parts.filter((p) => p !== name).map((p) => effectOf(alone(p)));
+          const rest = sumEffects(others);
+          return {
+            from: c.name,
+            yield: c.effect.yield - rest.yield,
+            cost: c.effect.cost - rest.cost,
+            npv: c.effect.npv - rest.npv
+          };
+        });
+      if (!estimates.length) return component;
+      return Object.assign(component, {
+        source: "combination",
+        from: estimates.map((e) => e.from),
+        effect: {
+          yield: meanIgnoringNaN(estimates.map((e) => e.yield)),
+          cost: meanIgnoringNaN(estimates.map((e) => e.cost)),
+          npv: meanIgnoringNaN(estimates.map((e) => e.npv))
+        }
+      });
+    });
+
+    state.factorial = { dictionary, components, combinations };
+  }
+
+  // Plain-language answer to "does combining pay?" for one combination.
+  function combiningVerdict(c) {
+    if (!c.interaction) {
+      return { text: "Not all parts were tested alone", cls: "" };
+    }
+    const [lo, hi] = c.interactionCi;
+    if (lo > 0) return { text: "Yes: clearly more than the sum of its parts", cls: "cell-better" };
+    if (hi < 0) return { text: "No: clearly less than the sum of its parts", cls: "cell-worse" };
+    if (Number.isNaN(lo)) {
+      return c.interaction.npv >= 0
+        ? { text: "More than the sum of its parts (too few replicates to test)", cls: "" }
+        : { text: "Less than the sum of its parts (too few replicates to test)", cls: "" };
+    }
+    return { text: "About the sum of its parts (no clear interaction)", cls: "" };
+  }
+
+  // Parse a comma or space separated list of numbers, keeping the order
+  // given by the user and dropping duplicates and non-numeric entries.
+  function parseValueList(text) {
+    const values = [];
+    for (const part of String(text || "").split(/[\s,;]+/)) {
+      const x = parseNumber(part);
+      if (!Number.isNaN(x) && !values.includes(x)) values.push(x);
+    }
+    return values;
+  }
+
+  function formatSensitivityValue(key, value) {
+    if (key === "pricePerTonne") return `${formatCurrency(value)}/t`;
+    if (key === "discountRate") return `${formatNumber(value, 1)}% rate`;
+    if (key === "persistenceYears") return `${value} yr gains`;
+    if (key === "years") return `${value} yr horizon`;
+    return String(value);
+  }
+
+  // Build the list of scenarios to evaluate. In "oneAtATime" mode each
+  // parameter is varied across its grid values while the others stay at the
+  // base settings. In "joint" mode every combination of grid values is used.
+  function buildSensitivityScenarios(baseParams, grid, mode) {
+    const scenarios = [];
+    const keys = SENSITIVITY_PARAMS.map((p) => p.key);
+
+    if (mode === "joint") {
+      let combos = [{}];
+      for (const key of keys) {
+        const values = grid[key] && grid[key].length ? grid[key] : [baseParams[key]];
+        const next = [];
+        for (const combo of combos) {
+          for (const v of values) {
+            next.push(Object.assign({}, combo, { [key]: v }));
+          }
+        }
+        combos = next;
+      }
+      for (const combo of combos) {
+        scenarios.push({
+          varied: "joint",
+          params: Object.assign({}, baseParams, combo),
+          label: keys.map((k) => formatSensitivityValue(k, combo[k])).join(", ")
+        });
+      }
+    } else {
+      scenarios.push({
+        varied: null,
+        params: Object.assign({}, baseParams),
+        label: "Base settings"
+      });
+      for (const key of keys) {
+        for (const v of grid[key] || []) {
+          if (v === baseParams[key]) continue;
+          scenarios.push({
+            varied: key,
+            params: Object.assign({}, baseParams, { [key]: v }),
+            label: formatSensitivityValue(key, v)
+          });
+        }
+      }
+    }
+
+    return scenarios
+      .slice(0, MAX_SENSITIVITY_SCENARIOS)
+      .map((sc, idx) => Object.assign({ id: `S${idx + 1}` }, sc));
+  }
+
+  function runSensitivity() {
+    const sens = state.sensitivity;
+    sens.scenarios = [];
+    sens.rows = [];
+    if (!state.treatments.length || !state.controlName) return;
+
+    const baseParams = Object.assign({}, state.params, {
+      pricePerTonne: parseNumber(state.params.pricePerTonne),
+      discountRate: parseNumber(state.params.discountRate),
+      persistenceYears: parseInt(state.params.persistenceYears, 10),
+      years: parseInt(state.params.years, 10)
+    });
+    const scenarios = buildSensitivityScenarios(baseParams, sens.grid, sens.mode);
+
+    for (const sc of scenarios) {
+      const res = runCBA(state.treatments, state.controlName, sc.params, {
+        skipStats: true
+      });
+      if (!res) continue;
+      sc.results = res.treatments;
+      sc.winner = res.treatments[0] ? res.treatments[0].name : null;
+      sens.scenarios.push(sc);
+
+      for (const r of res.treatments) {
+        sens.rows.push({
+          scenarioId: sc.id,
+          scenarioLabel: sc.label,
+          price: res.price,
+          discountRate: res.discountRate,
+          years: res.years,
+          persistenceYears: res.persistenceYears,
+          name: r.name,
+          isControl: r.isControl,
+          npv: r.npv,
+          deltaNpv: r.deltaNpv,
+          bcr: r.bcr,
+          roi: r.roi,
+          rank: r.rank
+        });
+      }
+    }
+  }
+
+  // Monte Carlo simulation of net profit. Each iteration draws one grain
+  // price and one input cost level shared by all treatments, and a yield for
+  // each treatment from its replicate-level results, then re-runs the CBA.
+  function runRiskSimulation() {
+    const risk = state.risk;
+    if (!state.treatments.length || !state.controlName) {
+      risk.results = null;
+      return;
+    }
+
+    const rand = createRandom(risk.seed);
+    const iterations = Math.max(100, Math.min(50000, risk.iterations));
+    const params = Object.assign({}, state.params, { comparisonMode: "pooled" });
+
+    const reps = Array.from(
+      new Set(
+        state.treatments.flatMap((t) => t.replicateMeans.map((m) => m.replicate))
+      )
+    );
+    const yieldModels = new Map(
+      state.treatments.map((t) => {
+        const repYields = t.replicateMeans.map((m) => m.avgYield);
+        return [
+          t.name,
+          {
+            byRep: new Map(t.replicateMeans.map((m) => [m.replicate, m.avgYield])),
+            mean: t.avgYield,
+            sd: sampleStdDev(repYields)
+          }
+        ];
+      })
+    );
+
+    const samples = new Map(
+      state.treatments.map((t) => [t.name, { npv: [], deltaNpv: [] }])
+    );
+
+    for (let i = 0; i < iterations; i++) {
+      const price = Math.max(0, sampleDistribution(rand, risk.price));
+      const costLevel = Math.max(0, sampleDistribution(rand, risk.cost)) / 100;
+      const rep = reps.length ? reps[Math.floor(rand() * reps.length)] : null;
+
+      const simTreatments = state.treatments.map((t) => {
+        const model = yieldModels.get(t.name);
+        let y;
+        if (risk.yieldMethod === "normal") {
+          y = Number.isNaN(model.sd)
+            ? model.mean
+            : Math.max(0, sampleNormal(rand, model.mean, model.sd));
+        } else {
+          y = rep !== null && model.byRep.has(rep) ? model.byRep.get(rep) : model.mean;
+          if (Number.isNaN(y)) y = model.mean;
+        }
+        return Object.assign({}, t, {
+          avgYield: y,
+          avgVarCost: t.avgVarCost * costLevel,
+          avgCapCost: t.avgCapCost * costLevel,
+          avgAssets: Object.fromEntries(
+            Object.entries(t.avgAssets).map(([k, v]) => [k, v * costLevel])
+          ),
+          replicateMeans: []
+        });
+      });
+
+      const res = runCBA(
+        simTreatments,
+        state.controlName,
+        Object.assign({}, params, { pricePerTonne: price }),
+        { skipStats: true }
+      );
+      if (!res) continue;
+      for (const r of res.treatments) {
+        const s = samples.get(r.name);
+        s.npv.push(r.npv);
+        s.deltaNpv.push(r.deltaNpv);
+      }
+    }
+
+    const summaries = [];
+    for (const t of state.treatments) {
+      const s = samples.get(t.name);
+      const npv = s.npv.filter((x) => !Number.isNaN(x)).sort((a, b) => a - b);
+      const delta = s.deltaNpv.filter((x) => !Number.isNaN(x)).sort((a, b) => a - b);
+      const n = npv.length;
+      summaries.push({
+        name: t.name,
+        isControl: t.name === state.controlName,
+        n,
+        meanNpv: n ? npv.reduce((a, b) => a + b, 0) / n : NaN,
+        sdNpv: sampleStdDev(npv),
+        p10: quantileSorted(npv, 0.1),
+        p50: quantileSorted(npv, 0.5),
+        p90: quantileSorted(npv, 0.9),
+        probLoss: n ? npv.filter((x) => x < 0).length / n : NaN,
+        probBeatControl: delta.length
+          ? delta.filter((x) => x > 0).length / delta.length
+          : NaN,
+        deltaP10: quantileSorted(delta, 0.1),
+        deltaP50: quantileSorted(delta, 0.5),
+        deltaP90: quantileSorted(delta, 0.9),
+        // 101 points of the empirical cumulative distribution for charts
+        cdf: n
+          ? Array.from({ length: 101 }, (_, k) => ({
+              x: quantileSorted(npv, k / 100),
+              y: k / 100
+            }))
+          : []
+      });
+    }
+    summaries.sort((a, b) => b.meanNpv - a.meanNpv);
+
+    risk.stale = false;
+    risk.results = {
+      iterations,
+      seed: risk.seed,
+      yieldMethod: risk.yieldMethod,
+      replicates: reps.length,
+      price: Object.assign({}, risk.price),
+      cost: Object.assign({}, risk.cost),
+      treatments: summaries
+    };
+  }
+
+  // Per-treatment rank stability across all sensitivity scenarios.
+  function summariseSensitivity() {
+    const { scenarios } = state.sensitivity;
+    const byName = new Map();
+    for (const t of state.treatments) {
+      byName.set(t.name, {
+        name: t.name,
+        isControl: t.name === state.controlName,
+        bestRank: Infinity,
+        worstRank: -Infinity,
+        timesFirst: 0,
+        timesBetterThanControl: 0,
+        n: 0
+      });
+    }
+    for (const sc of scenarios) {
+      for (const r of sc.results) {
+        const s = byName.get(r.name);
+        if (!s) continue;
+        s.n++;
+        s.bestRank = Math.min(s.bestRank, r.rank);
+        s.worstRank = Math.max(s.worstRank, r.rank);
+        if (r.rank === 1) s.timesFirst++;
+        if (!r.isControl && r.deltaNpv > 0) s.timesBetterThanControl++;
+      }
+    }
+    return Array.from(byName.values()).map((s) =>
+      Object.assign(s, {
+        shareFirst: s.n ? s.timesFirst / s.n : NaN,
+        shareBetter: s.n ? s.timesBetterThanControl / s.n : NaN
+      })
+    );
+  }
+
+  // =========================
+  // 4) RENDERING
+  // =========================
+
+  function renderOverview() {
+    const container = document.getElementById("overviewSummary");
+    if (!container) return;
+    container.innerHTML = "";
+
+    if (!state.rows.length || !state.treatments.length) {
+      container.innerHTML = `<p class="small muted">No dataset loaded yet.</p>`;
+      return;
+    }
+
+    const nPlots = state.rows.length;
+    const nTreatments = state.treatments.length;
+    const nReplicates = new Set(
+      state.rows
+        .map((r) =>
+          state.columnMap && state.columnMap.replicate
+            ? r[state.columnMap.replicate]
+            : null
+        )
+        .filter((x) => x !== null && x !== undefined && String(x).trim() !== "")
+    ).size;
+
+    const controlName = state.controlName || "Not identified";
+
+    const cards = [
+      {
+        label: "Plots in dataset",
+        value: nPlots
+      },
+      {
+        label: "Distinct treatments",
+        value: nTreatments
+      },
+      {
+        label: "Replicates",
+        value: nReplicates || "–"
+      },
+      {
+        label: "Control treatment",
+        value: controlName
+      }
+    ];
+
+    for (const c of cards) {
+      const div = document.createElement("div");
+      div.className = "summary-card";
+      div.innerHTML = `
+        <div class="summary-card-label">${c.label}</div>
+        <div class="summary-card-value">${c.value}</div>
+      `;
+      container.appendChild(div);
+    }
+  }
+
+  function renderDataSummaryAndChecks() {
+    const summaryEl = document.getElementById("dataSummary");
+    const checksEl = document.getElementById("dataChecks");
+    if (!summaryEl || !checksEl) return;
+
+    if (!state.rows.length || !state.headers.length) {
+      summaryEl.textContent = "No dataset loaded.";
+      checksEl.innerHTML = "";
+      return;
+    }
+
+    const nRows = state.rows.length;
+    const nCols = state.headers.length;
+    const nAdjusted = Object.keys(state.adjustments.plots).length;
+    summaryEl.textContent = !nAdjusted
+      ? `${nRows} plot rows, ${nCols} columns. All rows and columns are used in calculations.`
+      : `${nRows} plot rows, ${nCols} columns. ${nAdjusted} plot${
+          nAdjusted === 1 ? " has" : "s have"
+        } been excluded or corrected (see Plot review); the results ${
+          state.adjustments.applied ? "use" : "ignore"
+        } these adjustments.`;
+
+    const cm = state.columnMap;
+    const checks = [];
+
+    const addCheck = (ok, label, detail, severity) => {
+      checks.push({ ok, label, detail, severity });
+    };
+
+    const addColCheck = (purpose, colName) => {
+      if (colName) {
+        addCheck(
+          true,
+          `${purpose} column found`,
+          `"${colName}" is used for ${purpose.toLowerCase()}.`,
+          "ok"
         );
       } else {
         addCheck(
@@ -510,28 +3877,1206 @@
       );
     }
 
+    const rec = state.costCategories.reconciliation;
+    if (rec) {
+      if (rec.matched === rec.checked) {
+        addCheck(
+          true,
+          "Cost components reconcile",
+          `The categorised line-item costs add up to "${rec.totalColumn}" on all ${rec.checked} rows.`,
+          "ok"
+        );
+      } else {
+        addCheck(
+          false,
+          "Cost components do not reconcile",
+          `On ${rec.checked - rec.matched} of ${rec.checked} rows the categorised line-item costs differ from "${rec.totalColumn}" (largest gap ${formatCurrency(
+            rec.maxAbsDiff
+          )} per hectare). Review the cost categories below.`,
+          "warn"
+        );
+      }
+    }
+
+    state.validation = validateDataset();
+    for (const issue of state.validation) {
+      checks.push({
+        ok: issue.severity === "ok",
+        label: issue.label,
+        detail: issue.detail,
+        severity: issue.severity,
+        rows: issue.rows
+      });
+    }
+
+    // Worst problems first, so errors are not buried under passed checks.
+    const order = { err: 0, warn: 1, neutral: 2, ok: 3 };
+    checks.sort((a, b) => order[a.severity] - order[b.severity]);
+
     checksEl.innerHTML = "";
     for (const c of checks) {
       const li = document.createElement("li");
       li.className = "check-item";
-      const pillClass =
-        c.severity === "err" ? "err" : c.severity === "warn" ? "warn" : "ok";
+      const pillClass = order[c.severity] === undefined ? "ok" : c.severity;
       li.innerHTML = `
         <span class="check-pill ${pillClass}">${c.ok ? "OK" : "Check"}</span>
-        <span>${c.label}. ${c.detail}</span>
+        <span>${c.label}. ${c.detail}${renderCheckRows(c.rows)}</span>
       `;
       checksEl.appendChild(li);
     }
   }
 
-  function renderControlChoice() {
-    const select = document.getElementById("controlChoice");
-    if (!select) return;
-    select.innerHTML = "";
-
+  // Drill-down table of the rows behind a data check.
+  function renderCheckRows(offending) {
+    if (!offending || !offending.length) return "";
+    const cm = state.columnMap || {};
+    const cell = (row, column) =>
+      column && row[column] !== undefined && row[column] !== null
+        ? escapeHtml(String(row[column]))
+        : "–";
+    const shown = offending.slice(0, 100);
+    return `
+      <details class="check-details">
+        <summary>Show ${offending.length} row${offending.length === 1 ? "" : "s"}</summary>
+        <table class="leaderboard-table">
+          <thead>
+            <tr><th>Row</th><th>Plot</th><th>Treatment</th><th>Replicate</th><th>Issue</th></tr>
+          </thead>
+          <tbody>
+            ${shown
+              .map(({ index, note }) => {
+                const row = state.rows[index];
+                return `<tr>
+                  <td>${index + 1}</td>
+                  <td>${cell(row, cm.plotId)}</td>
+                  <td>${cell(row, cm.treatmentName)}</td>
+                  <td>${cell(row, cm.replicate)}</td>
+                  <td>${note}</td>
+                </tr>`;
+              })
+              .join("")}
+          </tbody>
+        </table>
+        ${
+          offending.length > shown.length
+            ? `<p class="small muted">Showing the first ${shown.length} of ${offending.length} rows.</p>`
+            : ""
+        }
+      </details>`;
+  }
+
+  // List every header, row and cell the parser had to change, so nothing in
+  // an import is adjusted silently.
+  function renderImportReport() {
+    const listEl = document.getElementById("importReport");
+    if (!listEl) return;
+    const report = state.importReport;
+    if (!report) {
+      listEl.innerHTML = "";
+      return;
+    }
+
+    const lineList = (lines) =>
+      `${lines.slice(0, 10).join(", ")}${lines.length > 10 ? `, … (${lines.length} in all)` : ""}`;
+    const items = [];
+    const add = (severity, text) => items.push({ severity, text });
+
+    // Rows are counted as lines of a text file or rows of a sheet.
+    const where = report.sheet ? "sheet row" : "file line";
+    add(
+      "ok",
+      report.sheet
+        ? `Read from sheet "${escapeHtml(report.sheet)}" with the headers on row ${report.headerRow}.`
+        : `Read as ${report.delimiter}-separated${report.bom ? ", with the byte order mark removed" : ""}.`
+    );
+    if (report.unterminatedQuote) {
+      add(
+        "err",
+        "A quoted field is never closed, so everything after its opening quote was read into that one field. Check the file for a stray quote mark."
+      );
+    }
+    for (const r of report.renamedHeaders) {
+      add(
+        "warn",
+        r.original
+          ? `Column ${r.column} repeats the header "${escapeHtml(r.original)}" and was renamed "${escapeHtml(r.renamed)}".`
+          : `Column ${r.column} has no header and was named "${escapeHtml(r.renamed)}".`
+      );
+    }
+    if (report.padded.length) {
+      add(
+        "warn",
+        `${report.padded.length} row${report.padded.length === 1 ? " has" : "s have"} fewer fields than the header and ${
+          report.padded.length === 1 ? "was" : "were"
+        } padded with blanks (${where}${report.padded.length === 1 ? "" : "s"} ${lineList(
+          report.padded.map((p) => `${p.line} (${p.missing} missing)`)
+        )}).`
+      );
+    }
+    if (report.truncated.length) {
+      const lost = report.truncated.filter((t) => t.dropped.length);
+      add(
+        lost.length ? "err" : "warn",
+        `${report.truncated.length} row${report.truncated.length === 1 ? " has" : "s have"} more fields than the header; the extra fields were dropped (${where}${
+          report.truncated.length === 1 ? "" : "s"
+        } ${lineList(report.truncated.map((t) => `${t.line} (${t.extra} extra)`))}).${
+          lost.length
+            ? ` ${lost.length} of these had values in the dropped fields, for example "${escapeHtml(
+                lost[0].dropped.slice(0, 3).join(", ")
+              )}" on ${where} ${lost[0].line}.`
+            : " The dropped fields were all blank."
+        }`
+      );
+    }
+    for (const c of report.coerced) {
+      add(
+        "warn",
+        `"${escapeHtml(c.column)}": ${c.count} value${c.count === 1 ? "" : "s"} with a decimal comma converted to a decimal point (${where}${
+          c.count === 1 ? "" : "s"
+        } ${lineList(c.lines)}).`
+      );
+    }
+    for (const c of report.ambiguousCommas) {
+      const many = c.count !== 1;
+      add(
+        "warn",
+        c.readAs === "decimal"
+          ? `"${escapeHtml(c.column)}": ${c.count} value${
+              many ? "s" : ""
+            } such as 1,264 could be thousands but ${
+              many ? "were" : "was"
+            } read as decimals, like the column's other values (${where}${many ? "s" : ""} ${lineList(
+              c.lines
+            )}). If they are thousands, remove the commas and load the file again.`
+          : `"${escapeHtml(c.column)}": ${c.count} value${many ? "s" : ""} with a comma ${
+              many ? "were" : "was"
+            } read as whole numbers, with the comma as a thousands separator (${where}${
+              many ? "s" : ""
+            } ${lineList(
+              c.lines
+            )}). If the commas are decimal points, save the file with semicolons between fields or with decimal points and load it again.`
+      );
+    }
+    if (items.length === 1) {
+      add("ok", "Every row had one field per header and no values needed converting.");
+    }
+
+    listEl.innerHTML = items
+      .map(
+        (item) => `
+        <li class="check-item">
+          <span class="check-pill ${item.severity}">${item.severity === "ok" ? "OK" : "Check"}</span>
+          <span>${item.text}</span>
+        </li>`
+      )
+      .join("");
+  }
+
+  // Sheet and header row choices, shown only while a workbook is loaded.
+  function renderWorkbookOptions() {
+    const container = document.getElementById("workbookOptions");
+    if (!container) return;
+    const wi = state.workbookImport;
+    container.hidden = !wi;
+    if (!wi) return;
+    const sheetSelect = document.getElementById("workbookSheet");
+    const headerInput = document.getElementById("workbookHeaderRow");
+    if (sheetSelect) {
+      sheetSelect.innerHTML = wi.workbook.SheetNames.map(
+        (n) =>
+          `<option value="${escapeHtml(n)}" ${n === wi.sheetName ? "selected" : ""}>${escapeHtml(
+            n
+          )}</option>`
+      ).join("");
+    }
+    if (headerInput) headerInput.value = wi.headerRow;
+  }
+
+  function renderColumnMappingEditor() {
+    const container = document.getElementById("columnMappingEditor");
+    const unitsEl = document.getElementById("columnUnits");
+    if (!container) return;
+
+    if (!state.headers.length) {
+      container.innerHTML = '<p class="small muted">No dataset loaded yet.</p>';
+      if (unitsEl) unitsEl.innerHTML = "";
+      return;
+    }
+
+    const auto = detectColumnMap(state.headers);
+    const cm = state.columnMap || auto;
+    const roles = state.columnMapping.roles;
+    const headerOptions = (selected) =>
+      ['<option value="">(none)</option>']
+        .concat(
+          state.headers.map(
+            (h) =>
+              `<option value="${escapeHtml(h)}" ${h === selected ? "selected" : ""}>${escapeHtml(
+                h
+              )}</option>`
+          )
+        )
+        .join("");
+
+    container.innerHTML = `
+      <table class="leaderboard-table cost-map-table">
+        <thead>
+          <tr>
+            <th>Role</th>
+            <th>Dataset column</th>
+            <th>Detected automatically</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${COLUMN_ROLES.map((role) => {
+            const note =
+              role.key in roles
+                ? '<div class="cell-sub">Chosen by you</div>'
+                : "";
+            return `
+            <tr>
+              <td>${role.label}${
+                role.optional ? ' <span class="muted">(optional)</span>' : ""
+              }</td>
+              <td>
+                <select data-column-role="${role.key}" aria-label="${role.label} column">
+                  ${headerOptions(cm[role.key])}
+                </select>${note}
+              </td>
+              <td>${auto[role.key] ? `<code>${escapeHtml(auto[role.key])}</code>` : '<span class="muted">Not found</span>'}</td>
+            </tr>`;
+          }).join("")}
+        </tbody>
+      </table>
+    `;
+    container.querySelectorAll("select[data-column-role]").forEach((el) =>
+      el.addEventListener("change", onColumnRoleChange)
+    );
+
+    if (unitsEl) {
+      const units = columnUnits();
+      const area = parseNumber(units.plotAreaM2);
+      const perPlot = units.yield === "kg/plot" || units.cost === "$/plot";
+      unitsEl.innerHTML = `
+        <div class="field-group">
+          <label for="yieldUnit">Yield units</label>
+          <select id="yieldUnit" data-column-unit="yield">
+            <option value="t/ha" ${units.yield === "t/ha" ? "selected" : ""}>Tonnes per hectare (t/ha)</option>
+            <option value="kg/ha" ${units.yield === "kg/ha" ? "selected" : ""}>Kilograms per hectare (kg/ha)</option>
+            <option value="kg/plot" ${units.yield === "kg/plot" ? "selected" : ""}>Kilograms per plot (kg/plot)</option>
+          </select>
+        </div>
+        <div class="field-group">
+          <label for="costUnit">Cost units</label>
+          <select id="costUnit" data-column-unit="cost">
+            <option value="$/ha" ${units.cost === "$/ha" ? "selected" : ""}>Dollars per hectare ($/ha)</option>
+            <option value="$/plot" ${units.cost === "$/plot" ? "selected" : ""}>Dollars per plot ($/plot)</option>
+          </select>
+        </div>
+        <div class="field-group" ${perPlot ? "" : "hidden"}>
+          <label for="plotAreaM2">Plot area</label>
+          <div class="input-with-unit">
+            <input id="plotAreaM2" type="number" min="0" step="any" data-column-unit="plotAreaM2" value="${
+              area > 0 ? area : ""
+            }" />
+            <span class="unit-label">m²</span>
+          </div>
+          ${
+            cm.plotArea
+              ? `<p class="small muted">Each plot's area is read from <code>${escapeHtml(
+                  cm.plotArea
+                )}</code>; the area entered here is used only for rows without one.</p>`
+              : area > 0
+              ? ""
+              : '<p class="small cell-worse">Per-plot values cannot be converted to per hectare without a plot area. Map a plot area column or enter the area; until then they are left out.</p>'
+          }
+        </div>
+      `;
+      unitsEl.querySelectorAll("[data-column-unit]").forEach((el) =>
+        el.addEventListener("change", onColumnUnitChange)
+      );
+    }
+  }
+
+  function renderCostCategoryEditor() {
+    const container = document.getElementById("costCategoryEditor");
+    const statusEl = document.getElementById("costReconciliation");
+    const datalist = document.getElementById("costCategoryOptions");
+    if (!container) return;
+
+    const cc = state.costCategories;
+    if (!cc.columns.length) {
+      container.innerHTML =
+        '<p class="small muted">No itemised cost columns were recognised in this dataset.</p>';
+      if (statusEl) statusEl.textContent = "";
+      return;
+    }
+
+    if (datalist) {
+      const names = new Set(DEFAULT_COST_CATEGORY_RULES.map((r) => r.category));
+      for (const c of cc.columns) names.add(c.category);
+      names.add(EXCLUDED_COST_CATEGORY);
+      datalist.innerHTML = Array.from(names)
+        .map((n) => `<option value="${escapeHtml(n)}"></option>`)
+        .join("");
+    }
+
+    const table = document.createElement("table");
+    table.className = "leaderboard-table cost-map-table";
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th>Dataset column</th>
+          <th>Cost category</th>
+        </tr>
+      </thead>
+    `;
+    const tbody = document.createElement("tbody");
+    for (const c of cc.columns) {
+      const tr = document.createElement("tr");
+      const note = c.autoExcluded && !cc.overrides[c.column]
+        ? '<div class="cell-sub">Larger than the plot total, so excluded automatically</div>'
+        : "";
+      tr.innerHTML = `
+        <td><code>${escapeHtml(c.column)}</code>${note}</td>
+        <td>
+          <input type="text" list="costCategoryOptions" data-column="${escapeHtml(
+            c.column
+          )}" value="${escapeHtml(c.category)}" />
+        </td>
+      `;
+      tbody.appendChild(tr);
+    }
+    table.appendChild(tbody);
+    container.innerHTML = "";
+    container.appendChild(table);
+
+    container.querySelectorAll("input[data-column]").forEach((input) => {
+      input.addEventListener("change", onCostCategoryChange);
+    });
+
+    if (statusEl) {
+      const rec = cc.reconciliation;
+      if (!rec) {
+        statusEl.textContent =
+          "No raw total cost column was found, so the components cannot be reconciled.";
+      } else {
+        statusEl.textContent =
+          rec.matched === rec.checked
+            ? `Components add up to ${rec.totalColumn} on all ${rec.checked} rows.`
+            : `Components differ from ${rec.totalColumn} on ${
+                rec.checked - rec.matched
+              } of ${rec.checked} rows (largest gap ${formatCurrency(
+                rec.maxAbsDiff
+              )}; rows ${rec.mismatchedRows.slice(0, 10).join(", ")}${
+                rec.mismatchedRows.length > 10 ? ", …" : ""
+              }).`;
+        if (rec.excludedColumns.length) {
+          statusEl.textContent += ` Excluded columns: ${rec.excludedColumns.join(", ")}.`;
+        }
+      }
+    }
+  }
+
+  // Dataset and edited averages of one line item over the plots that use it.
+  function lineItemStats(c) {
+    const used = state.rows.filter((r) => {
+      const v = parseNumber(r[c.column]);
+      return !Number.isNaN(v) && v !== 0;
+    });
+    const values = used.map((r) => costCell(r, c.column));
+    const edited = used.map((r) => editedComponentValue(r, c));
+    const avg = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : NaN);
+    return {
+      nUsed: used.length,
+      datasetAvg: avg(values),
+      min: values.length ? Math.min(...values) : NaN,
+      max: values.length ? Math.max(...values) : NaN,
+      editedAvg: avg(edited)
+    };
+  }
+
+  function renderInputPriceEditor() {
+    const catContainer = document.getElementById("inputPriceCategories");
+    const itemContainer = document.getElementById("inputPriceItems");
+    const basisSelect = document.getElementById("costBasis");
+    if (!catContainer || !itemContainer) return;
+
+    const ip = state.inputPrices;
+    const cc = state.costCategories;
+    if (basisSelect) basisSelect.value = ip.enabled ? "lineItems" : "dataset";
+
+    if (!cc.categories.length) {
+      catContainer.innerHTML =
+        '<p class="small muted">No itemised cost columns were recognised in this dataset.</p>';
+      itemContainer.innerHTML = "";
+      return;
+    }
+
+    const catTable = document.createElement("table");
+    catTable.className = "leaderboard-table cost-map-table";
+    catTable.innerHTML = `
+      <thead>
+        <tr>
+          <th>Cost category</th>
+          <th>Timing</th>
+          <th>Change (%)</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${cc.categories
+          .map(
+            (cat) => `
+          <tr>
+            <td>${escapeHtml(cat)}</td>
+            <td>
+              ${
+                state.params.capitalAssets.enabled && cat === CAPITAL_ASSET_CATEGORY
+                  ? '<span class="small muted">Capital asset schedule</span>'
+                  : `<select data-category-timing="${escapeHtml(cat)}">
+                <option value="recurring" ${
+                  ip.oneOffCategories.includes(cat) ? "" : "selected"
+                }>Every year</option>
+                <option value="oneOff" ${
+                  ip.oneOffCategories.includes(cat) ? "selected" : ""
+                }>One-off at start</option>
+              </select>`
+              }
+            </td>
+            <td>
+              <input type="number" step="any" data-category-pct="${escapeHtml(
+                cat
+              )}" value="${
+                ip.categoryPct[cat] === undefined ? "" : ip.categoryPct[cat]
+              }" placeholder="0" />
+            </td>
+          </tr>`
+          )
+          .join("")}
+      </tbody>
+    `;
+    catContainer.innerHTML = "";
+    catContainer.appendChild(catTable);
+
+    const itemTable = document.createElement("table");
+    itemTable.className = "leaderboard-table cost-map-table";
+    itemTable.innerHTML = `
+      <thead>
+        <tr>
+          <th>Line item</th>
+          <th>Category</th>
+          <th>Dataset value ($/ha)</th>
+          <th>New value ($/ha)</th>
+          <th>Change (%)</th>
+          <th>Value used ($/ha)</th>
+        </tr>
+      </thead>
+    `;
+    const tbody = document.createElement("tbody");
+    for (const c of cc.columns) {
+      if (c.category === EXCLUDED_COST_CATEGORY) continue;
+      const st = lineItemStats(c);
+      if (!st.nUsed) continue;
+      const item = ip.items[c.column] || {};
+      const range =
+        st.max - st.min > 0.005
+          ? `<div class="cell-sub">${formatCurrency(st.min)} to ${formatCurrency(
+              st.max
+            )} across plots</div>`
+          : "";
+      const tr = document.createElement("tr");
+      tr.innerHTML = `
+        <td><code>${escapeHtml(c.column)}</code></td>
+        <td>${escapeHtml(c.category)}</td>
+        <td>${formatCurrency(st.datasetAvg)}${range}</td>
+        <td>
+          <input type="number" step="any" min="0" data-item-value="${escapeHtml(
+            c.column
+          )}" value="${item.value === undefined ? "" : item.value}" placeholder="unchanged" />
+        </td>
+        <td>
+          <input type="number" step="any" data-item-pct="${escapeHtml(
+            c.column
+          )}" value="${item.pct === undefined ? "" : item.pct}" placeholder="0" />
+        </td>
+        <td>${formatCurrency(st.editedAvg)}</td>
+      `;
+      tbody.appendChild(tr);
+    }
+    itemTable.appendChild(tbody);
+    itemContainer.innerHTML = "";
+    itemContainer.appendChild(itemTable);
+
+    document
+      .querySelectorAll(
+        "#inputPriceCategories select, #inputPriceCategories input, #inputPriceItems input"
+      )
+      .forEach((el) => el.addEventListener("change", onInputPriceChange));
+  }
+
+  // Purchase cost per ha of each capital asset, averaged over the plots that
+  // use it, with its settings, annualised cost and year-by-year outlays.
+  function capitalAssetRows() {
+    const capitalParams = state.params.capitalAssets;
+    const years = Math.max(1, parseInt(state.params.years, 10) || 1);
+    const rows = [];
+    for (const c of state.costCategories.columns) {
+      if (c.category !== CAPITAL_ASSET_CATEGORY) continue;
+      const st = lineItemStats(c);
+      if (!st.nUsed) continue;
+      const cost = state.inputPrices.enabled ? st.editedAvg : st.datasetAvg;
+      const rule = capitalAssetRule(c.column, capitalParams);
+      rows.push({
+        column: c.column,
+        cost,
+        rule,
+        annualised: annualisedAssetCost(rule, cost, state.params.discountRate),
+        schedule: capitalAssetSchedule(rule, cost, years)
+      });
+    }
+    return rows;
+  }
+
+  function renderCapitalAssetEditor() {
+    const container = document.getElementById("capitalAssetTable");
+    const scheduleContainer = document.getElementById("capitalAssetSchedule");
+    const methodSelect = document.getElementById("capitalMethod");
+    if (!container || !scheduleContainer) return;
+
+    const capitalParams = state.params.capitalAssets;
+    if (methodSelect) {
+      methodSelect.value = capitalParams.enabled ? capitalParams.method : "off";
+    }
+
+    const assets = capitalAssetRows();
+    if (!assets.length) {
+      container.innerHTML = `<p class="small muted">No line items are in the "${escapeHtml(
+        CAPITAL_ASSET_CATEGORY
+      )}" cost category, so there are no capital assets to model.</p>`;
+      scheduleContainer.innerHTML = "";
+      return;
+    }
+
+    const table = document.createElement("table");
+    table.className = "leaderboard-table cost-map-table";
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th>Asset</th>
+          <th>Purchase cost ($/ha)</th>
+          <th>Purchase year</th>
+          <th>Useful life (years)</th>
+          <th>Salvage value (% of cost)</th>
+          <th>Replace at end of life</th>
+          <th>Annualised cost ($/ha/yr)</th>
+          <th>Value at end of horizon ($/ha)</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${assets
+          .map(
+            (a) => `
+          <tr>
+            <td><code>${escapeHtml(a.column)}</code></td>
+            <td>${formatCurrency(a.cost)}</td>
+            <td>
+              <input type="number" min="0" step="1" data-asset-field="purchaseYear" data-asset="${escapeHtml(
+                a.column
+              )}" value="${a.rule.purchaseYear}" />
+            </td>
+            <td>
+              <input type="number" min="1" step="1" data-asset-field="life" data-asset="${escapeHtml(
+                a.column
+              )}" value="${a.rule.life}" />
+            </td>
+            <td>
+              <input type="number" min="0" max="100" step="any" data-asset-field="salvagePct" data-asset="${escapeHtml(
+                a.column
+              )}" value="${a.rule.salvagePct}" />
+            </td>
+            <td>
+              <input type="checkbox" data-asset-field="replace" data-asset="${escapeHtml(
+                a.column
+              )}" ${a.rule.replace ? "checked" : ""} />
+            </td>
+            <td>${formatCurrency(a.annualised)}</td>
+            <td>${formatCurrency(a.schedule.residual)}</td>
+          </tr>`
+          )
+          .join("")}
+      </tbody>
+    `;
+    container.innerHTML = "";
+    container.appendChild(table);
+
+    // Outlays by year, per ha, net of resale at the end of each life
+    const years = Math.max(1, parseInt(state.params.years, 10) || 1);
+    const yearIdx = Array.from({ length: years + 1 }, (_, i) => i);
+    const totals = yearIdx.map((i) =>
+      assets.reduce((sum, a) => sum + a.schedule.outlays[i], 0)
+    );
+    const totalResidual = assets.reduce((sum, a) => sum + a.schedule.residual, 0);
+    const cell = (v) => (Math.abs(v) < 0.005 ? "" : formatCurrency(v));
+    scheduleContainer.innerHTML = `
+      <div class="heatmap-wrapper">
+        <table class="leaderboard-table heatmap-table">
+          <thead>
+            <tr>
+              <th>Asset</th>
+              ${yearIdx.map((i) => `<th>${i === 0 ? "Start" : `Year ${i}`}</th>`).join("")}
+              <th>Value at end</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${assets
+              .map(
+                (a) => `
+              <tr>
+                <td><code>${escapeHtml(a.column)}</code></td>
+                ${yearIdx.map((i) => `<td>${cell(a.schedule.outlays[i])}</td>`).join("")}
+                <td>${cell(a.schedule.residual)}</td>
+              </tr>`
+              )
+              .join("")}
+            <tr>
+              <td><strong>All assets</strong></td>
+              ${yearIdx.map((i) => `<td><strong>${cell(totals[i])}</strong></td>`).join("")}
+              <td><strong>${cell(totalResidual)}</strong></td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    `;
+
+    container
+      .querySelectorAll("input")
+      .forEach((el) => el.addEventListener("change", onCapitalAssetChange));
+  }
+
+  function renderQualityPricingEditor() {
+    const qp = state.params.qualityPricing;
+    const bandsEl = document.getElementById("proteinBands");
+    const summaryEl = document.getElementById("qualityPricingSummary");
+    const set = (id, value) => {
+      const el = document.getElementById(id);
+      if (!el) return;
+      if (el.type === "checkbox") el.checked = value;
+      else el.value = value;
+    };
+    set("qualityPricing", qp.enabled ? "on" : "off");
+    set("qualityStandardise", qp.standardise);
+    set("qualityBasisMoisture", qp.basisMoisture);
+    set("qualityMoistureLimit", qp.moistureLimit);
+    set("qualityShrink", qp.shrinkPctPerPoint);
+    set("qualityDrying", qp.dryingPctPerPoint);
+
+    if (bandsEl) {
+      bandsEl.innerHTML = `
+        <table class="leaderboard-table cost-map-table">
+          <thead>
+            <tr><th>Protein from (%)</th><th>Price adjustment (%)</th><th></th></tr>
+          </thead>
+          <tbody>
+            ${qp.proteinBands
+              .map(
+                (b, i) => `
+              <tr>
+                <td><input type="number" step="0.1" min="0" data-band="${i}" data-band-field="min" value="${b.min}" /></td>
+                <td><input type="number" step="0.5" data-band="${i}" data-band-field="pct" value="${b.pct}" /></td>
+                <td><button class="btn ghost" data-band-remove="${i}">Remove</button></td>
+              </tr>`
+              )
+              .join("")}
+          </tbody>
+        </table>
+      `;
+      bandsEl.querySelectorAll("[data-band]").forEach((el) =>
+        el.addEventListener("change", onQualityPricingChange)
+      );
+      bandsEl.querySelectorAll("[data-band-remove]").forEach((el) =>
+        el.addEventListener("click", onRemoveProteinBand)
+      );
+    }
+
+    if (!summaryEl) return;
+    const cm = state.columnMap || {};
+    if (!state.treatments.length) {
+      summaryEl.innerHTML = "";
+      return;
+    }
+    const missing = [
+      cm.protein ? "" : "protein",
+      cm.moisture ? "" : "moisture"
+    ].filter(Boolean);
+    const price = state.params.pricePerTonne;
+    const fmt = (x, d) => (Number.isNaN(x) ? "–" : formatNumber(x, d));
+    summaryEl.innerHTML = `
+      ${
+        missing.length
+          ? `<p class="small">No ${missing.join(" or ")} column is mapped, so that part of the schedule is left out. Map it under Column mapping.</p>`
+          : ""
+      }
+      <table class="leaderboard-table">
+        <thead>
+          <tr>
+            <th>Treatment</th>
+            <th>Protein (%)</th>
+            <th>Moisture (%)</th>
+            <th>Recorded yield (t/ha)</th>
+            <th>Paid yield (t/ha)</th>
+            <th>Revenue effect ($/ha per year)</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${state.treatments
+            .filter((t) => !t.baseName)
+            .map((t) => {
+              const effect = (t.avgPaidYield - t.avgYield) * price;
+              return `<tr>
+                <td>${escapeHtml(t.name)}</td>
+                <td>${fmt(t.avgProtein, 1)}</td>
+                <td>${fmt(t.avgMoisture, 1)}</td>
+                <td>${fmt(t.avgYield, 2)}</td>
+                <td>${fmt(t.avgPaidYield, 2)}</td>
+                <td class="${effect > 0 ? "cell-better" : effect < 0 ? "cell-worse" : ""}">${
+                  Number.isNaN(effect) ? "–" : `${effect >= 0 ? "+" : ""}${formatCurrency(effect)}`
+                }</td>
+              </tr>`;
+            })
+            .join("")}
+        </tbody>
+      </table>
+    `;
+  }
+
+  function renderBiomassStreamEditor() {
+    const bs = state.params.biomassStreams;
+    const summaryEl = document.getElementById("biomassStreamSummary");
+    const set = (id, value) => {
+      const el = document.getElementById(id);
+      if (!el) return;
+      if (el.type === "checkbox") el.checked = value;
+      else el.value = value;
+    };
+    set("grazingEnabled", bs.grazing.enabled);
+    set("grazingUtilisation", bs.grazing.utilisationPct);
+    set("grazingValue", bs.grazing.valuePerTonne);
+    set("nitrogenEnabled", bs.nitrogen.enabled);
+    set("nitrogenPerTonne", bs.nitrogen.kgPerTonne);
+    set("nitrogenAvailable", bs.nitrogen.availablePct);
+    set("nitrogenPrice", bs.nitrogen.pricePerKg);
+    set("hayEnabled", bs.hay.enabled);
+    set("hayBaled", bs.hay.baledPct);
+    set("hayValue", bs.hay.netValuePerTonne);
+
+    if (!summaryEl) return;
+    if (!state.treatments.length) {
+      summaryEl.innerHTML = "";
+      return;
+    }
+    const cm = state.columnMap || {};
+    const missing = [
+      cm.harvestBiomass ? "" : "biomass at harvest",
+      cm.floweringBiomass ? "" : "biomass at flowering"
+    ].filter(Boolean);
+    const fmt = (x, d) => (Number.isNaN(x) ? "–" : formatNumber(x, d));
+    const money = (x, on) => (on ? formatCurrency(x) : "–");
+    summaryEl.innerHTML = `
+      ${
+        missing.length
+          ? `<p class="small">No ${missing.join(" or ")} column is mapped, so the streams that need it are zero. Map it under Column mapping.</p>`
+          : ""
+      }
+      ${
+        biomassStreamsOn()
+          ? ""
+          : '<p class="small muted">All streams are off: the results count grain only.</p>'
+      }
+      <table class="leaderboard-table">
+        <thead>
+          <tr>
+            <th>Treatment</th>
+            <th>Biomass at flowering (t/ha)</th>
+            <th>Biomass at harvest (t/ha)</th>
+            <th>Grazing ($/ha per year)</th>
+            <th>Nitrogen credit ($/ha per year)</th>
+            <th>Hay and straw ($/ha per year)</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${state.treatments
+            .filter((t) => !t.baseName)
+            .map(
+              (t) => `<tr>
+                <td>${escapeHtml(t.name)}</td>
+                <td>${fmt(t.avgFloweringBiomass, 2)}</td>
+                <td>${fmt(t.avgHarvestBiomass, 2)}</td>
+                <td>${money(t.avgGrazingValue, bs.grazing.enabled)}</td>
+                <td>${money(t.avgNitrogenValue, bs.nitrogen.enabled)}</td>
+                <td>${money(t.avgHayValue, bs.hay.enabled)}</td>
+              </tr>`
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+  }
+
+  function formatRobustZ(z) {
+    if (Number.isNaN(z)) return "";
+    if (!Number.isFinite(z)) return "differs from identical plots";
+    return `z ${z >= 0 ? "+" : ""}${formatNumber(z, 1)}`;
+  }
+
+  function describeAdjustment(adj) {
+    if (!adj) return "";
+    const parts = [];
+    if (adj.excluded) parts.push("excluded");
+    if (adj.yield !== undefined) parts.push(`yield corrected to ${formatNumber(adj.yield, 2)} t/ha`);
+    if (adj.cost !== undefined) parts.push(`cost corrected to ${formatCurrency(adj.cost)}/ha`);
+    return parts.join("; ");
+  }
+
+  // Plot table for excluding plots or correcting values, with outlier flags,
+  // the effect of the adjustments on the results and the audit log.
+  function renderPlotReview() {
+    const container = document.getElementById("plotReviewTable");
+    const summaryEl = document.getElementById("plotReviewSummary");
+    const effectEl = document.getElementById("plotAdjustmentEffect");
+    const logEl = document.getElementById("plotAdjustmentLog");
+    const toggle = document.getElementById("applyAdjustments");
+    const viewSelect = document.getElementById("plotReviewView");
+    if (!container) return;
+
+    const adj = state.adjustments;
+    if (toggle) toggle.checked = adj.applied;
+    if (viewSelect) viewSelect.value = adj.view;
+    if (!state.rows.length) {
+      container.innerHTML = '<p class="small muted">No dataset loaded yet.</p>';
+      if (summaryEl) summaryEl.textContent = "";
+      if (effectEl) effectEl.innerHTML = "";
+      if (logEl) logEl.innerHTML = "";
+      return;
+    }
+
+    const cm = state.columnMap || {};
+    const flags = plotOutlierFlags();
+    const nFlagged = flags.filter((f) => f.yield || f.cost).length;
+    const adjusted = Object.keys(adj.plots).map(Number);
+    if (summaryEl) {
+      summaryEl.textContent = `${nFlagged} plot${nFlagged === 1 ? "" : "s"} flagged as possible outliers. ${
+        adjusted.length
+          ? `${adjusted.length} plot${adjusted.length === 1 ? " is" : "s are"} adjusted; the results ${
+              adj.applied ? "include" : "currently ignore"
+            } these adjustments.`
+          : "No plots are adjusted; every plot is used as recorded."
+      }`;
+    }
+
+    const indices = state.rows
+      .map((_, i) => i)
+      .filter((i) => {
+        if (adj.view === "all") return true;
+        if (adj.view === "adjusted") return adj.plots[i] !== undefined;
+        return flags[i].yield || flags[i].cost || adj.plots[i] !== undefined;
+      });
+    const cell = (row, column) =>
+      column && row[column] !== undefined && row[column] !== null
+        ? escapeHtml(String(row[column]))
+        : "–";
+
+    if (!indices.length) {
+      container.innerHTML = `<p class="small muted">${
+        adj.view === "adjusted"
+          ? "No plots have been adjusted."
+          : "No plots are flagged or adjusted. Show all plots to exclude or correct one."
+      }</p>`;
+    } else {
+      container.innerHTML = `
+        <table class="leaderboard-table cost-map-table">
+          <thead>
+            <tr>
+              <th>Row</th>
+              <th>Plot</th>
+              <th>Treatment</th>
+              <th>Replicate</th>
+              <th>Yield (t/ha)</th>
+              <th>Yearly cost ($/ha)</th>
+              <th>Exclude</th>
+              <th>Corrected yield</th>
+              <th>Corrected cost</th>
+              <th>Reason</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${indices
+              .map((i) => {
+                const row = state.rows[i];
+                const f = flags[i];
+                const a = adj.plots[i] || {};
+                const y = cm.yield ? yieldCell(row, cm.yield) : NaN;
+                const c = cm.variableCost ? costCell(row, cm.variableCost) : NaN;
+                const flagNote = (flagged, z) =>
+                  flagged
+                    ? `<div class="cell-sub"><span class="check-pill warn">Outlier</span> ${formatRobustZ(z)}</div>`
+                    : "";
+                return `
+              <tr>
+                <td>${i + 1}</td>
+                <td>${cell(row, cm.plotId)}</td>
+                <td>${cell(row, cm.treatmentName)}</td>
+                <td>${cell(row, cm.replicate)}</td>
+                <td>${Number.isNaN(y) ? "–" : formatNumber(y, 2)}${flagNote(f.yield, f.yieldZ)}</td>
+                <td>${Number.isNaN(c) ? "–" : formatCurrency(c)}${flagNote(f.cost, f.costZ)}</td>
+                <td><input type="checkbox" data-adjust-exclude="${i}" ${a.excluded ? "checked" : ""} aria-label="Exclude row ${i + 1}" /></td>
+                <td><input type="number" step="any" data-adjust-yield="${i}" value="${
+                  a.yield !== undefined ? a.yield : ""
+                }" aria-label="Corrected yield for row ${i + 1}" /></td>
+                <td><input type="number" step="any" data-adjust-cost="${i}" value="${
+                  a.cost !== undefined ? a.cost : ""
+                }" aria-label="Corrected cost for row ${i + 1}" /></td>
+                <td><input type="text" data-adjust-reason="${i}" value="${escapeHtml(
+                  a.reason || ""
+                )}" placeholder="Required, e.g. waterlogged" aria-label="Reason for row ${i + 1}" /></td>
+              </tr>`;
+              })
+              .join("")}
+          </tbody>
+        </table>
+      `;
+      container
+        .querySelectorAll("[data-adjust-exclude], [data-adjust-yield], [data-adjust-cost]")
+        .forEach((el) => el.addEventListener("change", onPlotAdjustmentChange));
+    }
+
+    if (effectEl) {
+      const effect = adj.effect;
+      effectEl.innerHTML = !effect
+        ? ""
+        : `
+        <h3>Effect of the adjustments</h3>
+        <table class="leaderboard-table">
+          <thead>
+            <tr>
+              <th>Treatment</th>
+              <th>Net profit vs control, as recorded</th>
+              <th>With adjustments</th>
+              <th>Change</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${effect
+              .map((e) => {
+                const change = e.withAdjustments - e.withoutAdjustments;
+                const fmt = (x) => (Number.isNaN(x) ? "–" : formatCurrency(x));
+                return `<tr>
+                  <td>${escapeHtml(e.name)}</td>
+                  <td>${fmt(e.withoutAdjustments)}</td>
+                  <td>${fmt(e.withAdjustments)}</td>
+                  <td class="${change > 0 ? "cell-better" : change < 0 ? "cell-worse" : ""}">${
+                    Number.isNaN(change) ? "–" : `${change >= 0 ? "+" : ""}${formatCurrency(change)}`
+                  }</td>
+                </tr>`;
+              })
+              .join("")}
+          </tbody>
+        </table>`;
+    }
+
+    if (logEl) {
+      logEl.innerHTML = !adj.log.length
+        ? '<p class="small muted">No exclusions or corrections yet.</p>'
+        : `
+        <table class="leaderboard-table">
+          <thead>
+            <tr><th>When</th><th>Row</th><th>Plot</th><th>Treatment</th><th>Change</th><th>Reason</th></tr>
+          </thead>
+          <tbody>
+            ${adj.log
+              .slice()
+              .reverse()
+              .map(
+                (e) => `<tr>
+                <td>${escapeHtml(new Date(e.at).toLocaleString())}</td>
+                <td>${e.row}</td>
+                <td>${escapeHtml(e.plotId)}</td>
+                <td>${escapeHtml(e.treatment)}</td>
+                <td>${escapeHtml(auditLogChange(e))}</td>
+                <td>${escapeHtml(e.reason)}</td>
+              </tr>`
+              )
+              .join("")}
+          </tbody>
+        </table>`;
+    }
+  }
+
+  function auditLogChange(e) {
+    if (e.action === "exclude") return "Excluded";
+    if (e.action === "include") return "Included again";
+    const what = e.field === "yield" ? "Yield (t/ha)" : "Yearly cost ($/ha)";
+    const show = (v) => (v === "" || v === undefined || v === null ? "dataset value" : String(v));
+    return `${what}: ${show(e.from)} → ${show(e.to)}`;
+  }
+
+  function renderReapplicationEditor() {
+    const container = document.getElementById("reapplicationRules");
+    if (!container) return;
+    const rules = state.params.reapplication.rules;
+    const candidates = state.treatments.filter(
+      (t) => !t.reapplication && t.name !== state.controlName
+    );
+    if (!rules.length) {
+      container.innerHTML =
+        '<p class="small muted">No reapplication rules. Every treatment is applied once at the start.</p>';
+      return;
+    }
+
+    container.innerHTML = `
+      <table class="leaderboard-table cost-map-table">
+        <thead>
+          <tr>
+            <th>Treatment</th>
+            <th>Reapply</th>
+            <th>Interval or years</th>
+            <th>Rate (% of first application)</th>
+            <th>Upfront cost per application ($/ha)</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rules
+            .map((rule, i) => {
+              const base = candidates.find((t) => t.name === rule.treatment);
+              const rate = parseNumber(rule.ratePct);
+              return `
+            <tr>
+              <td>
+                <select data-rule="${i}" data-rule-field="treatment">
+                  ${candidates
+                    .map(
+                      (t) =>
+                        `<option value="${escapeHtml(t.name)}" ${
+                          t.name === rule.treatment ? "selected" : ""
+                        }>${escapeHtml(t.name)}</option>`
+                    )
+                    .join("")}
+                </select>
+              </td>
+              <td>
+                <select data-rule="${i}" data-rule-field="mode">
+                  <option value="interval" ${
+                    rule.mode === "years" ? "" : "selected"
+                  }>Every N years</option>
+                  <option value="years" ${
+                    rule.mode === "years" ? "selected" : ""
+                  }>In listed years</option>
+                </select>
+              </td>
+              <td>
+                <input type="text" data-rule="${i}" data-rule-field="when" value="${
+                  rule.mode === "years" ? rule.years.join(", ") : rule.interval
+                }" />
+              </td>
+              <td>
+                <input type="number" min="0" step="any" data-rule="${i}" data-rule-field="ratePct" value="${
+                  rule.ratePct
+                }" />
+              </td>
+              <td>${
+                base ? formatCurrency(base.avgCapCost * (Number.isNaN(rate) ? 0 : rate / 100)) : "–"
+              }</td>
+              <td>
+                <button class="btn ghost" data-remove-rule="${i}">Remove</button>
+              </td>
+            </tr>`;
+            })
+            .join("")}
+        </tbody>
+      </table>
+    `;
+
+    container
+      .querySelectorAll("select, input")
+      .forEach((el) => el.addEventListener("change", onReapplicationChange));
+    container.querySelectorAll("[data-remove-rule]").forEach((btn) =>
+      btn.addEventListener("click", () => {
+        rules.splice(parseInt(btn.getAttribute("data-remove-rule"), 10), 1);
+        refreshCosts();
+      })
+    );
+  }
+
+  function renderCostBreakdownTable() {
+    const table = document.getElementById("costBreakdownTable");
+    if (!table) return;
+    table.innerHTML = "";
+
+    const { categories, byTreatment } = state.costCategories;
+    const { treatments } = state.results;
+    if (!categories.length || !treatments || !treatments.length) {
+      table.innerHTML =
+        '<tbody><tr><td class="small muted">No itemised costs available for this dataset.</td></tr></tbody>';
+      return;
+    }
+
+    const control = treatments.find((t) => t.isControl) || treatments[0];
+    const ordered = [control, ...treatments.filter((t) => !t.isControl)];
+    const find = (name) => byTreatment.find((b) => b.name === name);
+    const cBreak = find(control.name);
+
+    const thead = document.createElement("thead");
+    thead.innerHTML = `<tr><th class="sticky-col">Cost category (per ha)</th>${ordered
+      .map(
+        (t) =>
+          `<th>${t.isControl ? "Control (baseline)" : escapeHtml(t.name)}</th>`
+      )
+      .join("")}</tr>`;
+    table.appendChild(thead);
+
+    const tbody = document.createElement("tbody");
+    for (const cat of [...categories, null]) {
+      const tr = document.createElement("tr");
+      const label = cat === null ? "All categorised costs" : cat;
+      let cells = `<td class="sticky-col"><span class="indicator-name">${escapeHtml(
+        label
+      )}</span></td>`;
+      for (const t of ordered) {
+        const b = find(t.name);
+        const value = !b ? NaN : cat === null ? b.total : b.byCategory[cat];
+        const cValue = !cBreak ? NaN : cat === null ? cBreak.total : cBreak.byCategory[cat];
+        let sub = "";
+        let subClass = "";
+        if (!t.isControl && !Number.isNaN(value) && !Number.isNaN(cValue)) {
+          const delta = value - cValue;
+          if (Math.abs(delta) < 0.005) {
+            sub = "Same as control";
+          } else {
+            sub = `${delta >= 0 ? "+" : ""}${formatCurrency(delta)} vs control`;
+            subClass = delta <= 0 ? "cell-better" : "cell-worse";
+          }
+        }
+        cells += `
+          <td>
+            <div class="cell-main">${formatCurrency(value)}</div>
+            <div class="cell-sub ${subClass}">${sub}</div>
+          </td>`;
+      }
+      tr.innerHTML = cells;
+      tbody.appendChild(tr);
+    }
+    table.appendChild(tbody);
+  }
+
+  function renderControlChoice() {
+    const select = document.getElementById("controlChoice");
+    if (!select) return;
+    select.innerHTML = "";
+
     if (!state.treatments.length) return;
 
     for (const t of state.treatments) {
+      if (t.reapplication) continue;
       const opt = document.createElement("option");
       opt.value = t.name;
       opt.textContent = t.name;
@@ -575,6 +5120,19 @@
         .slice(0, 5);
     } else if (filter === "betterThanControl" && control) {
       rows = rows.filter((r) => r.npv > control.npv);
+    } else if (filter === "significantBetter") {
+      rows = rows.filter(
+        (r) => r.isControl || (r.dunnettSignificant && r.deltaNpv > 0)
+      );
+    } else if (filter === "topIRR") {
+      rows = rows
+        .filter((r) => !r.isControl && !Number.isNaN(r.irr))
+        .sort((a, b) => b.irr - a.irr)
+        .slice(0, 5);
+    } else if (filter === "paysBack") {
+      rows = rows.filter(
+        (r) => r.isControl || !Number.isNaN(r.discountedPaybackYears)
+      );
     }
 
     const table = document.createElement("table");
@@ -586,6 +5144,8 @@
         <th>Treatment</th>
         <th>Net profit over time</th>
         <th>Difference in net profit vs control</th>
+        <th>95% interval</th>
+        <th>Vs control</th>
       </tr>
     `;
     table.appendChild(thead);
@@ -611,6 +5171,8 @@
         </td>
         <td>${formatCurrency(r.npv)}</td>
         <td>${deltaText}</td>
+        <td>${r.isControl ? "" : formatInterval(r.deltaNpvCi, formatCurrency)}</td>
+        <td>${r.isControl ? "" : significancePill(r)}</td>
       `;
       tbody.appendChild(tr);
     }
@@ -636,22 +5198,7 @@
     const nonControl = treatments.filter((t) => !t.isControl);
     const ordered = [control, ...nonControl];
 
-    const indicators = [
-      { key: "pvBenefits", label: "Total benefits over time (discounted)" },
-      { key: "pvTotalCosts", label: "Total costs over time (discounted)" },
-      { key: "npv", label: "Net profit over time" },
-      { key: "bcr", label: "Benefit per dollar spent" },
-      { key: "roi", label: "Return on investment (percent)" },
-      { key: "rank", label: "Overall ranking" },
-      {
-        key: "deltaNpv",
-        label: "Difference in net profit compared with control"
-      },
-      {
-        key: "deltaPvCosts",
-        label: "Difference in total cost compared with control"
-      }
-    ];
+    const indicators = comparisonIndicators();
 
     const thead = document.createElement("thead");
     const headRow = document.createElement("tr");
@@ -691,6 +5238,24 @@
               subClass = delta >= 0 ? "cell-better" : "cell-worse";
             }
           }
+        } else if (ind.key === "npvAfterFinance") {
+          mainVal = formatCurrency(r.npvAfterFinance);
+          if (!r.isControl) {
+            const delta = r.deltaNpvAfterFinance;
+            subVal = `${delta >= 0 ? "+" : ""}${formatCurrency(delta)} vs control`;
+            subClass = delta >= 0 ? "cell-better" : "cell-worse";
+          }
+        } else if (ind.key === "peakDebt") {
+          mainVal = r.peakDebt ? formatCurrency(r.peakDebt) : "None";
+        } else if (BENEFIT_COMPONENT_KEYS.includes(ind.key)) {
+          mainVal = formatCurrency(r[ind.key]);
+          if (!r.isControl) {
+            const delta = r[ind.key] - control[ind.key];
+            if (!Number.isNaN(delta)) {
+              subVal = `${delta >= 0 ? "+" : ""}${formatCurrency(delta)} vs control`;
+              subClass = delta >= 0 ? "cell-better" : "cell-worse";
+            }
+          }
         } else if (ind.key === "pvTotalCosts") {
           mainVal = formatCurrency(r.pvTotalCosts);
           if (!r.isControl) {
@@ -739,6 +5304,88 @@
           if (!r.isControl) {
             subClass = r.deltaPvCosts <= 0 ? "cell-better" : "cell-worse";
           }
+        } else if (ind.key === "pooledDeltaNpv") {
+          mainVal = r.isControl
+            ? "0 (baseline)"
+            : `${r.pooledDeltaNpv >= 0 ? "+" : ""}${formatCurrency(
+                r.pooledDeltaNpv
+              )}`;
+          if (!r.isControl) {
+            subClass = r.pooledDeltaNpv >= 0 ? "cell-better" : "cell-worse";
+          }
+        } else if (INVESTMENT_METRIC_KEYS.includes(ind.key)) {
+          mainVal = formatInvestmentMetric(r, ind.key);
+          if (ind.key === "irr" && !r.isControl && !Number.isNaN(r.irr)) {
+            const above = r.irr > state.results.discountRate;
+            subVal = above ? "Above the discount rate" : "Below the discount rate";
+            subClass = above ? "cell-better" : "cell-worse";
+          } else if (ind.key === "irr" && r.irrNote && !r.isControl) {
+            mainVal = "–";
+            subVal = r.irrNote;
+          } else if (ind.key === "equivalentAnnualBenefit" && !r.isControl) {
+            subClass = r.equivalentAnnualBenefit >= 0 ? "cell-better" : "cell-worse";
+          }
+        } else if (ind.key === "replicateDeltaNpv") {
+          if (r.isControl) {
+            mainVal = "0 (baseline)";
+          } else if (Number.isNaN(r.replicateDeltaNpv)) {
+            mainVal = "–";
+            subVal = "No replicate shared with control";
+          } else {
+            mainVal = `${r.replicateDeltaNpv >= 0 ? "+" : ""}${formatCurrency(
+              r.replicateDeltaNpv
+            )}`;
+            subVal = `Better in ${r.replicatesBetter} of ${r.replicateDeltas.length} replicates`;
+            subClass = r.replicateDeltaNpv >= 0 ? "cell-better" : "cell-worse";
+          }
+        } else if (ind.key === "replicateDeltas") {
+          if (r.isControl) {
+            mainVal = "0 (baseline)";
+          } else if (!r.replicateDeltas.length) {
+            mainVal = "–";
+          } else {
+            mainVal = r.replicateDeltas
+              .map(
+                (d) =>
+                  `<span class="rep-delta ${
+                    d.deltaNpv >= 0 ? "cell-better" : "cell-worse"
+                  }">R${escapeHtml(d.replicate)}: ${
+                    d.deltaNpv >= 0 ? "+" : ""
+                  }${formatCurrency(d.deltaNpv)}</span>`
+              )
+              .join("");
+          }
+        } else if (ind.key === "yieldDiff") {
+          if (r.isControl) {
+            mainVal = "0 (baseline)";
+          } else if (Number.isNaN(r.yieldDiff)) {
+            mainVal = "–";
+          } else {
+            mainVal = `${r.yieldDiff >= 0 ? "+" : ""}${formatNumber(r.yieldDiff, 2)} t/ha`;
+            subVal = formatInterval(r.yieldDiffCi, (x) => formatNumber(x, 2));
+            subClass = r.yieldDunnettSignificant
+              ? r.yieldDiff >= 0
+                ? "cell-better"
+                : "cell-worse"
+              : "";
+          }
+        } else if (ind.key === "deltaNpvCi") {
+          mainVal = r.isControl
+            ? "Baseline"
+            : formatInterval(r.deltaNpvCi, formatCurrency);
+          if (!r.isControl && !Number.isNaN(r.deltaNpvSe)) {
+            subVal = `Standard error ${formatCurrency(r.deltaNpvSe)}`;
+          }
+        } else if (ind.key === "significance") {
+          mainVal = significanceLabel(r);
+          if (!r.isControl && !Number.isNaN(r.pValue)) {
+            subVal = `p = ${formatNumber(r.pValue, 3)}`;
+            subClass = r.dunnettSignificant
+              ? r.deltaNpv >= 0
+                ? "cell-better"
+                : "cell-worse"
+              : "";
+          }
         }
 
         td.innerHTML = `
@@ -752,6 +5399,91 @@
     }
 
     table.appendChild(tbody);
+
+    const statsNote = document.getElementById("comparisonStats");
+    const stats = state.results.stats;
+    if (statsNote) {
+      statsNote.textContent =
+        stats && stats.dfError > 0
+          ? `Block analysis (treatment + replicate): ${stats.dfError} error degrees of freedom; least significant difference in yield from the control ${
+              Math.abs(stats.lsdYield[1] - stats.lsdYield[0]) < 0.005
+                ? `${formatNumber(stats.lsdYield[0], 2)} t/ha`
+                : `${formatNumber(stats.lsdYield[0], 2)} to ${formatNumber(
+                    stats.lsdYield[1],
+                    2
+                  )} t/ha, as treatments have different numbers of plots`
+            }; Dunnett critical value ${formatNumber(
+              stats.dunnettCrit,
+              2
+            )} for ${treatments.length - 1} comparisons with the control (5% level).`
+          : "Not enough replicated plots to estimate experimental error, so no statistical tests are shown.";
+    }
+  }
+
+  function formatInterval(ci, formatter) {
+    if (!ci || Number.isNaN(ci[0]) || Number.isNaN(ci[1])) return "–";
+    return `${formatter(ci[0])} to ${formatter(ci[1])}`;
+  }
+
+  // Plain-language verdict from the Dunnett (family-wise) and LSD
+  // (single comparison) tests on net profit.
+  function significanceLabel(r) {
+    if (r.isControl) return "Baseline";
+    if (Number.isNaN(r.pValue)) return "Not tested";
+    if (r.dunnettSignificant) {
+      return r.deltaNpv >= 0 ? "Clearly better" : "Clearly worse";
+    }
+    if (r.lsdSignificant) {
+      return r.deltaNpv >= 0 ? "Better (LSD only)" : "Worse (LSD only)";
+    }
+    return "Not distinguishable";
+  }
+
+  // Display text for the investment metrics; "–" when there is no value.
+  function formatInvestmentMetric(r, key) {
+    if (r.isControl) return "Baseline";
+    const x = r[key];
+    if (key === "irr") {
+      return Number.isNaN(x) ? r.irrNote || "–" : `${formatNumber(x, 1)}%`;
+    }
+    if (key === "mirr") return Number.isNaN(x) ? "–" : `${formatNumber(x, 1)}%`;
+    if (key === "paybackYears" || key === "discountedPaybackYears") {
+      return Number.isNaN(x) ? "Not paid back" : `${formatNumber(x, 1)} years`;
+    }
+    return Number.isNaN(x) ? "–" : `${x >= 0 ? "+" : ""}${formatCurrency(x)}`;
+  }
+
+  // Export value for an investment metric: the number, or the reason it is
+  // undefined, and blank for the control.
+  function investmentMetricExportValue(r, key) {
+    if (r.isControl) return "";
+    const x = r[key];
+    if (!Number.isNaN(x)) return x;
+    if (key === "irr") return r.irrNote;
+    if (key === "paybackYears" || key === "discountedPaybackYears") {
+      return "Not paid back";
+    }
+    return "";
+  }
+
+  const INVESTMENT_METRIC_KEYS = [
+    "irr",
+    "mirr",
+    "paybackYears",
+    "discountedPaybackYears",
+    "equivalentAnnualBenefit"
+  ];
+
+  function significancePill(r) {
+    const label = significanceLabel(r);
+    const cls = r.dunnettSignificant
+      ? r.deltaNpv >= 0
+        ? "ok"
+        : "err"
+      : r.lsdSignificant
+      ? "warn"
+      : "neutral";
+    return `<span class="check-pill ${cls}">${label}</span>`;
   }
 
   // Escape HTML in treatment names
@@ -778,17 +5510,50 @@
       }
       const labels = nonControl.map((t) => t.name);
       const dataDelta = nonControl.map((t) => t.deltaNpv);
+      // Break-even grain prices are marked against the current price on a
+      // second axis; markers above the line need a higher price to pay.
+      const breakEvenPrices = nonControl.map((t) => {
+        const b = state.breakEven.find((x) => x.name === t.name);
+        return b && b.breakEvenPrice > 0 && !b.priceIsCeiling ? b.breakEvenPrice : null;
+      });
+      const showBreakEven = breakEvenPrices.some((x) => x !== null);
+
+      const datasets = [
+        {
+          label: "Difference in net profit vs control (per hectare)",
+          data: dataDelta,
+          yAxisID: "y"
+        }
+      ];
+      if (showBreakEven) {
+        datasets.push(
+          {
+            type: "line",
+            label: "Break-even grain price (per tonne)",
+            data: breakEvenPrices,
+            yAxisID: "yPrice",
+            showLine: false,
+            pointStyle: "crossRot",
+            pointRadius: 7,
+            pointBorderWidth: 2
+          },
+          {
+            type: "line",
+            label: "Current grain price (per tonne)",
+            data: nonControl.map(() => state.results.price),
+            yAxisID: "yPrice",
+            borderDash: [6, 4],
+            borderWidth: 1.5,
+            pointRadius: 0
+          }
+        );
+      }
 
       state.charts.netProfitDelta = new Chart(ctxNet, {
         type: "bar",
         data: {
           labels,
-          datasets: [
-            {
-              label: "Difference in net profit vs control (per hectare)",
-              data: dataDelta
-            }
-          ]
+          datasets
         },
         options: {
           responsive: true,
@@ -802,10 +5567,19 @@
                 display: true,
                 text: "Difference in net profit (AUD per hectare)"
               }
+            },
+            yPrice: {
+              display: showBreakEven,
+              position: "right",
+              grid: { drawOnChartArea: false },
+              title: { display: true, text: "Grain price (AUD per tonne)" }
             }
           },
           plugins: {
-            legend: { display: false },
+            legend: {
+              display: showBreakEven,
+              labels: { boxWidth: 12, font: { size: 10 } }
+            },
             tooltip: {
               callbacks: {
                 label: (ctx) =>
@@ -827,21 +5601,35 @@
       const labelsCB = all.map((t) =>
         t.isControl ? `${t.name} (control)` : t.name
       );
-      const benefits = all.map((t) => t.pvBenefits);
       const costs = all.map((t) => t.pvTotalCosts);
+      // With residue or biomass streams on, benefits stack by component
+      // beside the costs.
+      const stacked = biomassStreamsOn();
+      const benefitSets = stacked
+        ? comparisonIndicators()
+            .filter((ind) => BENEFIT_COMPONENT_KEYS.includes(ind.key))
+            .map((ind) => ({
+              label: ind.label,
+              data: all.map((t) => t[ind.key]),
+              stack: "benefits"
+            }))
+        : [
+            {
+              label: "Total benefits over time (discounted)",
+              data: all.map((t) => t.pvBenefits)
+            }
+          ];
 
       state.charts.costsBenefits = new Chart(ctxCB, {
         type: "bar",
         data: {
           labels: labelsCB,
           datasets: [
-            {
-              label: "Total benefits over time (discounted)",
-              data: benefits
-            },
+            ...benefitSets,
             {
               label: "Total costs over time (discounted)",
-              data: costs
+              data: costs,
+              stack: "costs"
             }
           ]
         },
@@ -850,11 +5638,11 @@
           maintainAspectRatio: false,
           scales: {
             x: {
-              stacked: false,
+              stacked,
               ticks: { font: { size: 10 } }
             },
             y: {
-              stacked: false,
+              stacked,
               title: {
                 display: true,
                 text: "AUD per hectare"
@@ -874,472 +5662,3972 @@
     }
   }
 
-  function buildAiBriefingPrompt() {
-    const textarea = document.getElementById("aiBriefing");
-    if (!textarea) return;
+  function renderSensitivityInputs() {
+    const { grid, mode } = state.sensitivity;
+    const modeSelect = document.getElementById("sensitivityMode");
+    if (modeSelect) modeSelect.value = mode;
+    for (const p of SENSITIVITY_PARAMS) {
+      const input = document.getElementById(`sens_${p.key}`);
+      if (input) input.value = (grid[p.key] || []).join(", ");
+    }
+  }
 
-    const { treatments, control, price, years, persistenceYears, discountRate } =
-      state.results;
-    if (!treatments || !treatments.length || !control) {
-      textarea.value =
-        "No scenario is available yet. Load the trial dataset, apply scenario settings, and then regenerate this summary.";
+  function rankColour(rank, n) {
+    const share = n > 1 ? (rank - 1) / (n - 1) : 0;
+    const hue = Math.round(120 * (1 - share));
+    return `hsl(${hue}, 60%, 86%)`;
+  }
+
+  function renderSensitivity() {
+    const summaryEl = document.getElementById("sensitivitySummary");
+    const heatmapEl = document.getElementById("sensitivityHeatmap");
+    const statusEl = document.getElementById("sensitivityStatus");
+    if (!summaryEl || !heatmapEl) return;
+
+    const { scenarios } = state.sensitivity;
+    if (!scenarios.length) {
+      summaryEl.innerHTML =
+        '<p class="small muted">No sensitivity results yet. Load data and run the sensitivity grid.</p>';
+      heatmapEl.innerHTML = "";
+      if (statusEl) statusEl.textContent = "";
+      renderSensitivityWinnersChart();
       return;
     }
 
-    const lines = [];
-    lines.push(
-      "You are reviewing a cost–benefit analysis based on a real faba beans soil amendment trial."
-    );
-    lines.push(
-      "All figures are calculated from the full trial dataset without dropping any plots."
-    );
-    lines.push("");
-    lines.push("Scenario settings:");
-    lines.push(
-      `- Grain price per tonne: ${formatCurrency(price)} per tonne of harvested grain.`
-    );
-    lines.push(
-      `- Years of benefits and costs: ${years} years are included in the analysis.`
-    );
-    lines.push(
-      `- Years that yield gains last: yield gains from treatments are assumed to last for ${persistenceYears} years.`
-    );
-    lines.push(
-      `- Discount rate: ${discountRate.toFixed(
-        1
-      )} percent per year is used to express future flows in today’s dollars.`
-    );
-    lines.push("");
-    lines.push(
-      `The control treatment is "${control.name}". It is the baseline for all comparisons.`
-    );
-    lines.push(
-      `Its discounted total benefits per hectare are ${formatCurrency(
-        control.pvBenefits
-      )}, its discounted total costs are ${formatCurrency(
-        control.pvTotalCosts
-      )}, and its net profit over time is ${formatCurrency(control.npv)}.`
-    );
-    lines.push("");
-    lines.push(
-      "For each other treatment, describe how it compares with the control in terms of total discounted benefits, total discounted costs, and net profit per hectare. Focus on practical interpretation for farmers and advisers."
-    );
-    lines.push("");
-    lines.push("Key treatment results to interpret:");
-    for (const t of treatments) {
-      const label = t.isControl ? "Control" : "Treatment";
-      const deltaNpvText = t.isControl
-        ? "0 (baseline)"
-        : `${t.deltaNpv >= 0 ? "higher" : "lower"} net profit of about ${formatCurrency(
-            Math.abs(t.deltaNpv)
-          )} per hectare compared with the control.`;
-      const deltaCostText = t.isControl
-        ? "0 (baseline)"
-        : `${t.deltaPvCosts >= 0 ? "higher" : "lower"} discounted total costs by about ${formatCurrency(
-            Math.abs(t.deltaPvCosts)
-          )} per hectare relative to the control.`;
+    if (statusEl) {
+      statusEl.textContent = `${scenarios.length} scenarios evaluated (${
+        state.sensitivity.mode === "joint" ? "all combinations" : "one setting at a time"
+      }).`;
+    }
 
-      lines.push(
-        `- ${label} "${t.name}": net profit over time ${formatCurrency(
-          t.npv
-        )} per hectare; benefit per dollar spent around ${
-          Number.isNaN(t.bcr) ? "not defined" : t.bcr.toFixed(2)
-        }; return on investment about ${
-          Number.isNaN(t.roi) ? "not defined" : t.roi.toFixed(1)
-        } percent. This corresponds to ${deltaNpvText} It also has ${deltaCostText}`
-      );
+    // Rank stability summary
+    const summary = summariseSensitivity().sort((a, b) => {
+      if (a.isControl !== b.isControl) return a.isControl ? -1 : 1;
+      return b.shareBetter - a.shareBetter;
+    });
+    const sTable = document.createElement("table");
+    sTable.className = "leaderboard-table";
+    sTable.innerHTML = `
+      <thead>
+        <tr>
+          <th>Treatment</th>
+          <th>Best rank</th>
+          <th>Worst rank</th>
+          <th>Ranked first</th>
+          <th>Better than control</th>
+        </tr>
+      </thead>
+    `;
+    const sBody = document.createElement("tbody");
+    for (const s of summary) {
+      const tr = document.createElement("tr");
+      let pill = "";
+      if (!s.isControl) {
+        const cls =
+          s.shareBetter >= 0.8 ? "ok" : s.shareBetter >= 0.2 ? "warn" : "err";
+        pill = `<span class="check-pill ${cls}">${formatNumber(
+          s.shareBetter * 100,
+          0
+        )}%</span>`;
+      }
+      tr.innerHTML = `
+        <td>
+          ${escapeHtml(s.name)}
+          ${s.isControl ? '<span class="tag-control">Control</span>' : ""}
+        </td>
+        <td>${s.n ? s.bestRank : "–"}</td>
+        <td>${s.n ? s.worstRank : "–"}</td>
+        <td>${formatNumber(s.shareFirst * 100, 0)}%</td>
+        <td>${s.isControl ? "Baseline" : pill}</td>
+      `;
+      sBody.appendChild(tr);
     }
-    lines.push("");
-    lines.push(
-      "Write a concise narrative that explains which treatments look most promising, where gains come from higher yields versus lower costs, and how much better or worse they are than the control in practical terms."
-    );
-    lines.push(
-      "Use clear language that farmers, agronomists, and policy makers can understand. Avoid technical shorthand such as NPV or BCR; instead, talk about total profit over time, total costs over time, and benefit per dollar spent."
-    );
+    sTable.appendChild(sBody);
+    summaryEl.innerHTML = "";
+    summaryEl.appendChild(sTable);
+
+    // Rank heatmap: one row per scenario, one column per treatment
+    const names = state.results.treatments.map((t) => t.name);
+    const n = names.length;
+    const hTable = document.createElement("table");
+    hTable.className = "heatmap-table";
+    hTable.innerHTML = `
+      <thead>
+        <tr>
+          <th class="sticky-col">Scenario</th>
+          ${names
+            .map(
+              (name) =>
+                `<th>${
+                  name === state.controlName
+                    ? "Control (baseline)"
+                    : escapeHtml(name)
+                }</th>`
+            )
+            .join("")}
+        </tr>
+      </thead>
+    `;
+    const hBody = document.createElement("tbody");
+    for (const sc of scenarios) {
+      const tr = document.createElement("tr");
+      const cells = names
+        .map((name) => {
+          const r = sc.results.find((x) => x.name === name);
+          if (!r) return "<td>–</td>";
+          const title = `${escapeHtml(name)}: net profit ${formatCurrency(r.npv)}${
+            r.isControl ? "" : `, ${formatCurrency(r.deltaNpv)} vs control`
+          }`;
+          return `<td style="background:${rankColour(
+            r.rank,
+            n
+          )}" title="${title}">${r.rank}</td>`;
+        })
+        .join("");
+      tr.innerHTML = `<td class="sticky-col">${escapeHtml(sc.label)}</td>${cells}`;
+      hBody.appendChild(tr);
+    }
+    hTable.appendChild(hBody);
+    heatmapEl.innerHTML = "";
+    heatmapEl.appendChild(hTable);
 
-    textarea.value = lines.join("\n");
+    renderSensitivityWinnersChart();
   }
 
-  // =========================
-  // 5) EXPORTS
-  // =========================
+  // Stacked bar chart of average cost per hectare by category.
+  function formatBreakEvenPrice(b) {
+    if (Number.isNaN(b.breakEvenPrice)) return "–";
+    if (b.breakEvenPrice <= 0 && !b.priceIsCeiling) return "Pays at any price";
+    if (b.breakEvenPrice <= 0) return "Does not pay at any price";
+    return `${b.priceIsCeiling ? "Below " : ""}${formatCurrency(b.breakEvenPrice)}/t`;
+  }
 
-  function exportCleanDatasetTSV() {
-    if (!state.headers.length || !state.rows.length) {
-      showToast("No dataset to export.", "error");
+  function renderBreakEven() {
+    const table = document.getElementById("breakEvenTable");
+    if (!table) return;
+    const rows = state.breakEven;
+    if (!rows.length) {
+      table.innerHTML =
+        '<tbody><tr><td class="small muted">No results yet. Load data and apply scenario settings.</td></tr></tbody>';
       return;
     }
-    const headerLine = state.headers.join("\t");
-    const lines = [headerLine];
+    const sub = (text, cls = "") =>
+      `<span class="cell-sub ${cls}">${text}</span>`;
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th class="sticky-col">Treatment</th>
+          <th>Difference in net profit vs control</th>
+          <th>Break-even grain price</th>
+          <th>Break-even yield gain over control</th>
+          <th>Years yield gains must last</th>
+          <th>Maximum affordable upfront amendment cost</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows
+          .map((b) => {
+            const pays = b.deltaNpv >= 0;
+            return `
+          <tr>
+            <td class="sticky-col">${escapeHtml(b.name)}</td>
+            <td class="${pays ? "cell-better" : "cell-worse"}">${
+              pays ? "+" : ""
+            }${formatCurrency(b.deltaNpv)}</td>
+            <td>${formatBreakEvenPrice(b)}${sub(
+              `now ${formatCurrency(b.currentPrice)}/t`
+            )}</td>
+            <td>${
+              Number.isNaN(b.breakEvenYieldGain)
+                ? "–"
+                : `${formatNumber(b.breakEvenYieldGain, 2)} t/ha`
+            }${sub(`now ${formatNumber(b.currentYieldGain, 2)} t/ha`)}</td>
+            <td>${
+              Number.isNaN(b.breakEvenPersistence)
+                ? b.persistenceNote
+                : `${b.breakEvenPersistence} year${b.breakEvenPersistence === 1 ? "" : "s"}`
+            }</td>
+            <td>${
+              Number.isNaN(b.maxUpfrontCost)
+                ? "–"
+                : b.maxUpfrontCost < 0
+                ? "Does not pay even if free"
+                : `${formatCurrency(b.maxUpfrontCost)}/ha`
+            }${sub(`now ${formatCurrency(b.currentUpfrontCost)}/ha`)}</td>
+          </tr>`;
+          })
+          .join("")}
+      </tbody>
+    `;
+  }
 
-    for (const row of state.rows) {
-      const cells = state.headers.map((h) => {
-        const v = row[h];
-        return v === undefined || v === null ? "" : String(v);
-      });
-      lines.push(cells.join("\t"));
+  function renderMarginalAnalysis() {
+    const table = document.getElementById("marginalTable");
+    const summaryEl = document.getElementById("marginalSummary");
+    if (!table) return;
+    const { rows, recommended } = state.marginal;
+    if (!rows.length) {
+      table.innerHTML =
+        '<tbody><tr><td class="small muted">No results yet. Load data and apply scenario settings.</td></tr></tbody>';
+      if (summaryEl) summaryEl.textContent = "";
+      return;
+    }
+    const minimum = state.params.minimumReturnPct;
+    const pct = (x) => (Number.isNaN(x) ? "–" : `${formatNumber(x, 0)}%`);
+    const sub = (text, cls = "") => `<span class="cell-sub ${cls}">${text}</span>`;
+    const label = (name) =>
+      escapeHtml(name) + (name === state.results.control.name ? " (control)" : "");
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th class="sticky-col">Treatment (cheapest first)</th>
+          <th>Total costs over time</th>
+          <th>Net profit over time</th>
+          <th>Dominance</th>
+          <th>Marginal rate of return</th>
+          <th>Worth the step?</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows
+          .map((m) => {
+            let step = "";
+            if (m.dominatedBy) step = "–";
+            else if (!m.base) step = "Starting point";
+            else {
+              step = `${m.accepted ? "Yes" : "No"}${sub(
+                `${pct(m.mrrFromBase)} over ${label(m.base)}`,
+                m.accepted ? "cell-better" : "cell-worse"
+              )}`;
+            }
+            return `
+          <tr class="${m.name === recommended ? "highlight-better" : ""}">
+            <td class="sticky-col">${label(m.name)}${
+              m.name === recommended ? sub("Recommended", "cell-better") : ""
+            }</td>
+            <td>${formatCurrency(m.cost)}</td>
+            <td>${formatCurrency(m.netBenefit)}</td>
+            <td class="${m.dominatedBy ? "cell-worse" : ""}">${
+              m.dominatedBy
+                ? `Dominated${sub(`costs more than ${label(m.dominatedBy)} and earns no more`)}`
+                : "On the efficient frontier"
+            }</td>
+            <td>${
+              m.previous ? `${pct(m.mrr)}${sub(`over ${label(m.previous)}`)}` : "–"
+            }</td>
+            <td>${step}</td>
+          </tr>`;
+          })
+          .join("")}
+      </tbody>
+    `;
+    if (summaryEl) {
+      const dominated = rows.filter((m) => m.dominatedBy).length;
+      summaryEl.textContent = `${dominated} of ${rows.length} treatments are dominated. Stepping up from the cheapest option while each extra dollar returns at least ${formatNumber(
+        minimum,
+        0
+      )}% leads to ${recommended}${
+        recommended === state.results.control.name ? " (the control)" : ""
+      }.`;
     }
+  }
 
-    const blob = new Blob([lines.join("\n")], {
-      type: "text/tab-separated-values;charset=utf-8;"
-    });
-    downloadBlob(blob, "faba_beans_dataset_clean.tsv");
-    showToast("Cleaned dataset (TSV) downloaded.", "success");
+  function renderCombining() {
+    const table = document.getElementById("combiningTable");
+    const effectsEl = document.getElementById("componentEffects");
+    const dictEl = document.getElementById("componentDictionary");
+    if (!table) return;
+    const { dictionary, components, combinations } = state.factorial;
+    if (!combinations.length) {
+      table.innerHTML = `<tbody><tr><td class="small muted">${
+        state.results.treatments && state.results.treatments.length
+          ? 'No treatment name combines components with "+".'
+          : "No results yet. Load data and apply scenario settings."
+      }</td></tr></tbody>`;
+      if (effectsEl) effectsEl.innerHTML = "";
+      if (dictEl) dictEl.innerHTML = "";
+      return;
+    }
+    const signed = (x, fmt) =>
+      Number.isNaN(x) ? "–" : `${x >= 0 ? "+" : ""}${fmt(x)}`;
+    const money = (x) => signed(x, formatCurrency);
+    const tonnes = (x) => signed(x, (v) => `${formatNumber(v, 2)} t/ha`);
+    const sub = (text, cls = "") => `<span class="cell-sub ${cls}">${text}</span>`;
+    const cls = (x) => (x > 0 ? "cell-better" : x < 0 ? "cell-worse" : "");
+
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th class="sticky-col">Combined treatment</th>
+          <th>Difference in net profit vs control</th>
+          <th>Sum of its parts applied alone</th>
+          <th>Interaction (combined less the sum)</th>
+          <th>Gain over the best part alone</th>
+          <th>Does combining pay?</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${combinations
+          .map((c) => {
+            const verdict = combiningVerdict(c);
+            const overBest = c.bestPart ? c.effect.npv - c.bestPart.npv : NaN;
+            return `
+          <tr>
+            <td class="sticky-col">${escapeHtml(c.name)}${
+              c.parts.join(" + ") === c.name ? "" : sub(c.parts.map(escapeHtml).join(" + "))
+            }</td>
+            <td class="${cls(c.effect.npv)}">${money(c.effect.npv)}${sub(
+              `yield ${tonnes(c.effect.yield)}`
+            )}</td>
+            <td>${
+              c.sumOfParts
+                ? `${money(c.sumOfParts.npv)}${sub(`yield ${tonnes(c.sumOfParts.yield)}`)}`
+                : `–${sub(`${c.missingParts.map(escapeHtml).join(", ")} not tested alone`)}`
+            }</td>
+            <td class="${c.interaction ? cls(c.interaction.npv) : ""}">${
+              c.interaction
+                ? `${money(c.interaction.npv)}${sub(
+                    `yield ${tonnes(c.interaction.yield)}; costs ${money(c.interaction.cost)}`
+                  )}${
+                    c.replicates >= 2
+                      ? sub(`95% interval ${formatInterval(c.interactionCi, formatCurrency)}`)
+                      : ""
+                  }`
+                : "–"
+            }</td>
+            <td class="${cls(overBest)}">${money(overBest)}${
+              c.bestPart ? sub(`best part: ${escapeHtml(c.bestPart.name)}`) : ""
+            }</td>
+            <td class="${verdict.cls}">${verdict.text}</td>
+          </tr>`;
+          })
+          .join("")}
+      </tbody>
+    `;
+
+    if (effectsEl) {
+      effectsEl.innerHTML = `
+        <table class="leaderboard-table">
+          <thead>
+            <tr>
+              <th>Component</th>
+              <th>Yield vs control</th>
+              <th>Costs over time vs control</th>
+              <th>Net profit vs control</th>
+              <th>Estimated from</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${components
+              .map((c) => {
+                const e = c.effect;
+                return `<tr>
+                  <td>${escapeHtml(c.name)}</td>
+                  <td>${e ? tonnes(e.yield) : "–"}</td>
+                  <td>${e ? money(e.cost) : "–"}</td>
+                  <td class="${e ? cls(e.npv) : ""}">${e ? money(e.npv) : "–"}</td>
+                  <td class="small">${
+                    c.source === "alone"
+                      ? "Applied alone"
+                      : c.source === "combination"
+                      ? `${c.from.map(escapeHtml).join("; ")}, less its other parts (includes any interaction)`
+                      : "Not estimable: only tested with other untested parts"
+                  }</td>
+                </tr>`;
+              })
+              .join("")}
+          </tbody>
+        </table>
+      `;
+    }
+
+    if (dictEl) {
+      const options = [
+        ...new Set([...state.treatments.filter((t) => !t.reapplication).map((t) => t.name), ...dictionary.map((d) => d.token)])
+      ];
+      dictEl.innerHTML = `
+        <datalist id="componentOptions">
+          ${options.map((n) => `<option value="${escapeHtml(n)}"></option>`).join("")}
+        </datalist>
+        <table class="leaderboard-table cost-map-table">
+          <thead>
+            <tr><th>Part of a treatment name</th><th>Component</th></tr>
+          </thead>
+          <tbody>
+            ${dictionary
+              .map(
+                (d) => `<tr>
+                  <td>${escapeHtml(d.token)}</td>
+                  <td><input type="text" list="componentOptions" data-component-token="${escapeHtml(
+                    d.token
+                  )}" value="${escapeHtml(d.component)}" placeholder="${escapeHtml(d.auto)}" /></td>
+                </tr>`
+              )
+              .join("")}
+          </tbody>
+        </table>
+      `;
+      dictEl.querySelectorAll("[data-component-token]").forEach((el) =>
+        el.addEventListener("change", onComponentDictionaryChange)
+      );
+    }
   }
 
-  function exportTreatmentSummaryCSV() {
-    const { treatments } = state.results;
-    if (!treatments || !treatments.length) {
-      showToast("No treatment summary to export.", "error");
+  function describeScenarioSettings(settings) {
+    const p = settings.params || {};
+    return [
+      `${formatCurrency(parseNumber(p.pricePerTonne))}/t`,
+      `${formatNumber(parseNumber(p.discountRate), 1)}% discount`,
+      `${p.years} yr horizon`,
+      `${p.persistenceYears} yr gains`,
+      settings.controlName ? `control ${escapeHtml(settings.controlName)}` : ""
+    ]
+      .filter(Boolean)
+      .join(" · ");
+  }
+
+  function renderScenarioList() {
+    const container = document.getElementById("scenarioList");
+    if (!container) return;
+    const { saved, selected } = state.scenarios;
+    if (!saved.length) {
+      container.innerHTML =
+        '<p class="small muted">No saved scenarios yet. Set the parameters on the Data and settings tab, then save them here under a name.</p>';
       return;
     }
+    container.innerHTML = `
+      <table class="leaderboard-table cost-map-table">
+        <thead>
+          <tr>
+            <th>Compare</th>
+            <th>Name</th>
+            <th>Settings</th>
+            <th>Saved</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${saved
+            .map(
+              (sc) => `
+            <tr>
+              <td>
+                <input type="checkbox" data-scenario-select="${sc.id}" ${
+                  selected.includes(sc.id) ? "checked" : ""
+                } aria-label="Compare ${escapeHtml(sc.name)}" />
+              </td>
+              <td>
+                <input type="text" data-scenario-name="${sc.id}" value="${escapeHtml(
+                  sc.name
+                )}" aria-label="Scenario name" />
+              </td>
+              <td class="small">${describeScenarioSettings(sc.settings)}</td>
+              <td class="small muted">${escapeHtml(
+                new Date(sc.savedAt).toLocaleString()
+              )}</td>
+              <td class="inline-actions">
+                <button class="btn secondary" data-scenario-action="load" data-scenario-id="${sc.id}">Load</button>
+                <button class="btn ghost" data-scenario-action="duplicate" data-scenario-id="${sc.id}">Duplicate</button>
+                <button class="btn ghost" data-scenario-action="delete" data-scenario-id="${sc.id}">Delete</button>
+              </td>
+            </tr>`
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
 
-    const headers = [
-      "Treatment name",
-      "Is control",
-      "Average yield (t per ha)",
-      "Average variable cost (per ha)",
-      "Average capital cost (per ha)",
-      "Total benefits over time (discounted)",
-      "Total costs over time (discounted)",
-      "Net profit over time",
-      "Benefit per dollar spent",
-      "Return on investment (percent)",
-      "Rank",
-      "Difference in net profit vs control",
-      "Difference in total cost vs control"
-    ];
+    container.querySelectorAll("[data-scenario-select]").forEach((el) =>
+      el.addEventListener("change", onScenarioSelectChange)
+    );
+    container.querySelectorAll("[data-scenario-name]").forEach((el) =>
+      el.addEventListener("change", onScenarioRename)
+    );
+    container.querySelectorAll("[data-scenario-action]").forEach((el) =>
+      el.addEventListener("click", onScenarioAction)
+    );
+  }
 
-    const lines = [];
-    lines.push(headers.join(","));
+  // Side-by-side table: one row per treatment, and for each scenario its
+  // net profit, difference from control and rank.
+  function renderScenarioComparison() {
+    const table = document.getElementById("scenarioComparisonTable");
+    if (!table) return;
+    const comparison = state.scenarios.comparison;
+    if (!comparison || !comparison.scenarios.length) {
+      table.innerHTML =
+        '<tbody><tr><td class="small muted">Tick two or more saved scenarios and select "Compare selected".</td></tr></tbody>';
+      return;
+    }
+    const runs = comparison.scenarios;
+    const names = [];
+    for (const run of runs) {
+      for (const r of run.results.treatments) {
+        if (!names.includes(r.name)) names.push(r.name);
+      }
+    }
+    const first = runs[0].results.treatments;
+    const firstRank = (name) => {
+      const r = first.find((x) => x.name === name);
+      return r ? r.rank : Infinity;
+    };
+    names.sort((a, b) => firstRank(a) - firstRank(b));
+
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th class="sticky-col" rowspan="2">Treatment</th>
+          ${runs.map((run) => `<th colspan="3">${escapeHtml(run.name)}</th>`).join("")}
+        </tr>
+        <tr>
+          ${runs
+            .map(() => "<th>Net profit over time</th><th>Vs control</th><th>Rank</th>")
+            .join("")}
+        </tr>
+      </thead>
+      <tbody>
+        ${names
+          .map(
+            (name) => `
+          <tr>
+            <td class="sticky-col">${escapeHtml(name)}</td>
+            ${runs
+              .map((run) => {
+                const r = run.results.treatments.find((x) => x.name === name);
+                if (!r) return "<td>–</td><td>–</td><td>–</td>";
+                const delta = r.isControl
+                  ? "Control"
+                  : `${r.deltaNpv >= 0 ? "+" : ""}${formatCurrency(r.deltaNpv)}`;
+                const cls = r.isControl ? "" : r.deltaNpv >= 0 ? "cell-better" : "cell-worse";
+                return `<td>${formatCurrency(r.npv)}</td><td class="${cls}">${delta}</td><td>${r.rank}</td>`;
+              })
+              .join("")}
+          </tr>`
+          )
+          .join("")}
+      </tbody>
+    `;
+  }
 
-    for (const t of treatments) {
-      const row = [
-        `"${t.name.replace(/"/g, '""')}"`,
-        t.isControl ? "TRUE" : "FALSE",
-        Number.isNaN(t.avgYield) ? "" : t.avgYield.toFixed(4),
-        Number.isNaN(t.avgVarCost) ? "" : t.avgVarCost.toFixed(4),
-        Number.isNaN(t.avgCapCost) ? "" : t.avgCapCost.toFixed(4),
-        Number.isNaN(t.pvBenefits) ? "" : t.pvBenefits.toFixed(2),
-        Number.isNaN(t.pvTotalCosts) ? "" : t.pvTotalCosts.toFixed(2),
-        Number.isNaN(t.npv) ? "" : t.npv.toFixed(2),
-        Number.isNaN(t.bcr) ? "" : t.bcr.toFixed(4),
-        Number.isNaN(t.roi) ? "" : t.roi.toFixed(2),
-        t.rank,
-        Number.isNaN(t.deltaNpv) ? "" : t.deltaNpv.toFixed(2),
-        Number.isNaN(t.deltaPvCosts) ? "" : t.deltaPvCosts.toFixed(2)
-      ];
-      lines.push(row.join(","));
+  function renderPartialBudget() {
+    const select = document.getElementById("partialBudgetTreatment");
+    const container = document.getElementById("partialBudget");
+    if (!select || !container) return;
+    const budgets = state.partialBudgets;
+    if (!budgets.length) {
+      select.innerHTML = "";
+      container.innerHTML =
+        '<p class="small muted">No results yet. Load data and apply scenario settings.</p>';
+      return;
     }
 
-    const blob = new Blob([lines.join("\n")], {
-      type: "text/csv;charset=utf-8;"
-    });
-    downloadBlob(blob, "treatment_summary.csv");
-    showToast("Treatment summary (CSV) downloaded.", "success");
+    const previous = select.value;
+    select.innerHTML = budgets
+      .map((b) => `<option value="${escapeHtml(b.name)}">${escapeHtml(b.name)}</option>`)
+      .join("");
+    select.value = budgets.some((b) => b.name === previous) ? previous : budgets[0].name;
+
+    const b = budgets.find((x) => x.name === select.value);
+    const { control, years, discountRate } = state.results;
+    const section = (sec) => {
+      const items = b[sec.key];
+      const subtotal = items.reduce((a, l) => a + l.amount, 0);
+      return `
+        <tr class="budget-section"><th colspan="2">${sec.label}</th></tr>
+        ${
+          items.length
+            ? items
+                .map(
+                  (l) => `<tr><td>${escapeHtml(l.label)}</td><td>${formatCurrency(l.amount)}</td></tr>`
+                )
+                .join("")
+            : '<tr><td class="muted">None</td><td>–</td></tr>'
+        }
+        <tr class="budget-subtotal"><td>Subtotal</td><td>${formatCurrency(subtotal)}</td></tr>`;
+    };
+    if (b.error) {
+      container.innerHTML = `<p class="small cell-worse">${escapeHtml(b.error)}</p>`;
+      return;
+    }
+    const [added, reduced, costs, lost] = PARTIAL_BUDGET_SECTIONS;
+    container.innerHTML = `
+      <p class="small">
+        <strong>${escapeHtml(b.name)}</strong> compared with the control,
+        <strong>${escapeHtml(control.name)}</strong>. AUD per hectare, discounted over
+        ${years} years at ${formatNumber(discountRate, 1)}% per year.
+      </p>
+      <table class="comparison-table partial-budget-table">
+        <tbody>
+          ${section(added)}
+          ${section(reduced)}
+          <tr class="budget-total"><td>Total gains (A + B)</td><td>${formatCurrency(b.gains)}</td></tr>
+          ${section(costs)}
+          ${section(lost)}
+          <tr class="budget-total"><td>Total losses (C + D)</td><td>${formatCurrency(b.losses)}</td></tr>
+          <tr class="budget-total ${b.net >= 0 ? "cell-better" : "cell-worse"}">
+            <td>Net change in profit (gains less losses)</td>
+            <td>${b.net >= 0 ? "+" : ""}${formatCurrency(b.net)}</td>
+          </tr>
+        </tbody>
+      </table>
+    `;
   }
 
-  function exportComparisonCSV() {
+  function renderFarm() {
+    const areasEl = document.getElementById("farmAreas");
+    const summaryEl = document.getElementById("farmSummary");
+    const table = document.getElementById("farmCashFlowTable");
+    if (!areasEl || !summaryEl || !table) return;
+    const farm = state.params.farm;
+    const set = (id, value) => {
+      const el = document.getElementById(id);
+      if (el) el.value = value;
+    };
+    set("farmCroppedArea", farm.croppedArea);
+    set("farmRamp", farm.ramp.join(", "));
+
     const { treatments } = state.results;
     if (!treatments || !treatments.length) {
-      showToast("No results table to export.", "error");
+      areasEl.innerHTML = "";
+      summaryEl.innerHTML = "";
+      table.innerHTML =
+        '<tbody><tr><td class="small muted">No results yet. Load data and apply scenario settings.</td></tr></tbody>';
       return;
     }
+    areasEl.innerHTML = `
+      <table class="leaderboard-table cost-map-table">
+        <thead>
+          <tr><th>Treatment</th><th>Net profit vs control ($/ha)</th><th>Area planned (ha)</th></tr>
+        </thead>
+        <tbody>
+          ${treatments
+            .filter((t) => !t.isControl)
+            .map(
+              (t) => `<tr>
+                <td>${escapeHtml(t.name)}</td>
+                <td class="${t.deltaNpv >= 0 ? "cell-better" : "cell-worse"}">${
+                  t.deltaNpv >= 0 ? "+" : ""
+                }${formatCurrency(t.deltaNpv)}</td>
+                <td><input type="number" min="0" step="10" data-farm-area="${escapeHtml(t.name)}" value="${
+                  farm.areas[t.name] || ""
+                }" placeholder="0" /></td>
+              </tr>`
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+    areasEl.querySelectorAll("[data-farm-area]").forEach((el) =>
+      el.addEventListener("change", onFarmChange)
+    );
 
-    const indicators = [
-      { key: "pvBenefits", label: "Total benefits over time (discounted)" },
-      { key: "pvTotalCosts", label: "Total costs over time (discounted)" },
-      { key: "npv", label: "Net profit over time" },
-      { key: "bcr", label: "Benefit per dollar spent" },
-      { key: "roi", label: "Return on investment (percent)" },
-      { key: "rank", label: "Overall ranking" },
+    const { rows, summary, warnings } = state.farm;
+    if (!summary) {
+      summaryEl.innerHTML =
+        '<p class="small muted">Enter the area you would put under one or more treatments to see the whole-farm result.</p>';
+      table.innerHTML = "";
+      return;
+    }
+    const cards = [
+      { label: "Area planned", value: `${formatNumber(summary.planned, 0)} ha` },
+      { label: "Whole-farm NPV vs staying with control", value: formatCurrency(summary.npvDifference) },
+      { label: "Whole-farm NPV with adoption", value: formatCurrency(summary.npvAdopt) },
+      { label: "Total capital and upfront outlay", value: formatCurrency(summary.totalCapital) },
       {
-        key: "deltaNpv",
-        label: "Difference in net profit compared with control"
+        label: "Peak annual cash requirement",
+        value: summary.peakRequirement
+          ? `${formatCurrency(summary.peakRequirement)} (${summary.peakYear ? `year ${summary.peakYear}` : "start"})`
+          : "None"
       },
-      {
-        key: "deltaPvCosts",
-        label: "Difference in total cost compared with control"
-      }
+      { label: "Largest cumulative shortfall", value: formatCurrency(summary.peakCumulativeDeficit) }
     ];
+    if (summary.financed) {
+      cards.push(
+        { label: "Peak debt", value: formatCurrency(summary.peakDebt) },
+        { label: "Total interest paid", value: formatCurrency(summary.totalInterest) },
+        {
+          label: "Largest cumulative shortfall after financing",
+          value: formatCurrency(summary.largestFinancedShortfall)
+        },
+        {
+          label: "Whole-farm NPV vs control after financing",
+          value: formatCurrency(summary.npvDifferenceAfterFinance)
+        }
+      );
+    }
+    summaryEl.innerHTML = `
+      ${warnings.map((w) => `<p class="small cell-worse">${escapeHtml(w)}</p>`).join("")}
+      <div class="overview-summary">
+        ${cards
+          .map(
+            (c) => `<div class="summary-card">
+              <div class="summary-card-label">${c.label}</div>
+              <div class="summary-card-value">${c.value}</div>
+            </div>`
+          )
+          .join("")}
+      </div>
+    `;
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th>Year</th>
+          <th>Area treated (ha)</th>
+          <th>Capital and upfront outlay</th>
+          <th>Farm net cash flow, staying with control</th>
+          <th>Farm net cash flow with adoption</th>
+          <th>Difference</th>
+          <th>Cumulative difference</th>
+          <th>Cumulative discounted difference</th>
+          ${
+            summary.financed
+              ? "<th>Debt outstanding</th><th>Interest paid</th><th>Difference after financing</th><th>Cash position vs control after financing</th>"
+              : ""
+          }
+        </tr>
+      </thead>
+      <tbody>
+        ${rows
+          .map(
+            (x) => `<tr>
+              <td>${x.year === 0 ? "Start" : x.year}</td>
+              <td>${formatNumber(x.areaTreated, 0)}</td>
+              <td>${formatCurrency(x.capital)}</td>
+              <td>${formatCurrency(x.stayNet)}</td>
+              <td>${formatCurrency(x.adoptNet)}</td>
+              <td class="${x.difference >= 0 ? "cell-better" : "cell-worse"}">${formatCurrency(x.difference)}</td>
+              <td>${formatCurrency(x.cumulative)}</td>
+              <td>${formatCurrency(x.cumulativeDiscounted)}</td>
+              ${
+                summary.financed
+                  ? `<td>${formatCurrency(x.debt)}</td>
+              <td>${formatCurrency(x.interest)}</td>
+              <td class="${x.financedDifference >= 0 ? "cell-better" : "cell-worse"}">${formatCurrency(
+                      x.financedDifference
+                    )}</td>
+              <td>${formatCurrency(x.financedCash)}</td>`
+                  : ""
+              }
+            </tr>`
+          )
+          .join("")}
+      </tbody>
+    `;
+  }
 
-    const control = treatments.find((t) => t.isControl) || treatments[0];
-    const nonControl = treatments.filter((t) => !t.isControl);
-    const ordered = [control, ...nonControl];
+  function renderFinance() {
+    const fin = state.params.finance;
+    const select = document.getElementById("financeTreatment");
+    const summaryEl = document.getElementById("financeSummary");
+    const table = document.getElementById("financeTable");
+    const set = (id, value) => {
+      const el = document.getElementById(id);
+      if (el) el.value = value;
+    };
+    set("financeEnabled", fin.enabled ? "on" : "off");
+    set("financeBasis", fin.basis);
+    set("financeShare", fin.sharePct);
+    set("financeAmount", fin.amountPerHa);
+    set("financeRate", fin.ratePct);
+    set("financeTerm", fin.termYears);
+    set("financeRepayment", fin.repayment);
+    const shareField = document.getElementById("financeShareField");
+    const amountField = document.getElementById("financeAmountField");
+    if (shareField) shareField.hidden = fin.basis !== "share";
+    if (amountField) amountField.hidden = fin.basis !== "amount";
+    if (!select || !summaryEl || !table) return;
 
-    const header = ["What is measured"];
-    for (const t of ordered) {
-      header.push(t.isControl ? "Control (baseline)" : t.name);
+    const { treatments } = state.results;
+    if (!fin.enabled || !treatments || !treatments.length) {
+      select.innerHTML = "";
+      summaryEl.innerHTML = fin.enabled
+        ? ""
+        : '<p class="small muted">Financing is off: every result assumes upfront costs are paid from cash.</p>';
+      table.innerHTML = "";
+      return;
     }
 
-    const lines = [];
-    lines.push(header.map(csvEscape).join(","));
+    const previous = select.value;
+    select.innerHTML = treatments
+      .map(
+        (t) =>
+          `<option value="${escapeHtml(t.name)}">${escapeHtml(t.name)}${
+            t.isControl ? " (control)" : ""
+          }</option>`
+      )
+      .join("");
+    const defaultChoice = treatments.reduce((a, t) =>
+      t.finance.loan > a.finance.loan ? t : a
+    );
+    select.value = treatments.some((t) => t.name === previous) ? previous : defaultChoice.name;
 
-    for (const ind of indicators) {
-      const row = [ind.label];
-      for (const t of ordered) {
-        const r = treatments.find((x) => x.name === t.name);
-        let value = "";
-        if (ind.key === "pvBenefits") {
-          value = Number.isNaN(r.pvBenefits) ? "" : r.pvBenefits.toFixed(2);
-        } else if (ind.key === "pvTotalCosts") {
-          value = Number.isNaN(r.pvTotalCosts) ? "" : r.pvTotalCosts.toFixed(2);
-        } else if (ind.key === "npv") {
-          value = Number.isNaN(r.npv) ? "" : r.npv.toFixed(2);
-        } else if (ind.key === "bcr") {
-          value = Number.isNaN(r.bcr) ? "" : r.bcr.toFixed(4);
-        } else if (ind.key === "roi") {
-          value = Number.isNaN(r.roi) ? "" : r.roi.toFixed(2);
-        } else if (ind.key === "rank") {
-          value = r.rank;
-        } else if (ind.key === "deltaNpv") {
-          value = Number.isNaN(r.deltaNpv) ? "" : r.deltaNpv.toFixed(2);
-        } else if (ind.key === "deltaPvCosts") {
-          value = Number.isNaN(r.deltaPvCosts) ? "" : r.deltaPvCosts.toFixed(2);
+    const r = treatments.find((t) => t.name === select.value);
+    const f = r.finance;
+    const cards = [
+      { label: "Loan per ha", value: formatCurrency(f.loan) },
+      { label: "Peak debt per ha", value: formatCurrency(f.peakDebt) },
+      { label: "Total interest per ha", value: formatCurrency(f.totalInterest) },
+      {
+        label: "Largest cash shortfall vs control",
+        value: f.largestShortfall
+          ? `${formatCurrency(f.largestShortfall)} (${f.shortfallYear ? `year ${f.shortfallYear}` : "start"})`
+          : "None"
+      },
+      { label: "Net profit before financing", value: formatCurrency(r.npv) },
+      { label: "Net profit after financing", value: formatCurrency(r.npvAfterFinance) }
+    ];
+    if (!r.isControl) {
+      cards.push({
+        label: "Difference from control after financing",
+        value: `${r.deltaNpvAfterFinance >= 0 ? "+" : ""}${formatCurrency(r.deltaNpvAfterFinance)}`
+      });
+    }
+    summaryEl.innerHTML = `
+      <div class="overview-summary">
+        ${cards
+          .map(
+            (c) => `<div class="summary-card">
+              <div class="summary-card-label">${c.label}</div>
+              <div class="summary-card-value">${c.value}</div>
+            </div>`
+          )
+          .join("")}
+      </div>
+    `;
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th>Year</th>
+          <th>Net cash flow before financing</th>
+          <th>Loan drawn</th>
+          <th>Interest</th>
+          <th>Principal repaid</th>
+          <th>Net cash flow after financing</th>
+          <th>Difference from control</th>
+          <th>Cash position vs control</th>
+          <th>Loan balance</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${f.rows
+          .map(
+            (x) => `<tr>
+              <td>${x.year === 0 ? "Start" : x.year}</td>
+              <td>${formatCurrency(x.net)}</td>
+              <td>${formatCurrency(x.draw)}</td>
+              <td>${formatCurrency(x.interest)}</td>
+              <td>${formatCurrency(x.principal)}</td>
+              <td>${formatCurrency(x.financedNet)}</td>
+              <td class="${x.difference >= 0 ? "cell-better" : "cell-worse"}">${formatCurrency(x.difference)}</td>
+              <td>${formatCurrency(x.cashPosition)}</td>
+              <td>${formatCurrency(x.balance)}</td>
+            </tr>`
+          )
+          .join("")}
+      </tbody>
+    `;
+  }
+
+  function renderCashFlowTable() {
+    const select = document.getElementById("cashFlowTreatment");
+    const table = document.getElementById("cashFlowTable");
+    if (!select || !table) return;
+    const { treatments } = state.results;
+    if (!treatments || !treatments.length) {
+      table.innerHTML = "";
+      return;
+    }
+
+    const previous = select.value;
+    select.innerHTML = treatments
+      .map(
+        (t) =>
+          `<option value="${escapeHtml(t.name)}">${escapeHtml(t.name)}${
+            t.isControl ? " (control)" : ""
+          }</option>`
+      )
+      .join("");
+    select.value = treatments.some((t) => t.name === previous)
+      ? previous
+      : treatments[0].name;
+
+    const r = treatments.find((t) => t.name === select.value);
+    const rows = r.cashFlows || [];
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th>Year</th>
+          <th>Share of yield benefit</th>
+          <th>Benefits</th>
+          <th>Yearly costs</th>
+          <th>Capital and upfront costs</th>
+          <th>Net cash flow</th>
+          <th>Discounted net</th>
+          <th>Cumulative discounted net</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows
+          .map(
+            (cf) => `
+          <tr>
+            <td>${cf.year === 0 ? "Start" : cf.year}</td>
+            <td>${cf.year === 0 ? "" : `${formatNumber(cf.multiplier * 100, 0)}%`}</td>
+            <td>${formatCurrency(cf.benefits)}</td>
+            <td>${formatCurrency(cf.variableCosts)}</td>
+            <td>${formatCurrency(cf.capitalCosts)}</td>
+            <td class="${cf.net >= 0 ? "cell-better" : "cell-worse"}">${formatCurrency(cf.net)}</td>
+            <td>${formatCurrency(cf.discountedNet)}</td>
+            <td class="${
+              cf.cumulativeDiscountedNet >= 0 ? "cell-better" : "cell-worse"
+            }">${formatCurrency(
+              cf.cumulativeDiscountedNet
+            )}</td>
+          </tr>`
+          )
+          .join("")}
+      </tbody>
+    `;
+  }
+
+  // Line chart of each treatment's cumulative discounted net cash flow by
+  // year; the final point of each line is the treatment's net profit.
+  function renderCumulativeNetChart() {
+    const ctx = document.getElementById("chartCumulativeNet");
+    if (!ctx) return;
+    if (state.charts.cumulativeNet) {
+      state.charts.cumulativeNet.destroy();
+      state.charts.cumulativeNet = null;
+    }
+    const { treatments, years } = state.results;
+    if (!treatments || !treatments.length) return;
+
+    const labels = Array.from({ length: years + 1 }, (_, i) =>
+      i === 0 ? "Start" : `Year ${i}`
+    );
+    state.charts.cumulativeNet = new Chart(ctx, {
+      type: "line",
+      data: {
+        labels,
+        datasets: treatments.map((t) => ({
+          label: t.isControl ? `${t.name} (control)` : t.name,
+          data: (t.cashFlows || []).map((cf) => cf.cumulativeDiscountedNet),
+          borderWidth: t.isControl ? 3 : 1.5,
+          borderDash: t.isControl ? [6, 4] : [],
+          pointRadius: 0,
+          fill: false
+        }))
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          x: { ticks: { font: { size: 10 } } },
+          y: {
+            title: {
+              display: true,
+              text: "Cumulative discounted net (AUD per hectare)"
+            }
+          }
+        },
+        plugins: {
+          legend: { labels: { boxWidth: 12, font: { size: 10 } } },
+          tooltip: {
+            callbacks: {
+              label: (c) => `${c.dataset.label}: ${formatCurrency(c.parsed.y)}`
+            }
+          }
         }
-        row.push(value);
       }
-      lines.push(row.map(csvEscape).join(","));
+    });
+  }
+
+  // Net profit against total cost for every treatment, with the efficient
+  // frontier drawn through the undominated ones.
+  function renderMarginalChart() {
+    const ctx = document.getElementById("chartMarginal");
+    if (!ctx) return;
+    if (state.charts.marginal) {
+      state.charts.marginal.destroy();
+      state.charts.marginal = null;
     }
+    const { rows, recommended } = state.marginal;
+    if (!rows.length) return;
+    const point = (m) => ({ x: m.cost, y: m.netBenefit, name: m.name });
+    const frontier = rows.filter((m) => !m.dominatedBy);
+
+    state.charts.marginal = new Chart(ctx, {
+      type: "scatter",
+      data: {
+        datasets: [
+          {
+            label: "Efficient frontier",
+            data: frontier.map(point),
+            showLine: true,
+            borderWidth: 2,
+            pointRadius: frontier.map((m) => (m.name === recommended ? 7 : 4)),
+            pointStyle: frontier.map((m) => (m.name === recommended ? "rectRot" : "circle"))
+          },
+          {
+            label: "Dominated",
+            data: rows.filter((m) => m.dominatedBy).map(point),
+            pointRadius: 4
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          x: {
+            title: { display: true, text: "Total costs over time (AUD per hectare)" }
+          },
+          y: {
+            title: { display: true, text: "Net profit over time (AUD per hectare)" }
+          }
+        },
+        plugins: {
+          tooltip: {
+            callbacks: {
+              label: (c) =>
+                `${c.raw.name}: costs ${formatCurrency(c.raw.x)}, net profit ${formatCurrency(
+                  c.raw.y
+                )}${c.raw.name === recommended ? " (recommended)" : ""}`
+            }
+          }
+        }
+      }
+    });
+  }
 
-    const blob = new Blob([lines.join("\n")], {
-      type: "text/csv;charset=utf-8;"
+  function renderFarmChart() {
+    const ctx = document.getElementById("chartFarmCashFlow");
+    if (!ctx) return;
+    if (state.charts.farm) {
+      state.charts.farm.destroy();
+      state.charts.farm = null;
+    }
+    const { rows } = state.farm;
+    if (!rows.length) return;
+
+    state.charts.farm = new Chart(ctx, {
+      type: "bar",
+      data: {
+        labels: rows.map((x) => (x.year === 0 ? "Start" : `Year ${x.year}`)),
+        datasets: [
+          {
+            label: "Difference in farm net cash flow",
+            data: rows.map((x) => x.difference)
+          },
+          {
+            type: "line",
+            label: "Cumulative discounted difference",
+            data: rows.map((x) => x.cumulativeDiscounted),
+            pointRadius: 2,
+            fill: false
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          x: { ticks: { font: { size: 10 } } },
+          y: { title: { display: true, text: "AUD for the whole farm" } }
+        },
+        plugins: {
+          tooltip: {
+            callbacks: {
+              label: (c) => `${c.dataset.label}: ${formatCurrency(c.parsed.y)}`
+            }
+          }
+        }
+      }
     });
-    downloadBlob(blob, "comparison_to_control.csv");
-    showToast("Comparison-to-control results (CSV) downloaded.", "success");
   }
 
-  function csvEscape(value) {
-    if (value === null || value === undefined) return "";
-    const s = String(value);
-    if (s.includes(",") || s.includes('"') || s.includes("\n")) {
-      return `"${s.replace(/"/g, '""')}"`;
+  function renderCombiningChart() {
+    const ctx = document.getElementById("chartCombining");
+    if (!ctx) return;
+    if (state.charts.combining) {
+      state.charts.combining.destroy();
+      state.charts.combining = null;
     }
-    return s;
+    const combinations = state.factorial.combinations.filter((c) => c.sumOfParts);
+    if (!combinations.length) return;
+
+    state.charts.combining = new Chart(ctx, {
+      type: "bar",
+      data: {
+        labels: combinations.map((c) => c.name),
+        datasets: [
+          {
+            label: "Combined treatment",
+            data: combinations.map((c) => c.effect.npv)
+          },
+          {
+            label: "Sum of its parts applied alone",
+            data: combinations.map((c) => c.sumOfParts.npv)
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          x: { ticks: { font: { size: 10 } } },
+          y: {
+            title: {
+              display: true,
+              text: "Difference in net profit vs control (AUD per hectare)"
+            }
+          }
+        },
+        plugins: {
+          tooltip: {
+            callbacks: {
+              label: (c) => `${c.dataset.label}: ${formatCurrency(c.parsed.y)}`
+            }
+          }
+        }
+      }
+    });
   }
 
-  function downloadBlob(blob, filename) {
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    setTimeout(() => {
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-    }, 0);
+  function renderCostCategoryChart() {
+    const ctx = document.getElementById("chartCostCategories");
+    if (!ctx) return;
+    if (state.charts.costCategories) {
+      state.charts.costCategories.destroy();
+      state.charts.costCategories = null;
+    }
+    const { categories, byTreatment } = state.costCategories;
+    const { treatments } = state.results;
+    if (!categories.length || !treatments || !treatments.length) return;
+
+    const control = treatments.find((t) => t.isControl) || treatments[0];
+    const ordered = [control, ...treatments.filter((t) => !t.isControl)];
+    const find = (name) => byTreatment.find((b) => b.name === name);
+
+    state.charts.costCategories = new Chart(ctx, {
+      type: "bar",
+      data: {
+        labels: ordered.map((t) => (t.isControl ? `${t.name} (control)` : t.name)),
+        datasets: categories.map((cat) => ({
+          label: cat,
+          data: ordered.map((t) => {
+            const b = find(t.name);
+            return b ? b.byCategory[cat] : null;
+          })
+        }))
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          x: { stacked: true, ticks: { font: { size: 10 } } },
+          y: {
+            stacked: true,
+            title: { display: true, text: "Average cost (AUD per hectare)" }
+          }
+        },
+        plugins: {
+          legend: { labels: { boxWidth: 12, font: { size: 10 } } },
+          tooltip: {
+            callbacks: {
+              label: (c) => `${c.dataset.label}: ${formatCurrency(c.parsed.y)}`
+            }
+          }
+        }
+      }
+    });
   }
 
-  function exportWorkbook() {
-    if (!window.XLSX) {
-      showToast("Excel library not available.", "error");
-      return;
+  // Stacked bar chart of which treatment ranks first at each value of the
+  // selected parameter, as a share of the scenarios at that value.
+  function renderSensitivityWinnersChart() {
+    const ctx = document.getElementById("chartSensitivityWinners");
+    if (!ctx) return;
+    if (state.charts.sensitivityWinners) {
+      state.charts.sensitivityWinners.destroy();
+      state.charts.sensitivityWinners = null;
     }
-    if (!state.headers.length || !state.rows.length) {
-      showToast("No dataset loaded for workbook export.", "error");
+
+    const { scenarios } = state.sensitivity;
+    if (!scenarios.length) return;
+
+    const axisSelect = document.getElementById("sensitivityWinnerAxis");
+    const key = axisSelect ? axisSelect.value : "pricePerTonne";
+    const param = SENSITIVITY_PARAMS.find((p) => p.key === key) || SENSITIVITY_PARAMS[0];
+
+    const relevant = scenarios.filter(
+      (sc) => sc.varied === null || sc.varied === "joint" || sc.varied === key
+    );
+    const values = Array.from(new Set(relevant.map((sc) => sc.params[key]))).sort(
+      (a, b) => a - b
+    );
+    const winners = Array.from(new Set(relevant.map((sc) => sc.winner))).filter(
+      (w) => w !== null
+    );
+
+    const datasets = winners.map((w) => ({
+      label: w,
+      data: values.map((v) => {
+        const atValue = relevant.filter((sc) => sc.params[key] === v);
+        const won = atValue.filter((sc) => sc.winner === w).length;
+        return atValue.length ? (won / atValue.length) * 100 : 0;
+      })
+    }));
+
+    state.charts.sensitivityWinners = new Chart(ctx, {
+      type: "bar",
+      data: {
+        labels: values.map((v) => formatSensitivityValue(key, v)),
+        datasets
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          x: {
+            stacked: true,
+            title: { display: true, text: `${param.label} (${param.unit})` },
+            ticks: { font: { size: 10 } }
+          },
+          y: {
+            stacked: true,
+            min: 0,
+            max: 100,
+            title: { display: true, text: "Share of scenarios ranked first (%)" }
+          }
+        },
+        plugins: {
+          tooltip: {
+            callbacks: {
+              label: (c) => `${c.dataset.label}: ${formatNumber(c.parsed.y, 0)}%`
+            }
+          }
+        }
+      }
+    });
+  }
+
+  const RISK_DIST_FIELDS = ["type", "low", "mode", "high", "sd"];
+
+  function renderRiskInputs() {
+    const risk = state.risk;
+    const setVal = (id, v) => {
+      const el = document.getElementById(id);
+      if (el) el.value = v;
+    };
+    setVal("riskIterations", risk.iterations);
+    setVal("riskSeed", risk.seed);
+    setVal("riskYieldMethod", risk.yieldMethod);
+    for (const f of RISK_DIST_FIELDS) {
+      setVal(`riskPrice_${f}`, risk.price[f]);
+      setVal(`riskCost_${f}`, risk.cost[f]);
+    }
+  }
+
+  function renderRisk() {
+    const container = document.getElementById("riskSummary");
+    if (!container) return;
+    const res = state.risk.results;
+
+    if (!res) {
+      container.innerHTML =
+        '<p class="small muted">No simulation yet. Choose the distributions and run the simulation.</p>';
+      renderRiskCdfChart();
       return;
     }
-    const wb = XLSX.utils.book_new();
 
-    // Sheet 1: Cleaned dataset
-    const dataSheetAoA = [state.headers.slice()];
-    for (const row of state.rows) {
-      dataSheetAoA.push(
-        state.headers.map((h) =>
-          row[h] === undefined || row[h] === null ? "" : row[h]
-        )
-      );
+    const table = document.createElement("table");
+    table.className = "leaderboard-table";
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th>Treatment</th>
+          <th>Average net profit</th>
+          <th>P10</th>
+          <th>P50 (median)</th>
+          <th>P90</th>
+          <th>Chance of a loss</th>
+          <th>Chance of beating control</th>
+        </tr>
+      </thead>
+    `;
+    const tbody = document.createElement("tbody");
+    for (const r of res.treatments) {
+      const tr = document.createElement("tr");
+      if (r.isControl) tr.classList.add("highlight-better");
+      else if (r.probBeatControl < 0.5) tr.classList.add("highlight-worse");
+      tr.innerHTML = `
+        <td>
+          ${escapeHtml(r.name)}
+          ${r.isControl ? '<span class="tag-control">Control</span>' : ""}
+        </td>
+        <td>${formatCurrency(r.meanNpv)}</td>
+        <td>${formatCurrency(r.p10)}</td>
+        <td>${formatCurrency(r.p50)}</td>
+        <td>${formatCurrency(r.p90)}</td>
+        <td>${formatNumber(r.probLoss * 100, 1)}%</td>
+        <td>${r.isControl ? "Baseline" : `${formatNumber(r.probBeatControl * 100, 1)}%`}</td>
+      `;
+      tbody.appendChild(tr);
     }
-    const wsData = XLSX.utils.aoa_to_sheet(dataSheetAoA);
-    XLSX.utils.book_append_sheet(wb, wsData, "Dataset");
+    table.appendChild(tbody);
+    container.innerHTML = `${
+      state.risk.stale
+        ? '<p class="small cell-worse">The data or settings have changed since this simulation was run. Run it again to update the results.</p>'
+        : ""
+    }<p class="small muted">${res.iterations} iterations, seed ${res.seed}. P10 means a one-in-ten chance of doing worse than this; P90 a one-in-ten chance of doing better.${
+      res.yieldMethod === "pairedReplicates"
+        ? ` Yields are drawn from the ${res.replicates} replicate blocks only, so each treatment has just ${res.replicates} possible yields and the spread reflects those blocks rather than a continuous range of seasons.`
+        : ""
+    }</p>`;
+    container.appendChild(table);
 
-    // Sheet 2: Treatment summary
-    const { treatments } = state.results;
-    if (treatments && treatments.length) {
-      const summaryAoA = [
-        [
-          "Treatment name",
-          "Is control",
-          "Average yield (t per ha)",
-          "Average variable cost (per ha)",
-          "Average capital cost (per ha)",
-          "Total benefits over time (discounted)",
-          "Total costs over time (discounted)",
-          "Net profit over time",
-          "Benefit per dollar spent",
-          "Return on investment (percent)",
-          "Rank",
-          "Difference in net profit vs control",
-          "Difference in total cost vs control"
-        ]
-      ];
+    renderRiskCdfChart();
+  }
 
-      for (const t of treatments) {
-        summaryAoA.push([
-          t.name,
-          t.isControl ? "TRUE" : "FALSE",
-          Number.isNaN(t.avgYield) ? "" : t.avgYield,
-          Number.isNaN(t.avgVarCost) ? "" : t.avgVarCost,
-          Number.isNaN(t.avgCapCost) ? "" : t.avgCapCost,
-          Number.isNaN(t.pvBenefits) ? "" : t.pvBenefits,
-          Number.isNaN(t.pvTotalCosts) ? "" : t.pvTotalCosts,
-          Number.isNaN(t.npv) ? "" : t.npv,
-          Number.isNaN(t.bcr) ? "" : t.bcr,
-          Number.isNaN(t.roi) ? "" : t.roi,
-          t.rank,
-          Number.isNaN(t.deltaNpv) ? "" : t.deltaNpv,
-          Number.isNaN(t.deltaPvCosts) ? "" : t.deltaPvCosts
-        ]);
+  // Cumulative distribution of simulated net profit, one line per treatment.
+  function renderRiskCdfChart() {
+    const ctx = document.getElementById("chartRiskCdf");
+    if (!ctx) return;
+    if (state.charts.riskCdf) {
+      state.charts.riskCdf.destroy();
+      state.charts.riskCdf = null;
+    }
+    const res = state.risk.results;
+    if (!res) return;
+
+    state.charts.riskCdf = new Chart(ctx, {
+      type: "scatter",
+      data: {
+        datasets: res.treatments.map((r) => ({
+          label: r.isControl ? `${r.name} (control)` : r.name,
+          data: r.cdf,
+          showLine: true,
+          pointRadius: 0,
+          borderWidth: r.isControl ? 3 : 1.5
+        }))
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          x: {
+            title: { display: true, text: "Net profit over time (AUD per hectare)" }
+          },
+          y: {
+            min: 0,
+            max: 1,
+            title: { display: true, text: "Probability net profit is at or below" }
+          }
+        },
+        plugins: {
+          legend: { labels: { boxWidth: 12, font: { size: 10 } } },
+          tooltip: {
+            callbacks: {
+              label: (c) =>
+                `${c.dataset.label}: ${formatNumber(c.parsed.y * 100, 0)}% chance of ${formatCurrency(
+                  c.parsed.x
+                )} or less`
+            }
+          }
+        }
       }
+    });
+  }
 
-      const wsSummary = XLSX.utils.aoa_to_sheet(summaryAoA);
-      XLSX.utils.book_append_sheet(wb, wsSummary, "Treatment summary");
+  function buildAiBriefingPrompt() {
+    const textarea = document.getElementById("aiBriefing");
+    if (!textarea) return;
+
+    const { treatments, control, price, years, persistenceYears, discountRate } =
+      state.results;
+    if (!treatments || !treatments.length || !control) {
+      textarea.value =
+        "No scenario is available yet. Load the trial dataset, apply scenario settings, and then regenerate this summary.";
+      return;
     }
 
-    // Sheet 3: Comparison to control
-    const compAoA = [];
-    const indicators = [
-      { key: "pvBenefits", label: "Total benefits over time (discounted)" },
-      { key: "pvTotalCosts", label: "Total costs over time (discounted)" },
-      { key: "npv", label: "Net profit over time" },
-      { key: "bcr", label: "Benefit per dollar spent" },
-      { key: "roi", label: "Return on investment (percent)" },
-      { key: "rank", label: "Overall ranking" },
-      {
-        key: "deltaNpv",
-        label: "Difference in net profit compared with control"
-      },
-      {
-        key: "deltaPvCosts",
-        label: "Difference in total cost compared with control"
-      }
-    ];
+    const lines = [];
+    lines.push(
+      "You are reviewing a cost–benefit analysis based on a real faba beans soil amendment trial."
+    );
+    const adjustedPlots = Object.entries(state.adjustments.plots);
+    if (adjustedPlots.length && state.adjustments.applied) {
+      const excluded = adjustedPlots.filter(([, a]) => a.excluded).length;
+      const corrected = adjustedPlots.length - excluded;
+      lines.push(
+        `All figures are calculated from the trial dataset, with ${excluded} plot${
+          excluded === 1 ? "" : "s"
+        } excluded and ${corrected} plot${corrected === 1 ? "" : "s"} corrected by the analyst. Reasons given: ${adjustedPlots
+          .map(([, a]) => a.reason)
+          .filter((r, i, all) => all.indexOf(r) === i)
+          .join("; ")}.`
+      );
+    } else {
+      lines.push(
+        "All figures are calculated from the full trial dataset without dropping any plots."
+      );
+    }
+    lines.push("");
+    lines.push("Scenario settings:");
+    lines.push(
+      `- Grain price per tonne: ${formatCurrency(price)} per tonne of harvested grain.`
+    );
+    lines.push(
+      `- Years of benefits and costs: ${years} years are included in the analysis.`
+    );
+    lines.push(
+      `- Years that yield gains last: yield gains from treatments are assumed to last for ${persistenceYears} years.`
+    );
+    lines.push(
+      `- Yield response over time: ${formatResponseProfile(
+        state.params.responseProfile
+      )}.`
+    );
+    const qp = state.params.qualityPricing;
+    if (qp.enabled) {
+      lines.push(
+        `- Grain quality pricing: each plot is paid on its grain quality. ${
+          qp.standardise ? `Yields are standardised to ${qp.basisMoisture}% moisture; ` : ""
+        }grain above ${qp.moistureLimit}% moisture loses ${qp.shrinkPctPerPoint}% of its weight and ${
+          qp.dryingPctPerPoint
+        }% of its price per point for shrink and drying; protein grades adjust the price by ${qp.proteinBands
+          .map((b) => `${b.pct >= 0 ? "+" : ""}${b.pct}% from ${b.min}% protein`)
+          .join(", ")}. Yields quoted below are recorded tonnes; quality changes only the grain revenue.`
+      );
+    }
+    const bs = state.params.biomassStreams;
+    if (biomassStreamsOn()) {
+      const streams = [];
+      if (bs.hay.enabled) {
+        streams.push(
+          `${bs.hay.baledPct}% of the crop residue (harvest biomass less grain) is baled as hay or straw worth $${bs.hay.netValuePerTonne}/t after baling costs`
+        );
+      }
+      if (bs.grazing.enabled) {
+        streams.push(
+          `${bs.grazing.utilisationPct}% of the ${
+            bs.hay.enabled ? "remaining " : ""
+          }residue is grazed at $${bs.grazing.valuePerTonne}/t of dry matter`
+        );
+      }
+      if (bs.nitrogen.enabled) {
+        streams.push(
+          `the next crop is credited ${bs.nitrogen.kgPerTonne} kg N per tonne of flowering biomass, ${bs.nitrogen.availablePct}% of it available, at $${bs.nitrogen.pricePerKg}/kg N`
+        );
+      }
+      lines.push(
+        `- Residue and biomass value: on top of grain, ${streams.join("; ")}. These benefits follow the same response over time as the yield gain and are listed separately from grain benefits.`
+      );
+    }
+    lines.push(
+      `- Discount rate: ${discountRate.toFixed(
+        1
+      )} percent per year is used to express future flows in today’s dollars.`
+    );
+    for (const t of state.treatments.filter((x) => x.reapplication)) {
+      lines.push(
+        `- Reapplication: "${t.name}" is ${t.baseName} with the amendment reapplied ${reapplicationLabel(
+          t.reapplication
+        )}; each top-up repeats the upfront cost at that rate and restarts the response of the yield gain over the control.`
+      );
+    }
+    if (state.params.capitalAssets.enabled) {
+      lines.push(
+        state.params.capitalAssets.method === "annualised"
+          ? "- Machinery: capital items are costed as an annualised equivalent cost per hectare over each machine's useful life, net of salvage value."
+          : "- Machinery: capital items are costed as purchases at the start, resale at salvage value and replacement at the end of each useful life, with any remaining value credited at the end of the horizon."
+      );
+    }
+    if (state.inputPrices.enabled) {
+      lines.push(
+        `- Costs: rebuilt from the itemised input costs${
+          Object.keys(state.inputPrices.items).length ||
+          Object.keys(state.inputPrices.categoryPct).length
+            ? " with the user's changes to input prices"
+            : ""
+        }; ${state.inputPrices.oneOffCategories.join(" and ").toLowerCase()} costs are paid once at the start and all other costs every year.`
+      );
+    }
+    lines.push(
+      `- Reinvestment rate for the modified internal rate of return: ${formatNumber(
+        parseNumber(state.params.reinvestmentRate),
+        1
+      )} percent per year.`
+    );
+    lines.push(
+      state.results.comparisonMode === "replicate"
+        ? "- Comparison with control: each treatment plot is compared with the control plot in the same replicate block, and these block-by-block differences are averaged. The rates of return, payback periods and equivalent annual net benefits compare year-by-year cash flows with the average of all control plots."
+        : "- Comparison with control: each treatment is compared with the average of all control plots."
+    );
+    lines.push("");
+    lines.push(
+      `The control treatment is "${control.name}". It is the baseline for all comparisons.`
+    );
+    lines.push(
+      `Its discounted total benefits per hectare are ${formatCurrency(
+        control.pvBenefits
+      )}, its discounted total costs are ${formatCurrency(
+        control.pvTotalCosts
+      )}, and its net profit over time is ${formatCurrency(control.npv)}.`
+    );
+    lines.push("");
+    lines.push(
+      "For each other treatment, describe how it compares with the control in terms of total discounted benefits, total discounted costs, and net profit per hectare. Focus on practical interpretation for farmers and advisers."
+    );
+    lines.push("");
+    lines.push("Key treatment results to interpret:");
+    for (const t of treatments) {
+      const label = t.isControl ? "Control" : "Treatment";
+      const deltaNpvText = t.isControl
+        ? "0 (baseline)"
+        : `${t.deltaNpv >= 0 ? "higher" : "lower"} net profit of about ${formatCurrency(
+            Math.abs(t.deltaNpv)
+          )} per hectare compared with the control.`;
+      const deltaCostText = t.isControl
+        ? "0 (baseline)"
+        : `${t.deltaPvCosts >= 0 ? "higher" : "lower"} discounted total costs by about ${formatCurrency(
+            Math.abs(t.deltaPvCosts)
+          )} per hectare relative to the control.`;
+
+      const consistencyText =
+        t.isControl || !t.replicateDeltas.length
+          ? ""
+          : ` It earned more than the control in ${t.replicatesBetter} of ${t.replicateDeltas.length} replicate blocks.`;
+      let investmentText = "";
+      if (!t.isControl) {
+        investmentText = ` Against the control, its internal rate of return is ${
+          Number.isNaN(t.irr)
+            ? `not defined (${t.irrNote.toLowerCase()})`
+            : `${formatNumber(t.irr, 1)} percent`
+        }, its modified internal rate of return is ${
+          Number.isNaN(t.mirr) ? "not defined" : `${formatNumber(t.mirr, 1)} percent`
+        }, ${
+          Number.isNaN(t.paybackYears)
+            ? "it has not paid back its extra costs by the end of the horizon"
+            : `it pays back its extra costs in ${formatNumber(t.paybackYears, 1)} years`
+        } (${
+          Number.isNaN(t.discountedPaybackYears)
+            ? "not paid back"
+            : `${formatNumber(t.discountedPaybackYears, 1)} years`
+        } after discounting), and its equivalent annual net benefit is ${formatCurrency(
+          t.equivalentAnnualBenefit
+        )} per hectare per year.`;
+      }
+      let uncertaintyText = "";
+      if (!t.isControl && !Number.isNaN(t.pValue)) {
+        uncertaintyText = ` Allowing for plot-to-plot variation, the difference in net profit is likely to lie between ${formatCurrency(
+          t.deltaNpvCi[0]
+        )} and ${formatCurrency(t.deltaNpvCi[1])} per hectare; ${
+          t.dunnettSignificant
+            ? "this difference is statistically clear after allowing for the number of treatments compared."
+            : t.lsdSignificant
+            ? "this difference is only borderline, as it is not clear once the number of treatments compared is allowed for."
+            : "the trial cannot distinguish this treatment from the control."
+        }`;
+      }
+
+      lines.push(
+        `- ${label} "${t.name}": net profit over time ${formatCurrency(
+          t.npv
+        )} per hectare; benefit per dollar spent around ${
+          Number.isNaN(t.bcr) ? "not defined" : t.bcr.toFixed(2)
+        }; return on investment about ${
+          Number.isNaN(t.roi) ? "not defined" : t.roi.toFixed(1)
+        } percent. This corresponds to ${deltaNpvText} It also has ${deltaCostText}${investmentText}${consistencyText}${uncertaintyText}`
+      );
+    }
+    const losing = state.breakEven.filter((b) => b.deltaNpv < 0);
+    if (losing.length) {
+      lines.push("");
+      lines.push(
+        "Break-even points for treatments that earn less than the control (what would have to change for them to match it):"
+      );
+      for (const b of losing) {
+        lines.push(
+          `- "${b.name}": grain price ${formatBreakEvenPrice(b).toLowerCase()} (now ${formatCurrency(
+            b.currentPrice
+          )}/t); yield gain over control ${
+            Number.isNaN(b.breakEvenYieldGain)
+              ? "not defined"
+              : `${formatNumber(b.breakEvenYieldGain, 2)} t/ha`
+          } (now ${formatNumber(b.currentYieldGain, 2)} t/ha); upfront amendment cost ${
+            Number.isNaN(b.maxUpfrontCost) || b.maxUpfrontCost < 0
+              ? "would not be enough even at zero"
+              : `at most ${formatCurrency(b.maxUpfrontCost)}/ha`
+          } (now ${formatCurrency(b.currentUpfrontCost)}/ha).`
+        );
+      }
+    }
+    const fin = state.params.finance;
+    if (fin.enabled && state.results.treatments.length) {
+      const borrowers = state.results.treatments.filter((t) => t.finance.loan > 0);
+      lines.push("");
+      lines.push(
+        `Financing: ${
+          fin.basis === "amount"
+            ? `up to ${formatCurrency(fin.amountPerHa)} per hectare`
+            : `${fin.sharePct} percent`
+        } of the upfront outlay is borrowed at ${fin.ratePct} percent a year over ${fin.termYears} years, ${
+          fin.repayment === "interestOnly"
+            ? "paying interest only and the principal at the end"
+            : "in equal yearly instalments of principal and interest"
+        }.`
+      );
+      for (const t of borrowers) {
+        lines.push(
+          `- "${t.name}": borrows ${formatCurrency(t.finance.loan)} per hectare and pays ${formatCurrency(
+            t.finance.totalInterest
+          )} in interest; its cash falls at most ${formatCurrency(
+            t.finance.largestShortfall
+          )} per hectare behind the control; net profit after financing is ${formatCurrency(
+            t.npvAfterFinance
+          )} per hectare${
+            t.isControl
+              ? ""
+              : ` (${t.deltaNpvAfterFinance >= 0 ? "+" : ""}${formatCurrency(
+                  t.deltaNpvAfterFinance
+                )} compared with the control)`
+          }.`
+        );
+      }
+      if (!borrowers.length) {
+        lines.push("- No treatment has an upfront outlay at the start, so nothing is borrowed.");
+      }
+    }
+    const farmSummary = state.farm.summary;
+    if (farmSummary) {
+      const farm = state.params.farm;
+      lines.push("");
+      lines.push(
+        `Whole-farm view: ${Object.entries(farm.areas)
+          .map(([name, ha]) => `${formatNumber(ha, 0)} ha of "${name}"`)
+          .join(" and ")} on a ${formatNumber(farm.croppedArea, 0)} ha farm, adopted ${
+          farm.ramp.length > 1
+            ? `gradually (${farm.ramp.join("%, ")}% of that area in successive years from the start)`
+            : "from the start"
+        }, the rest staying with the control.`
+      );
+      lines.push(
+        `- Whole-farm net profit over time compared with staying with the control: ${formatCurrency(
+          farmSummary.npvDifference
+        )}; total capital and upfront outlay ${formatCurrency(
+          farmSummary.totalCapital
+        )}; peak annual cash requirement ${formatCurrency(
+          farmSummary.peakRequirement
+        )}; largest cumulative shortfall ${formatCurrency(farmSummary.peakCumulativeDeficit)}.`
+      );
+    }
+    const marginal = state.marginal;
+    if (marginal.rows.length) {
+      const frontier = marginal.rows.filter((m) => !m.dominatedBy);
+      lines.push("");
+      lines.push(
+        `Marginal analysis (treatments ordered by total discounted cost; the minimum acceptable return on extra spending is ${formatNumber(
+          state.params.minimumReturnPct,
+          0
+        )} percent):`
+      );
+      lines.push(
+        `- Efficient frontier, cheapest first: ${frontier
+          .map((m) =>
+            m.previous
+              ? `"${m.name}" (${formatNumber(m.mrr, 0)} percent return on the extra cost over the previous)`
+              : `"${m.name}"`
+          )
+          .join(", ")}.`
+      );
+      const dominated = marginal.rows.filter((m) => m.dominatedBy);
+      if (dominated.length) {
+        lines.push(
+          `- Dominated (cost more than a cheaper treatment and earn no more): ${dominated
+            .map((m) => `"${m.name}"`)
+            .join(", ")}.`
+        );
+      }
+      lines.push(
+        `- Stepping up while each step earns the minimum return leads to "${marginal.recommended}".`
+      );
+    }
+    const combinations = state.factorial.combinations;
+    if (combinations.length) {
+      lines.push("");
+      lines.push(
+        'Combined treatments (names joined with "+"), compared with the sum of their parts applied alone:'
+      );
+      for (const c of combinations) {
+        const sumText = c.sumOfParts
+          ? `the parts applied alone add up to ${formatCurrency(c.sumOfParts.npv)}, so the interaction is ${formatCurrency(
+              c.interaction.npv
+            )}${
+              c.replicates >= 2
+                ? ` (95% interval ${formatInterval(c.interactionCi, formatCurrency)})`
+                : ""
+            }`
+          : `${c.missingParts.join(", ")} ${c.missingParts.length === 1 ? "was" : "were"} not tested alone, so the interaction cannot be estimated`;
+        lines.push(
+          `- "${c.name}" (${c.parts.join(" + ")}): ${formatCurrency(
+            c.effect.npv
+          )} net profit per hectare vs control; ${sumText}. ${combiningVerdict(c).text}.`
+        );
+      }
+    }
+    const sensSummary = state.sensitivity.scenarios.length
+      ? summariseSensitivity().filter((s) => !s.isControl)
+      : [];
+    if (sensSummary.length) {
+      lines.push("");
+      lines.push(
+        `Sensitivity results: the analysis was repeated for ${state.sensitivity.scenarios.length} alternative combinations of grain price, discount rate, years that yield gains last and years of benefits and costs.`
+      );
+      for (const s of sensSummary.sort((a, b) => b.shareBetter - a.shareBetter)) {
+        lines.push(
+          `- "${s.name}" has higher net profit than the control in ${formatNumber(
+            s.shareBetter * 100,
+            0
+          )} percent of these scenarios and ranks between ${s.bestRank} and ${s.worstRank} overall.`
+        );
+      }
+      lines.push(
+        "Explain which treatments stay ahead of the control across a wide range of conditions and which are only attractive under favourable prices or long lasting yield gains."
+      );
+    }
+    const riskRes = state.risk.results;
+    if (riskRes) {
+      lines.push("");
+      lines.push(
+        `Risk simulation: ${riskRes.iterations} random combinations of grain price, input cost level and seasonal yield (drawn from the replicate results) were run.${
+          riskRes.yieldMethod === "pairedReplicates"
+            ? ` Yields were taken from one of the ${riskRes.replicates} replicate blocks at a time, so each treatment has only ${riskRes.replicates} possible yields; the spread understates yield risk beyond what those blocks saw.`
+            : ""
+        }${
+          state.risk.stale
+            ? " The simulation was run before the latest changes to the data or settings, so its figures may be out of date."
+            : ""
+        }`
+      );
+      for (const r of riskRes.treatments) {
+        lines.push(
+          `- "${r.name}": in one simulation out of ten net profit over time falls below ${formatCurrency(
+            r.p10
+          )} per hectare, the middle outcome is ${formatCurrency(
+            r.p50
+          )} and in one simulation out of ten it exceeds ${formatCurrency(r.p90)}. Chance of a loss: ${formatNumber(
+            r.probLoss * 100,
+            0
+          )} percent.${
+            r.isControl
+              ? ""
+              : ` Chance of beating the control: ${formatNumber(r.probBeatControl * 100, 0)} percent.`
+          }`
+        );
+      }
+    }
+    lines.push("");
+    lines.push(
+      "Write a concise narrative that explains which treatments look most promising, where gains come from higher yields versus lower costs, and how much better or worse they are than the control in practical terms."
+    );
+    lines.push(
+      "Make clear which differences are statistically reliable and which could be due to normal variation between plots."
+    );
+    lines.push(
+      "Use clear language that farmers, agronomists, and policy makers can understand. Avoid technical shorthand such as NPV or BCR; instead, talk about total profit over time, total costs over time, and benefit per dollar spent."
+    );
+
+    textarea.value = lines.join("\n");
+  }
+
+  // =========================
+  // 5) EXPORTS
+  // =========================
+
+  function exportCleanDatasetTSV() {
+    if (!state.headers.length || !state.rows.length) {
+      showToast("No dataset to export.", "error");
+      return;
+    }
+    const marks = adjustmentMarks();
+    const headerLine = state.headers.concat(marks ? ADJUSTMENT_EXPORT_HEADERS : []).join("\t");
+    const lines = [headerLine];
+
+    for (const [i, row] of state.rows.entries()) {
+      const cells = state.headers.map((h) => {
+        const v = row[h];
+        return v === undefined || v === null ? "" : String(v);
+      });
+      if (marks) cells.push(...marks[i].map((v) => v.replace(/[\t\n]/g, " ")));
+      lines.push(cells.join("\t"));
+    }
+
+    const blob = new Blob([lines.join("\n")], {
+      type: "text/tab-separated-values;charset=utf-8;"
+    });
+    downloadBlob(blob, "faba_beans_dataset_clean.tsv");
+    showToast("Cleaned dataset (TSV) downloaded.", "success");
+  }
+
+  const ADJUSTMENT_EXPORT_HEADERS = ["plot_adjustment", "adjustment_reason"];
+
+  // Two marking columns per dataset row when any plot has been adjusted,
+  // otherwise null so exports keep the dataset's own columns only.
+  function adjustmentMarks() {
+    const adj = state.adjustments;
+    if (!Object.keys(adj.plots).length) return null;
+    return state.rows.map((_, i) => {
+      const a = adj.plots[i];
+      if (!a) return ["", ""];
+      return [
+        `${describeAdjustment(a)}${adj.applied ? "" : " (not applied)"}`,
+        a.reason || ""
+      ];
+    });
+  }
+
+  const ADJUSTMENT_LOG_HEADERS = [
+    "Time",
+    "Row",
+    "Plot",
+    "Treatment",
+    "Action",
+    "Field",
+    "From",
+    "To",
+    "Reason"
+  ];
+
+  function adjustmentLogRows() {
+    return state.adjustments.log.map((e) => [
+      e.at,
+      e.row,
+      e.plotId,
+      e.treatment,
+      e.action,
+      e.field,
+      e.from === undefined ? "" : e.from,
+      e.to === undefined ? "" : e.to,
+      e.reason
+    ]);
+  }
+
+  function exportAdjustmentLogCSV() {
+    if (!state.adjustments.log.length) {
+      showToast("No plots have been excluded or corrected.", "error");
+      return;
+    }
+    const lines = [ADJUSTMENT_LOG_HEADERS.map(csvEscape).join(",")];
+    for (const r of adjustmentLogRows()) lines.push(r.map(csvEscape).join(","));
+    const blob = new Blob([lines.join("\n")], { type: "text/csv;charset=utf-8;" });
+    downloadBlob(blob, "faba_beans_plot_adjustments.csv");
+    showToast("Plot adjustment log (CSV) downloaded.", "success");
+  }
+
+  const FARM_EXPORT_HEADERS = [
+    "Year",
+    "Area treated (ha)",
+    "Capital and upfront outlay",
+    "Farm net cash flow, staying with control",
+    "Farm net cash flow with adoption",
+    "Difference",
+    "Cumulative difference",
+    "Discounted difference",
+    "Cumulative discounted difference"
+  ];
+
+  function farmExportRows() {
+    const num = (x) => Number(x.toFixed(2));
+    return state.farm.rows.map((x) => [
+      x.year,
+      num(x.areaTreated),
+      num(x.capital),
+      num(x.stayNet),
+      num(x.adoptNet),
+      num(x.difference),
+      num(x.cumulative),
+      num(x.discountedDifference),
+      num(x.cumulativeDiscounted)
+    ]);
+  }
+
+  function financeSettingsRows() {
+    const fin = state.params.finance;
+    return [
+      [
+        "Amount borrowed",
+        fin.basis === "amount"
+          ? `Up to ${fin.amountPerHa} per ha of the upfront outlay`
+          : `${fin.sharePct}% of the upfront outlay`
+      ],
+      ["Interest rate (% per year)", fin.ratePct],
+      ["Term (years)", fin.termYears],
+      ["Repayment", fin.repayment === "interestOnly" ? "Interest only" : "Principal and interest"]
+    ];
+  }
+
+  // Farm settings and headline figures, listed under the yearly rows.
+  function farmSettingsRows() {
+    const farm = state.params.farm;
+    const s = state.farm.summary;
+    return [
+      ["Total cropped area (ha)", farm.croppedArea],
+      ...Object.entries(farm.areas).map(([name, ha]) => [`Area planned: ${name} (ha)`, ha]),
+      ["Adoption ramp (% of planned area by year, start first)", farm.ramp.join(", ")],
+      ["Whole-farm NPV, staying with control", Number(s.npvStay.toFixed(2))],
+      ["Whole-farm NPV with adoption", Number(s.npvAdopt.toFixed(2))],
+      ["Whole-farm NPV vs staying with control", Number(s.npvDifference.toFixed(2))],
+      ["Total capital and upfront outlay", Number(s.totalCapital.toFixed(2))],
+      ["Peak annual cash requirement", Number(s.peakRequirement.toFixed(2))],
+      ["Largest cumulative shortfall", Number(s.peakCumulativeDeficit.toFixed(2))],
+      ...(s.financed
+        ? [
+            ["Peak debt", Number(s.peakDebt.toFixed(2))],
+            ["Total interest paid", Number(s.totalInterest.toFixed(2))],
+            [
+              "Largest cumulative shortfall after financing",
+              Number(s.largestFinancedShortfall.toFixed(2))
+            ],
+            [
+              "Whole-farm NPV vs staying with control after financing",
+              Number(s.npvDifferenceAfterFinance.toFixed(2))
+            ]
+          ]
+        : [])
+    ];
+  }
+
+  function exportFarmCSV() {
+    if (!state.farm.summary) {
+      showToast("Enter the area planned for at least one treatment first.", "error");
+      return;
+    }
+    const lines = [FARM_EXPORT_HEADERS.map(csvEscape).join(",")];
+    for (const r of farmExportRows()) lines.push(r.map(csvEscape).join(","));
+    lines.push("");
+    for (const r of farmSettingsRows()) lines.push(r.map(csvEscape).join(","));
+    const blob = new Blob([lines.join("\n")], { type: "text/csv;charset=utf-8;" });
+    downloadBlob(blob, "faba_beans_whole_farm.csv");
+    showToast("Whole-farm cash flow (CSV) downloaded.", "success");
+  }
+
+  const MARGINAL_EXPORT_HEADERS = [
+    "Treatment",
+    "Total costs over time (discounted)",
+    "Net profit over time",
+    "Dominated by",
+    "Previous on the efficient frontier",
+    "Marginal rate of return vs previous (%)",
+    "Compared with",
+    "Marginal rate of return vs compared (%)",
+    "Worth the step",
+    "Recommended"
+  ];
+
+  function marginalExportRows() {
+    const { rows, recommended } = state.marginal;
+    const num = (x) => (Number.isNaN(x) ? "" : Number(x.toFixed(2)));
+    return rows.map((m) => [
+      m.name,
+      num(m.cost),
+      num(m.netBenefit),
+      m.dominatedBy || "",
+      m.previous || "",
+      num(m.mrr),
+      m.base || "",
+      num(m.mrrFromBase),
+      m.dominatedBy ? "" : !m.base ? "Starting point" : m.accepted ? "Yes" : "No",
+      m.name === recommended ? "Yes" : ""
+    ]);
+  }
+
+  function exportMarginalAnalysisCSV() {
+    if (!state.marginal.rows.length) {
+      showToast("No results to export yet.", "error");
+      return;
+    }
+    const lines = [MARGINAL_EXPORT_HEADERS.map(csvEscape).join(",")];
+    for (const r of marginalExportRows()) lines.push(r.map(csvEscape).join(","));
+    lines.push("");
+    lines.push(
+      ["Minimum acceptable rate of return (%)", state.params.minimumReturnPct]
+        .map(csvEscape)
+        .join(",")
+    );
+    const blob = new Blob([lines.join("\n")], { type: "text/csv;charset=utf-8;" });
+    downloadBlob(blob, "faba_beans_marginal_analysis.csv");
+    showToast("Marginal analysis (CSV) downloaded.", "success");
+  }
+
+  const SIGNIFICANCE_EXPORT_HEADERS = [
+    "Yield difference vs control (t per ha, block model)",
+    "Standard error of yield difference",
+    "Yield difference 95% lower",
+    "Yield difference 95% upper",
+    "Standard error of difference in net profit",
+    "Difference in net profit 95% lower",
+    "Difference in net profit 95% upper",
+    "p-value (net profit vs control)",
+    "Different from control (LSD 5%)",
+    "Different from control (Dunnett 5%)"
+  ];
+
+  function significanceExportValues(t) {
+    const num = (x) => (Number.isNaN(x) || x === undefined ? "" : x);
+    if (t.isControl) return SIGNIFICANCE_EXPORT_HEADERS.map(() => "");
+    return [
+      num(t.yieldDiff),
+      num(t.yieldDiffSe),
+      num(t.yieldDiffCi[0]),
+      num(t.yieldDiffCi[1]),
+      num(t.deltaNpvSe),
+      num(t.deltaNpvCi[0]),
+      num(t.deltaNpvCi[1]),
+      num(t.pValue),
+      t.lsdSignificant ? "TRUE" : "FALSE",
+      t.dunnettSignificant ? "TRUE" : "FALSE"
+    ];
+  }
+
+  const INVESTMENT_METRIC_EXPORT_HEADERS = [
+    "Internal rate of return vs control (percent)",
+    "Modified internal rate of return vs control (percent)",
+    "Payback period vs control (years)",
+    "Discounted payback period vs control (years)",
+    "Equivalent annual net benefit vs control (per ha per year)"
+  ];
+
+  const BREAK_EVEN_EXPORT_HEADERS = [
+    "Break-even grain price (per tonne)",
+    "Break-even grain price is a ceiling",
+    "Break-even yield gain over control (t per ha)",
+    "Years yield gains must last to break even",
+    "Maximum affordable upfront amendment cost (per ha)"
+  ];
+
+  function breakEvenExportValues(t) {
+    const b = state.breakEven.find((x) => x.name === t.name);
+    if (t.isControl || !b) return BREAK_EVEN_EXPORT_HEADERS.map(() => "");
+    const num = (x) => (Number.isNaN(x) ? "" : x);
+    return [
+      num(b.breakEvenPrice),
+      b.priceIsCeiling ? "TRUE" : "FALSE",
+      num(b.breakEvenYieldGain),
+      Number.isNaN(b.breakEvenPersistence) ? b.persistenceNote : b.breakEvenPersistence,
+      num(b.maxUpfrontCost)
+    ];
+  }
+
+  function exportTreatmentSummaryCSV() {
+    const { treatments } = state.results;
+    if (!treatments || !treatments.length) {
+      showToast("No treatment summary to export.", "error");
+      return;
+    }
+
+    const headers = [
+      "Treatment name",
+      "Is control",
+      "Average yield (t per ha)",
+      "Average variable cost (per ha)",
+      "Average capital cost (per ha)",
+      "Total benefits over time (discounted)",
+      "Total costs over time (discounted)",
+      "Net profit over time",
+      "Benefit per dollar spent",
+      "Return on investment (percent)",
+      "Rank",
+      "Difference in net profit vs control",
+      "Difference in total cost vs control",
+      "Difference in net profit vs pooled control mean",
+      "Difference in net profit vs same-replicate control (average)",
+      "Replicates better than control",
+      ...INVESTMENT_METRIC_EXPORT_HEADERS,
+      ...BREAK_EVEN_EXPORT_HEADERS,
+      ...SIGNIFICANCE_EXPORT_HEADERS
+    ];
+
+    const lines = [];
+    lines.push(headers.join(","));
+
+    for (const t of treatments) {
+      const row = [
+        `"${t.name.replace(/"/g, '""')}"`,
+        t.isControl ? "TRUE" : "FALSE",
+        Number.isNaN(t.avgYield) ? "" : t.avgYield.toFixed(4),
+        Number.isNaN(t.avgVarCost) ? "" : t.avgVarCost.toFixed(4),
+        Number.isNaN(t.avgCapCost) ? "" : t.avgCapCost.toFixed(4),
+        Number.isNaN(t.pvBenefits) ? "" : t.pvBenefits.toFixed(2),
+        Number.isNaN(t.pvTotalCosts) ? "" : t.pvTotalCosts.toFixed(2),
+        Number.isNaN(t.npv) ? "" : t.npv.toFixed(2),
+        Number.isNaN(t.bcr) ? "" : t.bcr.toFixed(4),
+        Number.isNaN(t.roi) ? "" : t.roi.toFixed(2),
+        t.rank,
+        Number.isNaN(t.deltaNpv) ? "" : t.deltaNpv.toFixed(2),
+        Number.isNaN(t.deltaPvCosts) ? "" : t.deltaPvCosts.toFixed(2),
+        Number.isNaN(t.pooledDeltaNpv) ? "" : t.pooledDeltaNpv.toFixed(2),
+        Number.isNaN(t.replicateDeltaNpv) ? "" : t.replicateDeltaNpv.toFixed(2),
+        `${t.replicatesBetter} of ${t.replicateDeltas.length}`,
+        ...INVESTMENT_METRIC_KEYS.map((key) => {
+          const v = investmentMetricExportValue(t, key);
+          return typeof v === "number" ? v.toFixed(2) : csvEscape(v);
+        }),
+        ...breakEvenExportValues(t).map((v) =>
+          typeof v === "number" ? v.toFixed(4) : csvEscape(v)
+        ),
+        ...significanceExportValues(t).map((v) =>
+          typeof v === "number" ? v.toFixed(4) : v
+        )
+      ];
+      lines.push(row.join(","));
+    }
+
+    const blob = new Blob([lines.join("\n")], {
+      type: "text/csv;charset=utf-8;"
+    });
+    downloadBlob(blob, "treatment_summary.csv");
+    showToast("Treatment summary (CSV) downloaded.", "success");
+  }
+
+  function exportComparisonCSV() {
+    const { treatments } = state.results;
+    if (!treatments || !treatments.length) {
+      showToast("No results table to export.", "error");
+      return;
+    }
+
+    const indicators = comparisonIndicators();
+
+    const control = treatments.find((t) => t.isControl) || treatments[0];
+    const nonControl = treatments.filter((t) => !t.isControl);
+    const ordered = [control, ...nonControl];
+
+    const header = ["What is measured"];
+    for (const t of ordered) {
+      header.push(t.isControl ? "Control (baseline)" : t.name);
+    }
+
+    const lines = [];
+    lines.push(header.map(csvEscape).join(","));
+
+    for (const ind of indicators) {
+      // Replicate-by-replicate differences get one row per replicate below.
+      if (ind.key === "replicateDeltas") continue;
+      const row = [ind.label];
+      for (const t of ordered) {
+        const r = treatments.find((x) => x.name === t.name);
+        let value = "";
+        if (ind.key === "pvBenefits") {
+          value = Number.isNaN(r.pvBenefits) ? "" : r.pvBenefits.toFixed(2);
+        } else if (ind.key === "pvTotalCosts") {
+          value = Number.isNaN(r.pvTotalCosts) ? "" : r.pvTotalCosts.toFixed(2);
+        } else if (ind.key === "npv") {
+          value = Number.isNaN(r.npv) ? "" : r.npv.toFixed(2);
+        } else if (ind.key === "bcr") {
+          value = Number.isNaN(r.bcr) ? "" : r.bcr.toFixed(4);
+        } else if (ind.key === "roi") {
+          value = Number.isNaN(r.roi) ? "" : r.roi.toFixed(2);
+        } else if (ind.key === "rank") {
+          value = r.rank;
+        } else if (ind.key === "deltaNpv") {
+          value = Number.isNaN(r.deltaNpv) ? "" : r.deltaNpv.toFixed(2);
+        } else if (ind.key === "deltaPvCosts") {
+          value = Number.isNaN(r.deltaPvCosts) ? "" : r.deltaPvCosts.toFixed(2);
+        } else if (ind.key === "yieldDiff") {
+          value = Number.isNaN(r.yieldDiff) ? "" : r.yieldDiff.toFixed(4);
+        } else if (ind.key === "deltaNpvCi") {
+          value = r.isControl
+            ? ""
+            : formatInterval(r.deltaNpvCi, (x) => x.toFixed(2)).replace("–", "");
+        } else if (ind.key === "significance") {
+          value = significanceLabel(r);
+        } else if (INVESTMENT_METRIC_KEYS.includes(ind.key)) {
+          const x = investmentMetricExportValue(r, ind.key);
+          value = typeof x === "number" ? x.toFixed(2) : x;
+        } else {
+          const x = r[ind.key];
+          value = Number.isNaN(x) ? "" : x.toFixed(2);
+        }
+        row.push(value);
+      }
+      lines.push(row.map(csvEscape).join(","));
+    }
+
+    // One row per replicate with the same-replicate difference in net profit
+    for (const rep of replicateIds(treatments)) {
+      const row = [`Difference in net profit vs control, replicate ${rep}`];
+      for (const t of ordered) {
+        const d = t.replicateDeltas.find((x) => x.replicate === rep);
+        row.push(d && !Number.isNaN(d.deltaNpv) ? d.deltaNpv.toFixed(2) : "");
+      }
+      lines.push(row.map(csvEscape).join(","));
+    }
+
+    const blob = new Blob([lines.join("\n")], {
+      type: "text/csv;charset=utf-8;"
+    });
+    downloadBlob(blob, "comparison_to_control.csv");
+    showToast("Comparison-to-control results (CSV) downloaded.", "success");
+  }
+
+  function exportSensitivityCSV() {
+    const { rows } = state.sensitivity;
+    if (!rows.length) {
+      showToast("No sensitivity grid to export.", "error");
+      return;
+    }
+
+    const headers = [
+      "scenario_id",
+      "scenario_label",
+      "grain_price",
+      "discount_rate",
+      "horizon_years",
+      "persistence_years",
+      "treatment_name",
+      "is_control",
+      "npv",
+      "delta_npv_vs_control",
+      "bcr",
+      "roi",
+      "rank_in_scenario"
+    ];
+
+    const lines = [headers.join(",")];
+    for (const r of rows) {
+      const row = [
+        r.scenarioId,
+        r.scenarioLabel,
+        r.price,
+        r.discountRate,
+        r.years,
+        r.persistenceYears,
+        r.name,
+        r.isControl ? "TRUE" : "FALSE",
+        Number.isNaN(r.npv) ? "" : r.npv.toFixed(2),
+        Number.isNaN(r.deltaNpv) ? "" : r.deltaNpv.toFixed(2),
+        Number.isNaN(r.bcr) ? "" : r.bcr.toFixed(4),
+        Number.isNaN(r.roi) ? "" : r.roi.toFixed(2),
+        r.rank
+      ];
+      lines.push(row.map(csvEscape).join(","));
+    }
+
+    const blob = new Blob([lines.join("\n")], {
+      type: "text/csv;charset=utf-8;"
+    });
+    downloadBlob(blob, "sensitivity_grid.csv");
+    showToast("Sensitivity grid (CSV) downloaded.", "success");
+  }
+
+  const RISK_EXPORT_HEADERS = [
+    "Treatment name",
+    "Is control",
+    "Iterations",
+    "Average net profit",
+    "Standard deviation of net profit",
+    "P10 net profit",
+    "P50 net profit",
+    "P90 net profit",
+    "Probability of a loss",
+    "Probability of beating control",
+    "P10 difference vs control",
+    "P50 difference vs control",
+    "P90 difference vs control"
+  ];
+
+  function riskExportRow(r) {
+    return [
+      r.name,
+      r.isControl ? "TRUE" : "FALSE",
+      r.n,
+      r.meanNpv,
+      r.sdNpv,
+      r.p10,
+      r.p50,
+      r.p90,
+      r.probLoss,
+      r.isControl ? "" : r.probBeatControl,
+      r.isControl ? "" : r.deltaP10,
+      r.isControl ? "" : r.deltaP50,
+      r.isControl ? "" : r.deltaP90
+    ];
+  }
+
+  function riskSettingsRows(res) {
+    const dist = (spec) =>
+      spec.type === "normal"
+        ? `normal (mean ${spec.mode}, sd ${spec.sd})`
+        : spec.type === "uniform"
+        ? `uniform (${spec.low} to ${spec.high})`
+        : `triangular (${spec.low}, ${spec.mode}, ${spec.high})`;
+    return [
+      ["Iterations", res.iterations],
+      ["Random seed", res.seed],
+      [
+        "Yield draws",
+        res.yieldMethod === "normal"
+          ? "Normal distribution fitted to replicate means"
+          : "Resampled replicate blocks (paired across treatments)"
+      ],
+      ["Grain price ($/t)", dist(res.price)],
+      ["Input cost level (% of dataset costs)", dist(res.cost)]
+    ];
+  }
+
+  function exportRiskCSV() {
+    const res = state.risk.results;
+    if (!res) {
+      showToast("Run the risk simulation before exporting it.", "error");
+      return;
+    }
+    const lines = [RISK_EXPORT_HEADERS.map(csvEscape).join(",")];
+    for (const r of res.treatments) {
+      lines.push(
+        riskExportRow(r)
+          .map((v) => {
+            if (typeof v !== "number") return v;
+            if (Number.isNaN(v)) return "";
+            return Number.isInteger(v) ? String(v) : v.toFixed(4);
+          })
+          .map(csvEscape)
+          .join(",")
+      );
+    }
+    lines.push("");
+    for (const row of riskSettingsRows(res)) {
+      lines.push(row.map(csvEscape).join(","));
+    }
+
+    const blob = new Blob([lines.join("\n")], {
+      type: "text/csv;charset=utf-8;"
+    });
+    downloadBlob(blob, "risk_simulation.csv");
+    showToast("Risk simulation results (CSV) downloaded.", "success");
+  }
+
+  // Replicate identifiers that appear in any treatment's paired deltas.
+  function replicateIds(treatments) {
+    const ids = new Set();
+    for (const t of treatments) {
+      for (const d of t.replicateDeltas || []) ids.add(d.replicate);
+    }
+    return Array.from(ids).sort((a, b) =>
+      a.localeCompare(b, undefined, { numeric: true })
+    );
+  }
+
+  function csvEscape(value) {
+    if (value === null || value === undefined) return "";
+    const s = String(value);
+    if (s.includes(",") || s.includes('"') || s.includes("\n")) {
+      return `"${s.replace(/"/g, '""')}"`;
+    }
+    return s;
+  }
+
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    setTimeout(() => {
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    }, 0);
+  }
+
+  function exportWorkbook() {
+    if (!window.XLSX) {
+      showToast("Excel library not available.", "error");
+      return;
+    }
+    if (!state.headers.length || !state.rows.length) {
+      showToast("No dataset loaded for workbook export.", "error");
+      return;
+    }
+    const wb = XLSX.utils.book_new();
+
+    // Sheet 1: Cleaned dataset, with the adjustment marks when plots have
+    // been excluded or corrected
+    const marks = adjustmentMarks();
+    const dataSheetAoA = [state.headers.concat(marks ? ADJUSTMENT_EXPORT_HEADERS : [])];
+    for (const [i, row] of state.rows.entries()) {
+      dataSheetAoA.push(
+        state.headers
+          .map((h) => (row[h] === undefined || row[h] === null ? "" : row[h]))
+          .concat(marks ? marks[i] : [])
+      );
+    }
+    const wsData = XLSX.utils.aoa_to_sheet(dataSheetAoA);
+    XLSX.utils.book_append_sheet(wb, wsData, "Dataset");
+
+    // Sheet 2: Treatment summary
+    const { treatments } = state.results;
+    if (treatments && treatments.length) {
+      const summaryAoA = [
+        [
+          "Treatment name",
+          "Is control",
+          "Average yield (t per ha)",
+          "Average variable cost (per ha)",
+          "Average capital cost (per ha)",
+          "Total benefits over time (discounted)",
+          "Total costs over time (discounted)",
+          "Net profit over time",
+          "Benefit per dollar spent",
+          "Return on investment (percent)",
+          "Rank",
+          "Difference in net profit vs control",
+          "Difference in total cost vs control",
+          "Difference in net profit vs pooled control mean",
+          "Difference in net profit vs same-replicate control (average)",
+          "Replicates better than control",
+          ...INVESTMENT_METRIC_EXPORT_HEADERS,
+          ...BREAK_EVEN_EXPORT_HEADERS,
+          ...SIGNIFICANCE_EXPORT_HEADERS
+        ]
+      ];
+
+      for (const t of treatments) {
+        summaryAoA.push([
+          t.name,
+          t.isControl ? "TRUE" : "FALSE",
+          Number.isNaN(t.avgYield) ? "" : t.avgYield,
+          Number.isNaN(t.avgVarCost) ? "" : t.avgVarCost,
+          Number.isNaN(t.avgCapCost) ? "" : t.avgCapCost,
+          Number.isNaN(t.pvBenefits) ? "" : t.pvBenefits,
+          Number.isNaN(t.pvTotalCosts) ? "" : t.pvTotalCosts,
+          Number.isNaN(t.npv) ? "" : t.npv,
+          Number.isNaN(t.bcr) ? "" : t.bcr,
+          Number.isNaN(t.roi) ? "" : t.roi,
+          t.rank,
+          Number.isNaN(t.deltaNpv) ? "" : t.deltaNpv,
+          Number.isNaN(t.deltaPvCosts) ? "" : t.deltaPvCosts,
+          Number.isNaN(t.pooledDeltaNpv) ? "" : t.pooledDeltaNpv,
+          Number.isNaN(t.replicateDeltaNpv) ? "" : t.replicateDeltaNpv,
+          `${t.replicatesBetter} of ${t.replicateDeltas.length}`,
+          ...INVESTMENT_METRIC_KEYS.map((key) => investmentMetricExportValue(t, key)),
+          ...breakEvenExportValues(t),
+          ...significanceExportValues(t)
+        ]);
+      }
+
+      const wsSummary = XLSX.utils.aoa_to_sheet(summaryAoA);
+      XLSX.utils.book_append_sheet(wb, wsSummary, "Treatment summary");
+    }
+
+    // Sheet 3: Comparison to control
+    const compAoA = [];
+    const indicators = comparisonIndicators();
+
+    if (treatments && treatments.length) {
+      const control = treatments.find((t) => t.isControl) || treatments[0];
+      const nonControl = treatments.filter((t) => !t.isControl);
+      const ordered = [control, ...nonControl];
+
+      const headerRow = ["What is measured"];
+      for (const t of ordered) {
+        headerRow.push(t.isControl ? "Control (baseline)" : t.name);
+      }
+      compAoA.push(headerRow);
+
+      for (const ind of indicators) {
+        if (ind.key === "replicateDeltas") continue;
+        const row = [ind.label];
+        for (const t of ordered) {
+          const r = treatments.find((x) => x.name === t.name);
+          let v = "";
+          if (ind.key === "pvBenefits") v = r.pvBenefits;
+          else if (ind.key === "pvTotalCosts") v = r.pvTotalCosts;
+          else if (ind.key === "npv") v = r.npv;
+          else if (ind.key === "bcr") v = r.bcr;
+          else if (ind.key === "roi") v = r.roi;
+          else if (ind.key === "rank") v = r.rank;
+          else if (ind.key === "deltaNpv") v = r.deltaNpv;
+          else if (ind.key === "deltaPvCosts") v = r.deltaPvCosts;
+          else if (ind.key === "deltaNpvCi") {
+            v = r.isControl
+              ? ""
+              : formatInterval(r.deltaNpvCi, (x) => x.toFixed(2)).replace("–", "");
+          } else if (ind.key === "significance") v = significanceLabel(r);
+          else if (INVESTMENT_METRIC_KEYS.includes(ind.key)) {
+            v = investmentMetricExportValue(r, ind.key);
+          } else v = r[ind.key];
+          row.push(v);
+        }
+        compAoA.push(row);
+      }
+
+      for (const rep of replicateIds(treatments)) {
+        const row = [`Difference in net profit vs control, replicate ${rep}`];
+        for (const t of ordered) {
+          const d = t.replicateDeltas.find((x) => x.replicate === rep);
+          row.push(d ? d.deltaNpv : "");
+        }
+        compAoA.push(row);
+      }
+
+      const wsComp = XLSX.utils.aoa_to_sheet(compAoA);
+      XLSX.utils.book_append_sheet(wb, wsComp, "Comparison to control");
+    }
+
+    // Sheet 4: Sensitivity grid
+    const sensRows = state.sensitivity.rows;
+    if (sensRows.length) {
+      const sensAoA = [
+        [
+          "scenario_id",
+          "scenario_label",
+          "grain_price",
+          "discount_rate",
+          "horizon_years",
+          "persistence_years",
+          "treatment_name",
+          "is_control",
+          "npv",
+          "delta_npv_vs_control",
+          "bcr",
+          "roi",
+          "rank_in_scenario"
+        ]
+      ];
+      for (const r of sensRows) {
+        sensAoA.push([
+          r.scenarioId,
+          r.scenarioLabel,
+          r.price,
+          r.discountRate,
+          r.years,
+          r.persistenceYears,
+          r.name,
+          r.isControl ? "TRUE" : "FALSE",
+          Number.isNaN(r.npv) ? "" : r.npv,
+          Number.isNaN(r.deltaNpv) ? "" : r.deltaNpv,
+          Number.isNaN(r.bcr) ? "" : r.bcr,
+          Number.isNaN(r.roi) ? "" : r.roi,
+          r.rank
+        ]);
+      }
+      const wsSens = XLSX.utils.aoa_to_sheet(sensAoA);
+      XLSX.utils.book_append_sheet(wb, wsSens, "Sensitivity grid");
+    }
+
+    // Input price model, when costs are rebuilt from line items
+    if (state.inputPrices.enabled && state.costCategories.columns.length) {
+      const ip = state.inputPrices;
+      const priceAoA = [
+        [
+          "Line item",
+          "Category",
+          "Timing",
+          "Dataset value (average where used, per ha)",
+          "New value (per ha)",
+          "Item change (percent)",
+          "Category change (percent)",
+          "Value used (average where used, per ha)"
+        ]
+      ];
+      for (const c of state.costCategories.columns) {
+        if (c.category === EXCLUDED_COST_CATEGORY) continue;
+        const st = lineItemStats(c);
+        if (!st.nUsed) continue;
+        const item = ip.items[c.column] || {};
+        priceAoA.push([
+          c.column,
+          c.category,
+          ip.oneOffCategories.includes(c.category) ? "One-off at start" : "Every year",
+          st.datasetAvg,
+          item.value === undefined ? "" : item.value,
+          item.pct === undefined ? "" : item.pct,
+          ip.categoryPct[c.category] === undefined ? "" : ip.categoryPct[c.category],
+          st.editedAvg
+        ]);
+      }
+      const wsPrices = XLSX.utils.aoa_to_sheet(priceAoA);
+      XLSX.utils.book_append_sheet(wb, wsPrices, "Input prices");
+    }
+
+    // Capital asset settings and year-by-year outlays per ha
+    if (state.params.capitalAssets.enabled) {
+      const assets = capitalAssetRows();
+      if (assets.length) {
+        const years = Math.max(1, parseInt(state.params.years, 10) || 1);
+        const yearIdx = Array.from({ length: years + 1 }, (_, i) => i);
+        const assetAoA = [
+          [
+            "Asset",
+            "Purchase cost (per ha)",
+            "Purchase year",
+            "Useful life (years)",
+            "Salvage value (percent of cost)",
+            "Replaced at end of life",
+            "Annualised cost (per ha per year)",
+            ...yearIdx.map((i) => (i === 0 ? "Outlay at start" : `Outlay year ${i}`)),
+            "Value at end of horizon (per ha)"
+          ]
+        ];
+        for (const a of assets) {
+          assetAoA.push([
+            a.column,
+            a.cost,
+            a.rule.purchaseYear,
+            a.rule.life,
+            a.rule.salvagePct,
+            a.rule.replace ? "Yes" : "No",
+            a.annualised,
+            ...a.schedule.outlays,
+            a.schedule.residual
+          ]);
+        }
+        assetAoA.push([]);
+        assetAoA.push([
+          "Costing method",
+          state.params.capitalAssets.method === "annualised"
+            ? "Annualised equivalent cost"
+            : "Purchase and resale schedule"
+        ]);
+        const wsAssets = XLSX.utils.aoa_to_sheet(assetAoA);
+        XLSX.utils.book_append_sheet(wb, wsAssets, "Capital assets");
+      }
+    }
+
+    // Year-by-year cash flows per treatment
+    const cashAoA = [
+      [
+        "Treatment",
+        "Is control",
+        "Year",
+        "Share of yield benefit",
+        "Benefits (per ha)",
+        "Yearly costs (per ha)",
+        "Capital and upfront costs (per ha)",
+        "Net cash flow (per ha)",
+        "Discount factor",
+        "Discounted net (per ha)",
+        "Cumulative discounted net (per ha)"
+      ]
+    ];
+    for (const r of state.results.treatments) {
+      for (const cf of r.cashFlows || []) {
+        cashAoA.push([
+          r.name,
+          r.isControl ? "Yes" : "No",
+          cf.year,
+          cf.multiplier,
+          cf.benefits,
+          cf.variableCosts,
+          cf.capitalCosts,
+          cf.net,
+          cf.discountFactor,
+          cf.discountedNet,
+          cf.cumulativeDiscountedNet
+        ]);
+      }
+    }
+    const wsCash = XLSX.utils.aoa_to_sheet(cashAoA);
+    XLSX.utils.book_append_sheet(wb, wsCash, "Cash flows");
+
+    // Sheet 5: Risk simulation
+    const riskRes = state.risk.results;
+    if (riskRes) {
+      const riskAoA = [RISK_EXPORT_HEADERS.slice()];
+      for (const r of riskRes.treatments) {
+        riskAoA.push(riskExportRow(r).map((v) => (Number.isNaN(v) ? "" : v)));
+      }
+      riskAoA.push([]);
+      for (const row of riskSettingsRows(riskRes)) riskAoA.push(row);
+      const wsRisk = XLSX.utils.aoa_to_sheet(riskAoA);
+      XLSX.utils.book_append_sheet(wb, wsRisk, "Risk simulation");
+    }
+
+    // Financed cash flow per ha of each treatment that borrows
+    if (state.params.finance.enabled && state.results.treatments.length) {
+      const financeAoA = [
+        ["Financing settings"],
+        ...financeSettingsRows(),
+        [],
+        [
+          "Treatment",
+          "Loan per ha",
+          "Peak debt per ha",
+          "Total interest per ha",
+          "Largest cash shortfall vs control",
+          "Net profit before financing",
+          "Net profit after financing",
+          "Difference from control after financing"
+        ]
+      ];
+      const num = (x) => Number(x.toFixed(2));
+      for (const r of state.results.treatments) {
+        const f = r.finance;
+        financeAoA.push([
+          r.name,
+          num(f.loan),
+          num(f.peakDebt),
+          num(f.totalInterest),
+          num(f.largestShortfall),
+          num(r.npv),
+          num(r.npvAfterFinance),
+          r.isControl ? "" : num(r.deltaNpvAfterFinance)
+        ]);
+      }
+      for (const r of state.results.treatments.filter((t) => t.finance.loan > 0)) {
+        financeAoA.push([]);
+        financeAoA.push([`${r.name}: financed cash flow per ha`]);
+        financeAoA.push([
+          "Year",
+          "Net cash flow before financing",
+          "Loan drawn",
+          "Interest",
+          "Principal repaid",
+          "Net cash flow after financing",
+          "Difference from control",
+          "Cash position vs control",
+          "Loan balance"
+        ]);
+        for (const x of r.finance.rows) {
+          financeAoA.push([
+            x.year,
+            num(x.net),
+            num(x.draw),
+            num(x.interest),
+            num(x.principal),
+            num(x.financedNet),
+            num(x.difference),
+            num(x.cashPosition),
+            num(x.balance)
+          ]);
+        }
+      }
+      const wsFinance = XLSX.utils.aoa_to_sheet(financeAoA);
+      XLSX.utils.book_append_sheet(wb, wsFinance, "Financing");
+    }
+
+    // Whole-farm cash flow for the planned areas
+    if (state.farm.summary) {
+      const wsFarm = XLSX.utils.aoa_to_sheet([
+        FARM_EXPORT_HEADERS,
+        ...farmExportRows(),
+        [],
+        ...farmSettingsRows()
+      ]);
+      XLSX.utils.book_append_sheet(wb, wsFarm, "Whole farm");
+    }
+
+    // Partial budget of each treatment against the control
+    if (state.partialBudgets.length) {
+      const { control, years, discountRate } = state.results;
+      const budgetAoA = [
+        [
+          `Partial budgets against the control (${control.name}), AUD per hectare discounted over ${years} years at ${discountRate}% per year`
+        ]
+      ];
+      for (const b of state.partialBudgets) {
+        budgetAoA.push([]);
+        budgetAoA.push([b.name, "AUD per ha"]);
+        if (b.error) {
+          budgetAoA.push([b.error]);
+          continue;
+        }
+        for (const sec of PARTIAL_BUDGET_SECTIONS) {
+          budgetAoA.push([sec.label]);
+          for (const l of b[sec.key]) budgetAoA.push([`  ${l.label}`, Number(l.amount.toFixed(2))]);
+          if (sec.key === "reducedCosts") {
+            budgetAoA.push(["Total gains (A + B)", Number(b.gains.toFixed(2))]);
+          }
+        }
+        budgetAoA.push(["Total losses (C + D)", Number(b.losses.toFixed(2))]);
+        budgetAoA.push(["Net change in profit", Number(b.net.toFixed(2))]);
+      }
+      const wsBudget = XLSX.utils.aoa_to_sheet(budgetAoA);
+      wsBudget["!cols"] = [{ wch: 52 }, { wch: 14 }];
+      XLSX.utils.book_append_sheet(wb, wsBudget, "Partial budgets");
+    }
+
+    // Marginal analysis along the efficient frontier
+    if (state.marginal.rows.length) {
+      const wsMarginal = XLSX.utils.aoa_to_sheet([
+        MARGINAL_EXPORT_HEADERS,
+        ...marginalExportRows(),
+        [],
+        ["Minimum acceptable rate of return (%)", state.params.minimumReturnPct]
+      ]);
+      XLSX.utils.book_append_sheet(wb, wsMarginal, "Marginal analysis");
+    }
+
+    // Combined treatments against the sum of their parts
+    if (state.factorial.combinations.length) {
+      const num = (x) => (x === undefined || Number.isNaN(x) ? "" : x);
+      const combAoA = [
+        [
+          "Combined treatment",
+          "Components",
+          "Difference in net profit vs control",
+          "Sum of parts applied alone",
+          "Interaction in net profit",
+          "Interaction 95% CI low",
+          "Interaction 95% CI high",
+          "Interaction in yield (t/ha)",
+          "Interaction in costs over time",
+          "Gain over the best part alone",
+          "Does combining pay?"
+        ]
+      ];
+      for (const c of state.factorial.combinations) {
+        combAoA.push([
+          c.name,
+          c.parts.join(" + "),
+          num(c.effect.npv),
+          c.sumOfParts ? num(c.sumOfParts.npv) : "",
+          c.interaction ? num(c.interaction.npv) : "",
+          num(c.interactionCi[0]),
+          num(c.interactionCi[1]),
+          c.interaction ? num(c.interaction.yield) : "",
+          c.interaction ? num(c.interaction.cost) : "",
+          c.bestPart ? num(c.effect.npv - c.bestPart.npv) : "",
+          combiningVerdict(c).text
+        ]);
+      }
+      combAoA.push([]);
+      combAoA.push([
+        "Component",
+        "Yield vs control (t/ha)",
+        "Costs over time vs control",
+        "Net profit vs control",
+        "Estimated from"
+      ]);
+      for (const c of state.factorial.components) {
+        combAoA.push([
+          c.name,
+          c.effect ? num(c.effect.yield) : "",
+          c.effect ? num(c.effect.cost) : "",
+          c.effect ? num(c.effect.npv) : "",
+          c.source === "alone"
+            ? "Applied alone"
+            : c.source === "combination"
+            ? `${c.from.join("; ")}, less its other parts`
+            : "Not estimable"
+        ]);
+      }
+      const wsComb = XLSX.utils.aoa_to_sheet(combAoA);
+      XLSX.utils.book_append_sheet(wb, wsComb, "Combined treatments");
+    }
+
+    // Audit log of plot exclusions and corrections
+    if (state.adjustments.log.length) {
+      const wsAdjust = XLSX.utils.aoa_to_sheet([ADJUSTMENT_LOG_HEADERS, ...adjustmentLogRows()]);
+      XLSX.utils.book_append_sheet(wb, wsAdjust, "Plot adjustments");
+    }
+
+    XLSX.writeFile(wb, "faba_beans_cba_results.xlsx");
+    showToast("Excel workbook downloaded.", "success");
+  }
+
+  // =========================
+  // 6) DATA LOAD & COMMIT
+  // =========================
+
+  async function loadDefaultDataset() {
+    try {
+      const response = await fetch("faba_beans_trial_clean_named.tsv", {
+        cache: "no-cache"
+      });
+      if (!response.ok) {
+        throw new Error("Default dataset could not be fetched.");
+      }
+      const text = await response.text();
+      commitParsedData(text, "Default trial data loaded.");
+    } catch (err) {
+      console.error(err);
+      showToast(
+        "Could not load default dataset. You can still upload or paste data.",
+        "error"
+      );
+    }
+  }
+
+  function commitParsedData(text, successMessage) {
+    state.workbookImport = null;
+    commitTable(parseDelimitedText(text), text, successMessage);
+  }
+
+  // Load the chosen sheet of an uploaded workbook, keeping the workbook so
+  // another sheet or header row can be picked without uploading it again.
+  function commitWorkbookSheet(successMessage) {
+    const wi = state.workbookImport;
+    commitTable(
+      parseWorkbookSheet(wi.workbook, wi.sheetName, wi.headerRow),
+      "",
+      successMessage
+    );
+  }
+
+  function commitTable(parsed, rawText, successMessage) {
+    // Plot adjustments refer to rows of the previous dataset.
+    state.adjustments = Object.assign(state.adjustments, { plots: {}, log: [], effect: null });
+    state.rawText = rawText;
+    state.headers = parsed.headers;
+    state.rows = parsed.rows;
+    state.importReport = parsed.report;
+
+    restoreColumnMapping(state.headers);
+    state.columnMap = resolveColumnMap(state.headers);
+    computeCostBreakdown();
+    aggregateTreatments();
+    applyPendingControl();
+    renderAll();
+
+    if (successMessage) {
+      showToast(successMessage, "success");
+    }
+  }
+
+  // Column mappings are remembered per header signature, so the next upload
+  // of a file with the same columns picks up the same roles and units.
+  function readStoredColumnMappings() {
+    try {
+      const raw = window.localStorage.getItem(COLUMN_MAPPING_STORAGE_KEY);
+      const parsed = raw ? JSON.parse(raw) : {};
+      return parsed && typeof parsed === "object" ? parsed : {};
+    } catch (err) {
+      console.error(err);
+      return {};
+    }
+  }
+
+  function restoreColumnMapping(headers) {
+    const signature = headerSignature(headers);
+    const stored = readStoredColumnMappings()[signature];
+    state.columnMapping = {
+      signature,
+      roles: stored && stored.roles ? stored.roles : {},
+      units: stored && stored.units ? stored.units : {}
+    };
+  }
+
+  function storeColumnMapping() {
+    const cm = state.columnMapping;
+    if (!cm.signature) return;
+    const all = readStoredColumnMappings();
+    if (!Object.keys(cm.roles).length && !Object.keys(cm.units).length) {
+      delete all[cm.signature];
+    } else {
+      all[cm.signature] = { roles: cm.roles, units: cm.units };
+    }
+    try {
+      window.localStorage.setItem(COLUMN_MAPPING_STORAGE_KEY, JSON.stringify(all));
+    } catch (err) {
+      console.error(err);
+      showToast("The column mapping could not be saved in this browser's storage.", "error");
+    }
+  }
+
+  // The control from a shared link is only known to be valid once a dataset
+  // with that treatment is loaded; it is applied to the first such dataset.
+  function applyPendingControl() {
+    const name = state.pendingControl;
+    if (!name || !state.treatments.some((t) => t.name === name && !t.baseName)) return;
+    state.controlName = name;
+    for (const t of state.treatments) t.isControl = t.name === name;
+    state.pendingControl = null;
+  }
+
+  function buildUrlState() {
+    const query = new URLSearchParams();
+    for (const key of URL_NUMBER_PARAMS) query.set(key, String(state.params[key]));
+    if (state.controlName) query.set("control", state.controlName);
+    const activeTab = document.querySelector(".tab-button.active");
+    if (activeTab) query.set("tab", activeTab.getAttribute("data-tab"));
+    const filterSelect = document.getElementById("leaderboardFilter");
+    if (filterSelect && filterSelect.value) query.set("filter", filterSelect.value);
+    return query;
+  }
+
+  function shareableLink() {
+    const url = new URL(window.location.href);
+    url.hash = buildUrlState().toString();
+    return url.toString();
+  }
+
+  // replaceState rather than setting location.hash, so each change does not
+  // add a browser history entry.
+  function writeUrlState() {
+    try {
+      window.history.replaceState(null, "", `#${buildUrlState().toString()}`);
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  // Read settings from the page link on start-up. Values that do not parse
+  // are ignored, so a mangled link falls back to the defaults.
+  function readUrlState() {
+    const hash = window.location.hash.replace(/^#/, "");
+    if (!hash) return;
+    const query = new URLSearchParams(hash);
+
+    for (const key of URL_NUMBER_PARAMS) {
+      if (!query.has(key)) continue;
+      const value = parseNumber(query.get(key));
+      if (Number.isNaN(value) || value < 0) continue;
+      state.params[key] =
+        key === "years" || key === "persistenceYears"
+          ? Math.max(1, Math.round(value))
+          : value;
+      const input = document.getElementById(key);
+      if (input) input.value = state.params[key];
+    }
+
+    const control = query.get("control");
+    if (control) state.pendingControl = control;
+
+    const tab = query.get("tab");
+    const tabIds = Array.from(document.querySelectorAll(".tab-button")).map((btn) =>
+      btn.getAttribute("data-tab")
+    );
+    if (tab && tabIds.includes(tab)) {
+      activateTab(tab);
+    }
+
+    const filter = query.get("filter");
+    const filterSelect = document.getElementById("leaderboardFilter");
+    if (
+      filter &&
+      filterSelect &&
+      Array.from(filterSelect.options).some((o) => o.value === filter)
+    ) {
+      filterSelect.value = filter;
+    }
+  }
+
+  // Everything a saved scenario restores: the parameters, the chosen
+  // control, and the user's cost category and input price overrides.
+  function captureScenarioSettings() {
+    return JSON.parse(
+      JSON.stringify({
+        params: state.params,
+        controlName: state.controlName,
+        costCategoryOverrides: state.costCategories.overrides,
+        inputPrices: state.inputPrices
+      })
+    );
+  }
+
+  function applyScenarioSettings(settings) {
+    const copy = JSON.parse(JSON.stringify(settings));
+    state.params = Object.assign(JSON.parse(JSON.stringify(DEFAULT_PARAMS)), copy.params);
+    state.costCategories.overrides = copy.costCategoryOverrides || {};
+    if (copy.inputPrices) {
+      state.inputPrices = Object.assign(state.inputPrices, copy.inputPrices);
+    }
+    if (copy.controlName) state.controlName = copy.controlName;
+  }
+
+  function loadSavedScenarios() {
+    try {
+      const raw = window.localStorage.getItem(SCENARIO_STORAGE_KEY);
+      const parsed = raw ? JSON.parse(raw) : [];
+      state.scenarios.saved = Array.isArray(parsed) ? parsed : [];
+    } catch (err) {
+      console.error(err);
+      state.scenarios.saved = [];
+      showToast("Saved scenarios could not be read from this browser.", "error");
+    }
+  }
+
+  function storeSavedScenarios() {
+    try {
+      window.localStorage.setItem(
+        SCENARIO_STORAGE_KEY,
+        JSON.stringify(state.scenarios.saved)
+      );
+    } catch (err) {
+      console.error(err);
+      showToast("Scenarios could not be saved in this browser's storage.", "error");
+    }
+  }
+
+  // Run the CBA for each saved scenario in turn, then put the live settings
+  // back. Each scenario's own cost settings are applied, so the costs are
+  // re-aggregated for every run.
+  function runScenarioComparison(ids) {
+    const live = captureScenarioSettings();
+    const runs = [];
+    try {
+      for (const id of ids) {
+        const sc = state.scenarios.saved.find((x) => x.id === id);
+        if (!sc) continue;
+        applyScenarioSettings(sc.settings);
+        const control = state.controlName;
+        computeCostBreakdown();
+        aggregateTreatments();
+        if (control && state.treatments.some((t) => t.name === control)) {
+          state.controlName = control;
+        }
+        const results = runCBA(state.treatments, state.controlName, state.params, {
+          skipStats: true
+        });
+        if (results) runs.push({ id, name: sc.name, results });
+      }
+    } finally {
+      applyScenarioSettings(live);
+      computeCostBreakdown();
+      aggregateTreatments();
+      state.controlName = live.controlName;
+      for (const t of state.treatments) t.isControl = t.name === live.controlName;
+      computeAnalyses();
+    }
+    state.scenarios.comparison = { scenarios: runs };
+  }
+
+  // Difference in net profit vs control with and without the plot
+  // adjustments. Both versions are aggregated in turn, then the live one is
+  // aggregated again with the chosen control.
+  function computeAdjustmentEffect() {
+    const adj = state.adjustments;
+    adj.effect = null;
+    if (!Object.keys(adj.plots).length || !state.rows.length) return;
+
+    const control = state.controlName;
+    const live = adj.applied;
+    const run = (applied) => {
+      adj.applied = applied;
+      aggregateTreatments();
+      if (control && state.treatments.some((t) => t.name === control)) {
+        state.controlName = control;
+        for (const t of state.treatments) t.isControl = t.name === control;
+      }
+      return runCBA(state.treatments, state.controlName, state.params, { skipStats: true });
+    };
+    let withAdjustments = null;
+    let withoutAdjustments = null;
+    try {
+      withAdjustments = run(true);
+      withoutAdjustments = run(false);
+    } finally {
+      run(live);
+    }
+    if (!withAdjustments || !withoutAdjustments) return;
+
+    const deltaOf = (results, name) => {
+      const r = results.treatments.find((x) => x.name === name);
+      return r ? r.deltaNpv : NaN;
+    };
+    const names = withoutAdjustments.treatments
+      .filter((r) => !r.isControl)
+      .map((r) => r.name);
+    adj.effect = names.map((name) => ({
+      name,
+      withAdjustments: deltaOf(withAdjustments, name),
+      withoutAdjustments: deltaOf(withoutAdjustments, name)
+    }));
+  }
+
+  // Recompute the cost breakdown and treatment averages after a change to
+  // the cost categories or input prices, keeping the chosen control.
+  function refreshCosts() {
+    if (!state.rows.length) return;
+    const chosenControl = state.controlName;
+    computeCostBreakdown();
+    aggregateTreatments();
+    if (chosenControl && state.treatments.some((t) => t.name === chosenControl)) {
+      state.controlName = chosenControl;
+      for (const t of state.treatments) t.isControl = t.name === chosenControl;
+    }
+    renderAll();
+  }
+
+  // =========================
+  // 7) UI WIRING
+  // =========================
+
+  function activateTab(tabId) {
+    document.querySelectorAll(".tab-button").forEach((btn) => {
+      btn.classList.toggle("active", btn.getAttribute("data-tab") === tabId);
+    });
+    document.querySelectorAll(".tab-panel").forEach((panel) => {
+      panel.classList.toggle("active", panel.id === tabId);
+    });
+  }
+
+  function onTabClick(event) {
+    const tabId = event.currentTarget.getAttribute("data-tab");
+    if (!tabId) return;
+    activateTab(tabId);
+    writeUrlState();
+  }
+
+  function onApplyScenario() {
+    const priceInput = document.getElementById("pricePerTonne");
+    const yearsInput = document.getElementById("years");
+    const persInput = document.getElementById("persistenceYears");
+    const discInput = document.getElementById("discountRate");
+    const controlSelect = document.getElementById("controlChoice");
+
+    if (priceInput) {
+      state.params.pricePerTonne = parseNumber(priceInput.value) || 0;
+    }
+    if (yearsInput) {
+      state.params.years = parseInt(yearsInput.value, 10) || 1;
+    }
+    if (persInput) {
+      state.params.persistenceYears =
+        parseInt(persInput.value, 10) || state.params.years;
+    }
+    if (discInput) {
+      state.params.discountRate = parseNumber(discInput.value) || 0;
+    }
+    const reinvestInput = document.getElementById("reinvestmentRate");
+    if (reinvestInput) {
+      const v = parseNumber(reinvestInput.value);
+      state.params.reinvestmentRate = Number.isNaN(v)
+        ? state.params.discountRate
+        : v;
+    }
+    const minimumInput = document.getElementById("minimumReturnPct");
+    if (minimumInput) {
+      const v = parseNumber(minimumInput.value);
+      if (!Number.isNaN(v) && v >= 0) state.params.minimumReturnPct = v;
+    }
+    if (controlSelect && controlSelect.value) {
+      state.controlName = controlSelect.value;
+    }
+    const modeSelect = document.getElementById("comparisonMode");
+    if (modeSelect && modeSelect.value) {
+      state.params.comparisonMode = modeSelect.value;
+    }
+    readResponseProfileInputs();
+
+    renderAll();
+    writeUrlState();
+    showToast("Scenario settings updated.", "success");
+  }
+
+  function readResponseProfileInputs() {
+    const profile = state.params.responseProfile;
+    const typeSelect = document.getElementById("responseProfile");
+    const halfLifeInput = document.getElementById("responseHalfLife");
+    const customInput = document.getElementById("responseCustom");
+    if (typeSelect && typeSelect.value) profile.type = typeSelect.value;
+    if (halfLifeInput) {
+      const h = parseNumber(halfLifeInput.value);
+      if (h > 0) profile.halfLife = h;
+    }
+    if (customInput) {
+      // Repeated values are meaningful here, so the list is not de-duplicated.
+      profile.custom = String(customInput.value || "")
+        .split(/[\s,;]+/)
+        .map(parseNumber)
+        .filter((x) => !Number.isNaN(x))
+        .map((x) => Math.max(0, x));
+    }
+    if (profile.type === "custom" && !profile.custom.length) {
+      showToast(
+        "Enter at least one yearly multiplier for the custom response profile.",
+        "error"
+      );
+    }
+    const halfLifeField = document.getElementById("responseHalfLifeField");
+    const customField = document.getElementById("responseCustomField");
+    if (halfLifeField) halfLifeField.hidden = profile.type !== "exponential";
+    if (customField) customField.hidden = profile.type !== "custom";
+  }
+
+  function readSensitivityInputs() {
+    const sens = state.sensitivity;
+    const modeSelect = document.getElementById("sensitivityMode");
+    if (modeSelect && modeSelect.value) sens.mode = modeSelect.value;
+    for (const p of SENSITIVITY_PARAMS) {
+      const input = document.getElementById(`sens_${p.key}`);
+      if (!input) continue;
+      let values = parseValueList(input.value);
+      if (p.key !== "pricePerTonne" && p.key !== "discountRate") {
+        values = values.map((v) => Math.round(v)).filter((v) => v >= 1);
+      } else {
+        values = values.filter((v) => v >= 0);
+      }
+      sens.grid[p.key] = Array.from(new Set(values));
+    }
+  }
+
+  function onRunSensitivity() {
+    readSensitivityInputs();
+    runSensitivity();
+    renderSensitivity();
+    buildAiBriefingPrompt();
+    const n = state.sensitivity.scenarios.length;
+    if (n >= MAX_SENSITIVITY_SCENARIOS) {
+      showToast(
+        `Sensitivity grid limited to the first ${MAX_SENSITIVITY_SCENARIOS} scenarios.`,
+        "info"
+      );
+    } else {
+      showToast(`Sensitivity grid updated (${n} scenarios).`, "success");
+    }
+  }
+
+  // Centre a fresh grid on the current scenario settings.
+  function onResetSensitivityGrid() {
+    const p = state.params;
+    const price = parseNumber(p.pricePerTonne) || 0;
+    const rate = parseNumber(p.discountRate) || 0;
+    const years = parseInt(p.years, 10) || 1;
+    const pers = parseInt(p.persistenceYears, 10) || years;
+
+    state.sensitivity.grid = {
+      pricePerTonne: [0.7, 0.85, 1, 1.15, 1.3].map((f) => Math.round(price * f)),
+      discountRate: [rate - 2, rate, rate + 2, rate + 4].filter((r) => r >= 0),
+      persistenceYears: Array.from(
+        new Set([Math.max(1, Math.round(pers / 2)), pers, pers + 5])
+      ),
+      years: Array.from(new Set([Math.max(1, years - 5), years, years + 5]))
+    };
+    renderSensitivityInputs();
+    onRunSensitivity();
+  }
+
+  // Re-read the dataset with the new mapping. The control is re-detected,
+  // since a new treatment or control column can change it.
+  function applyColumnMapping() {
+    storeColumnMapping();
+    state.columnMap = resolveColumnMap(state.headers);
+    refreshCosts();
+  }
+
+  function onColumnRoleChange(event) {
+    const role = event.currentTarget.getAttribute("data-column-role");
+    const value = event.currentTarget.value;
+    const auto = detectColumnMap(state.headers);
+    if ((auto[role] || "") === value) {
+      delete state.columnMapping.roles[role];
+    } else {
+      state.columnMapping.roles[role] = value;
+    }
+    applyColumnMapping();
+  }
+
+  function onColumnUnitChange(event) {
+    const key = event.currentTarget.getAttribute("data-column-unit");
+    const units = state.columnMapping.units;
+    units[key] =
+      key === "plotAreaM2"
+        ? parseNumber(event.currentTarget.value)
+        : event.currentTarget.value;
+    const detected = detectColumnUnits(resolveColumnMap(state.headers));
+    if (key === "plotAreaM2" ? !(units[key] > 0) : units[key] === detected[key]) {
+      delete units[key];
+    }
+    applyColumnMapping();
+  }
+
+  function onResetColumnMapping() {
+    state.columnMapping.roles = {};
+    state.columnMapping.units = {};
+    applyColumnMapping();
+    showToast("Column mapping reset to automatic detection.", "success");
+  }
+
+  function onCostCategoryChange(event) {
+    const input = event.currentTarget;
+    const column = input.getAttribute("data-column");
+    const value = input.value.trim();
+    const cc = state.costCategories;
+    const col = cc.columns.find((c) => c.column === column);
+    if (!col) return;
+
+    if (!value || (value === col.defaultCategory && !col.autoExcluded)) {
+      delete cc.overrides[column];
+    } else {
+      cc.overrides[column] = value;
+    }
+    refreshCosts();
+  }
+
+  function onInputPriceChange() {
+    const ip = state.inputPrices;
+    const basisSelect = document.getElementById("costBasis");
+    if (basisSelect) ip.enabled = basisSelect.value === "lineItems";
+
+    document.querySelectorAll("[data-category-timing]").forEach((el) => {
+      const cat = el.getAttribute("data-category-timing");
+      const others = ip.oneOffCategories.filter((c) => c !== cat);
+      ip.oneOffCategories = el.value === "oneOff" ? [...others, cat] : others;
+    });
+    document.querySelectorAll("[data-category-pct]").forEach((el) => {
+      const cat = el.getAttribute("data-category-pct");
+      const pct = parseNumber(el.value);
+      if (Number.isNaN(pct) || pct === 0) delete ip.categoryPct[cat];
+      else ip.categoryPct[cat] = pct;
+    });
+    const items = {};
+    document.querySelectorAll("[data-item-value]").forEach((el) => {
+      const v = parseNumber(el.value);
+      if (!Number.isNaN(v) && v >= 0) {
+        items[el.getAttribute("data-item-value")] = { value: v };
+      }
+    });
+    document.querySelectorAll("[data-item-pct]").forEach((el) => {
+      const col = el.getAttribute("data-item-pct");
+      const pct = parseNumber(el.value);
+      if (!Number.isNaN(pct) && pct !== 0) {
+        items[col] = Object.assign(items[col] || {}, { pct });
+      }
+    });
+    ip.items = items;
+
+    refreshCosts();
+  }
 
-    if (treatments && treatments.length) {
-      const control = treatments.find((t) => t.isControl) || treatments[0];
-      const nonControl = treatments.filter((t) => !t.isControl);
-      const ordered = [control, ...nonControl];
+  function onCapitalAssetChange() {
+    const capitalParams = state.params.capitalAssets;
+    const methodSelect = document.getElementById("capitalMethod");
+    if (methodSelect) {
+      capitalParams.enabled = methodSelect.value !== "off";
+      if (capitalParams.enabled) capitalParams.method = methodSelect.value;
+    }
 
-      const headerRow = ["What is measured"];
-      for (const t of ordered) {
-        headerRow.push(t.isControl ? "Control (baseline)" : t.name);
+    const assets = {};
+    document.querySelectorAll("#capitalAssetTable [data-asset]").forEach((el) => {
+      const column = el.getAttribute("data-asset");
+      const field = el.getAttribute("data-asset-field");
+      if (!assets[column]) assets[column] = {};
+      if (field === "replace") {
+        assets[column].replace = el.checked;
+        return;
       }
-      compAoA.push(headerRow);
+      const v = parseNumber(el.value);
+      if (Number.isNaN(v) || v < 0) return;
+      if (field === "life") assets[column].life = Math.max(1, Math.round(v));
+      else if (field === "purchaseYear") assets[column].purchaseYear = Math.round(v);
+      else if (field === "salvagePct") assets[column].salvagePct = Math.min(100, v);
+    });
+    if (Object.keys(assets).length) capitalParams.assets = assets;
 
-      for (const ind of indicators) {
-        const row = [ind.label];
-        for (const t of ordered) {
-          const r = treatments.find((x) => x.name === t.name);
-          let v = "";
-          if (ind.key === "pvBenefits") v = r.pvBenefits;
-          else if (ind.key === "pvTotalCosts") v = r.pvTotalCosts;
-          else if (ind.key === "npv") v = r.npv;
-          else if (ind.key === "bcr") v = r.bcr;
-          else if (ind.key === "roi") v = r.roi;
-          else if (ind.key === "rank") v = r.rank;
-          else if (ind.key === "deltaNpv") v = r.deltaNpv;
-          else if (ind.key === "deltaPvCosts") v = r.deltaPvCosts;
-          row.push(v);
-        }
-        compAoA.push(row);
-      }
+    refreshCosts();
+  }
 
-      const wsComp = XLSX.utils.aoa_to_sheet(compAoA);
-      XLSX.utils.book_append_sheet(wb, wsComp, "Comparison to control");
-    }
+  function onQualityPricingChange() {
+    const qp = state.params.qualityPricing;
+    const num = (id, fallback) => {
+      const el = document.getElementById(id);
+      const v = el ? parseNumber(el.value) : NaN;
+      return Number.isNaN(v) || v < 0 ? fallback : v;
+    };
+    const modeSelect = document.getElementById("qualityPricing");
+    if (modeSelect) qp.enabled = modeSelect.value === "on";
+    const standardise = document.getElementById("qualityStandardise");
+    if (standardise) qp.standardise = standardise.checked;
+    qp.basisMoisture = Math.min(99, num("qualityBasisMoisture", qp.basisMoisture));
+    qp.moistureLimit = num("qualityMoistureLimit", qp.moistureLimit);
+    qp.shrinkPctPerPoint = num("qualityShrink", qp.shrinkPctPerPoint);
+    qp.dryingPctPerPoint = num("qualityDrying", qp.dryingPctPerPoint);
+
+    document.querySelectorAll("#proteinBands [data-band]").forEach((el) => {
+      const band = qp.proteinBands[parseInt(el.getAttribute("data-band"), 10)];
+      const v = parseNumber(el.value);
+      if (!band || Number.isNaN(v)) return;
+      if (el.getAttribute("data-band-field") === "min") band.min = Math.max(0, v);
+      else band.pct = Math.max(-100, v);
+    });
+    qp.proteinBands.sort((a, b) => a.min - b.min);
+    refreshCosts();
+  }
 
-    XLSX.writeFile(wb, "faba_beans_cba_results.xlsx");
-    showToast("Excel workbook downloaded.", "success");
+  function onFinanceChange() {
+    const fin = state.params.finance;
+    const value = (id) => {
+      const el = document.getElementById(id);
+      return el ? el.value : "";
+    };
+    const num = (id, fallback) => {
+      const v = parseNumber(value(id));
+      return Number.isNaN(v) || v < 0 ? fallback : v;
+    };
+    fin.enabled = value("financeEnabled") === "on";
+    fin.basis = value("financeBasis") === "amount" ? "amount" : "share";
+    fin.sharePct = Math.min(100, num("financeShare", fin.sharePct));
+    fin.amountPerHa = num("financeAmount", fin.amountPerHa);
+    fin.ratePct = num("financeRate", fin.ratePct);
+    fin.termYears = Math.max(1, Math.round(num("financeTerm", fin.termYears)));
+    fin.repayment = value("financeRepayment") === "interestOnly" ? "interestOnly" : "principalInterest";
+    renderAll();
   }
 
-  // =========================
-  // 6) DATA LOAD & COMMIT
-  // =========================
+  function onFarmChange() {
+    const farm = state.params.farm;
+    const area = parseNumber((document.getElementById("farmCroppedArea") || {}).value);
+    if (!Number.isNaN(area) && area > 0) farm.croppedArea = area;
+    const rampInput = document.getElementById("farmRamp");
+    if (rampInput) {
+      const ramp = parseValueList(rampInput.value).filter((x) => x >= 0);
+      if (rampDecreases(ramp)) {
+        showToast(
+          "The adoption ramp is cumulative, so each value must be at least the one before it. The previous ramp is kept.",
+          "error"
+        );
+      } else {
+        farm.ramp = ramp.length ? ramp : [100];
+      }
+    }
+    const areas = {};
+    document.querySelectorAll("#farmAreas [data-farm-area]").forEach((el) => {
+      const v = parseNumber(el.value);
+      if (!Number.isNaN(v) && v > 0) areas[el.getAttribute("data-farm-area")] = v;
+    });
+    farm.areas = areas;
+    computeFarmScaling();
+    renderFarm();
+    renderFarmChart();
+    buildAiBriefingPrompt();
+  }
 
-  async function loadDefaultDataset() {
+  // Print the partial budget card on its own; the print styles hide the
+  // rest of the page while the class is on the body.
+  function onPrintPartialBudget() {
+    if (!state.partialBudgets.length) {
+      showToast("No partial budget to print yet.", "error");
+      return;
+    }
+    document.body.classList.add("printing-partial-budget");
     try {
-      const response = await fetch("faba_beans_trial_clean_named.tsv", {
-        cache: "no-cache"
-      });
-      if (!response.ok) {
-        throw new Error("Default dataset could not be fetched.");
-      }
-      const text = await response.text();
-      commitParsedData(text, "Default trial data loaded.");
-    } catch (err) {
-      console.error(err);
-      showToast(
-        "Could not load default dataset. You can still upload or paste data.",
-        "error"
-      );
+      window.print();
+    } finally {
+      document.body.classList.remove("printing-partial-budget");
     }
   }
 
-  function commitParsedData(text, successMessage) {
-    const parsed = parseDelimitedText(text);
-    state.rawText = text;
-    state.headers = parsed.headers;
-    state.rows = parsed.rows;
+  // Only corrections are stored; clearing a component or picking the
+  // automatic match goes back to the automatic match.
+  function onComponentDictionaryChange(event) {
+    const el = event.currentTarget;
+    const token = el.getAttribute("data-component-token");
+    const entry = state.factorial.dictionary.find((d) => d.token === token);
+    const value = el.value.trim();
+    const overrides = state.params.componentDictionary;
+    if (!value || (entry && value === entry.auto)) delete overrides[token];
+    else overrides[token] = value;
+    computeFactorialDecomposition();
+    renderCombining();
+    renderCombiningChart();
+    buildAiBriefingPrompt();
+  }
 
-    aggregateTreatments();
-    computeCBA();
-    renderAll();
+  function onResetComponentDictionary() {
+    state.params.componentDictionary = {};
+    computeFactorialDecomposition();
+    renderCombining();
+    renderCombiningChart();
+    buildAiBriefingPrompt();
+  }
 
-    if (successMessage) {
-      showToast(successMessage, "success");
+  function onBiomassStreamChange() {
+    const bs = state.params.biomassStreams;
+    const num = (id, fallback, max = Infinity) => {
+      const el = document.getElementById(id);
+      const v = el ? parseNumber(el.value) : NaN;
+      return Number.isNaN(v) || v < 0 ? fallback : Math.min(max, v);
+    };
+    const checked = (id, fallback) => {
+      const el = document.getElementById(id);
+      return el ? el.checked : fallback;
+    };
+    bs.grazing.enabled = checked("grazingEnabled", bs.grazing.enabled);
+    bs.grazing.utilisationPct = num("grazingUtilisation", bs.grazing.utilisationPct, 100);
+    bs.grazing.valuePerTonne = num("grazingValue", bs.grazing.valuePerTonne);
+    bs.nitrogen.enabled = checked("nitrogenEnabled", bs.nitrogen.enabled);
+    bs.nitrogen.kgPerTonne = num("nitrogenPerTonne", bs.nitrogen.kgPerTonne);
+    bs.nitrogen.availablePct = num("nitrogenAvailable", bs.nitrogen.availablePct, 100);
+    bs.nitrogen.pricePerKg = num("nitrogenPrice", bs.nitrogen.pricePerKg);
+    bs.hay.enabled = checked("hayEnabled", bs.hay.enabled);
+    bs.hay.baledPct = num("hayBaled", bs.hay.baledPct, 100);
+    bs.hay.netValuePerTonne = num("hayValue", bs.hay.netValuePerTonne);
+    refreshCosts();
+  }
+
+  function onAddProteinBand() {
+    const bands = state.params.qualityPricing.proteinBands;
+    const top = bands.length ? bands[bands.length - 1].min : 0;
+    bands.push({ min: top + 2, pct: 0 });
+    refreshCosts();
+  }
+
+  function onRemoveProteinBand(event) {
+    const idx = parseInt(event.currentTarget.getAttribute("data-band-remove"), 10);
+    state.params.qualityPricing.proteinBands.splice(idx, 1);
+    refreshCosts();
+  }
+
+  // Every exclusion or correction needs a reason, and is written to the
+  // audit log with the value before and after.
+  function onPlotAdjustmentChange(event) {
+    const el = event.currentTarget;
+    const field = el.hasAttribute("data-adjust-exclude")
+      ? "excluded"
+      : el.hasAttribute("data-adjust-yield")
+      ? "yield"
+      : "cost";
+    const index = parseInt(
+      el.getAttribute(field === "excluded" ? "data-adjust-exclude" : `data-adjust-${field}`),
+      10
+    );
+    const reasonInput = document.querySelector(`[data-adjust-reason="${index}"]`);
+    const reason = reasonInput ? reasonInput.value.trim() : "";
+    const adj = state.adjustments;
+    if (!reason) {
+      showToast("Enter a reason before excluding or correcting a plot.", "error");
+      renderPlotReview();
+      return;
+    }
+
+    const row = state.rows[index];
+    const cm = state.columnMap || {};
+    const plot = Object.assign({}, adj.plots[index]);
+    const entry = {
+      at: new Date().toISOString(),
+      row: index + 1,
+      plotId: cm.plotId ? String(row[cm.plotId] ?? "") : "",
+      treatment: cm.treatmentName ? String(row[cm.treatmentName] ?? "") : "",
+      field,
+      reason
+    };
+
+    if (field === "excluded") {
+      plot.excluded = el.checked;
+      entry.action = el.checked ? "exclude" : "include";
+    } else {
+      const value = el.value.trim() === "" ? undefined : parseNumber(el.value);
+      if (value !== undefined && (Number.isNaN(value) || value < 0)) {
+        showToast("Corrected values must be zero or more.", "error");
+        renderPlotReview();
+        return;
+      }
+      entry.action = "correct";
+      entry.from = plot[field] !== undefined ? plot[field] : "";
+      entry.to = value !== undefined ? value : "";
+      if (value === undefined) delete plot[field];
+      else plot[field] = value;
+    }
+    plot.reason = reason;
+    if (!plot.excluded && plot.yield === undefined && plot.cost === undefined) {
+      delete adj.plots[index];
+    } else {
+      adj.plots[index] = plot;
     }
+    adj.log.push(entry);
+    refreshCosts();
   }
 
-  // =========================
-  // 7) UI WIRING
-  // =========================
+  function onApplyAdjustmentsChange(event) {
+    state.adjustments.applied = event.currentTarget.checked;
+    refreshCosts();
+  }
 
-  function onTabClick(event) {
-    const button = event.currentTarget;
-    const tabId = button.getAttribute("data-tab");
-    if (!tabId) return;
+  function onPlotReviewViewChange(event) {
+    state.adjustments.view = event.currentTarget.value;
+    renderPlotReview();
+  }
 
-    document.querySelectorAll(".tab-button").forEach((btn) => {
-      btn.classList.toggle("active", btn === button);
+  function onReapplicationChange() {
+    const rules = state.params.reapplication.rules;
+    document.querySelectorAll("#reapplicationRules [data-rule]").forEach((el) => {
+      const rule = rules[parseInt(el.getAttribute("data-rule"), 10)];
+      if (!rule) return;
+      const field = el.getAttribute("data-rule-field");
+      if (field === "treatment" || field === "mode") {
+        rule[field] = el.value;
+      } else if (field === "ratePct") {
+        const v = parseNumber(el.value);
+        if (!Number.isNaN(v) && v >= 0) rule.ratePct = v;
+      }
     });
-    document.querySelectorAll(".tab-panel").forEach((panel) => {
-      panel.classList.toggle("active", panel.id === tabId);
+    // The interval or year list is read after the mode so it is parsed the
+    // way the row now asks for.
+    document
+      .querySelectorAll('#reapplicationRules [data-rule-field="when"]')
+      .forEach((el) => {
+        const rule = rules[parseInt(el.getAttribute("data-rule"), 10)];
+        if (!rule) return;
+        const values = parseValueList(el.value)
+          .map((v) => Math.round(v))
+          .filter((v) => v >= 1);
+        if (!values.length) {
+          showToast("Enter a reapplication interval or years of at least 1.", "error");
+          return;
+        }
+        if (rule.mode === "years") rule.years = values.sort((a, b) => a - b);
+        else rule.interval = values[0];
+      });
+    refreshCosts();
+  }
+
+  function onAddReapplicationRule() {
+    const candidates = state.treatments.filter(
+      (t) => !t.reapplication && t.name !== state.controlName
+    );
+    if (!candidates.length) {
+      showToast("Load a dataset with treatments before adding a rule.", "error");
+      return;
+    }
+    // Start with the treatment that has the largest upfront cost, which is
+    // usually the one worth topping up.
+    const first = candidates.reduce((a, b) =>
+      (parseNumber(b.avgCapCost) || 0) > (parseNumber(a.avgCapCost) || 0) ? b : a
+    );
+    state.params.reapplication.rules.push({
+      treatment: first.name,
+      mode: "interval",
+      interval: 4,
+      years: [4, 8],
+      ratePct: 100
     });
+    refreshCosts();
   }
 
-  function onApplyScenario() {
-    const priceInput = document.getElementById("pricePerTonne");
-    const yearsInput = document.getElementById("years");
-    const persInput = document.getElementById("persistenceYears");
-    const discInput = document.getElementById("discountRate");
-    const controlSelect = document.getElementById("controlChoice");
+  function onSaveScenario() {
+    const nameInput = document.getElementById("scenarioName");
+    const name = nameInput && nameInput.value.trim();
+    if (!name) {
+      showToast("Give the scenario a name before saving.", "error");
+      return;
+    }
+    state.scenarios.saved.push({
+      id: `sc-${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`,
+      name,
+      savedAt: new Date().toISOString(),
+      settings: captureScenarioSettings()
+    });
+    storeSavedScenarios();
+    if (nameInput) nameInput.value = "";
+    renderScenarioList();
+    showToast(`Scenario "${escapeHtml(name)}" saved.`, "success");
+  }
 
-    if (priceInput) {
-      state.params.pricePerTonne = parseNumber(priceInput.value) || 0;
+  function onScenarioSelectChange(event) {
+    const id = event.target.getAttribute("data-scenario-select");
+    const others = state.scenarios.selected.filter((x) => x !== id);
+    state.scenarios.selected = event.target.checked ? [...others, id] : others;
+  }
+
+  function onScenarioRename(event) {
+    const id = event.target.getAttribute("data-scenario-name");
+    const sc = state.scenarios.saved.find((x) => x.id === id);
+    const name = event.target.value.trim();
+    if (!sc) return;
+    if (!name) {
+      event.target.value = sc.name;
+      showToast("Scenario names cannot be blank.", "error");
+      return;
     }
-    if (yearsInput) {
-      state.params.years = parseInt(yearsInput.value, 10) || 1;
+    sc.name = name;
+    storeSavedScenarios();
+    if (state.scenarios.comparison) {
+      for (const run of state.scenarios.comparison.scenarios) {
+        if (run.id === id) run.name = name;
+      }
+      renderScenarioComparison();
     }
-    if (persInput) {
-      state.params.persistenceYears =
-        parseInt(persInput.value, 10) || state.params.years;
+  }
+
+  function onScenarioAction(event) {
+    const id = event.target.getAttribute("data-scenario-id");
+    const action = event.target.getAttribute("data-scenario-action");
+    const saved = state.scenarios.saved;
+    const idx = saved.findIndex((x) => x.id === id);
+    if (idx < 0) return;
+    const sc = saved[idx];
+
+    if (action === "load") {
+      applyScenarioSettings(sc.settings);
+      syncScenarioInputs();
+      refreshCosts();
+      writeUrlState();
+      showToast(`Scenario "${escapeHtml(sc.name)}" loaded.`, "success");
+      return;
     }
-    if (discInput) {
-      state.params.discountRate = parseNumber(discInput.value) || 0;
+    if (action === "duplicate") {
+      saved.splice(idx + 1, 0, {
+        id: `${sc.id}-copy-${Date.now().toString(36)}`,
+        name: `${sc.name} (copy)`,
+        savedAt: new Date().toISOString(),
+        settings: JSON.parse(JSON.stringify(sc.settings))
+      });
+    } else if (action === "delete") {
+      saved.splice(idx, 1);
+      state.scenarios.selected = state.scenarios.selected.filter((x) => x !== id);
+      showToast(`Scenario "${escapeHtml(sc.name)}" deleted.`, "info");
     }
-    if (controlSelect && controlSelect.value) {
-      state.controlName = controlSelect.value;
+    storeSavedScenarios();
+    renderScenarioList();
+  }
+
+  function onCompareScenarios() {
+    const ids = state.scenarios.saved
+      .map((x) => x.id)
+      .filter((id) => state.scenarios.selected.includes(id));
+    if (!ids.length) {
+      showToast("Tick at least one saved scenario to compare.", "error");
+      return;
+    }
+    if (!state.rows.length) {
+      showToast("Load a dataset before comparing scenarios.", "error");
+      return;
     }
+    runScenarioComparison(ids);
+    renderScenarioComparison();
+  }
 
-    computeCBA();
-    renderAll();
-    showToast("Scenario settings updated.", "success");
+  function onExportScenarios() {
+    if (!state.scenarios.saved.length) {
+      showToast("There are no saved scenarios to export.", "error");
+      return;
+    }
+    const blob = new Blob(
+      [JSON.stringify({ version: 1, scenarios: state.scenarios.saved }, null, 2)],
+      { type: "application/json;charset=utf-8;" }
+    );
+    downloadBlob(blob, "cba_scenarios.json");
+    showToast("Saved scenarios (JSON) downloaded.", "success");
+  }
+
+  function onImportScenarios(event) {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const parsed = JSON.parse(String(e.target.result));
+        const list = Array.isArray(parsed) ? parsed : parsed.scenarios;
+        const valid = (list || []).filter(
+          (sc) => sc && typeof sc.name === "string" && sc.settings && sc.settings.params
+        );
+        if (!valid.length) {
+          showToast("No scenarios found in that file.", "error");
+          return;
+        }
+        const names = new Set(state.scenarios.saved.map((x) => x.name));
+        const ids = new Set(state.scenarios.saved.map((x) => x.id));
+        for (const sc of valid) {
+          const name = names.has(sc.name) ? `${sc.name} (imported)` : sc.name;
+          const id =
+            sc.id && !ids.has(sc.id)
+              ? sc.id
+              : `sc-${Date.now().toString(36)}-${ids.size}`;
+          state.scenarios.saved.push({
+            id,
+            name,
+            savedAt: sc.savedAt || new Date().toISOString(),
+            settings: sc.settings
+          });
+          names.add(name);
+          ids.add(id);
+        }
+        storeSavedScenarios();
+        renderScenarioList();
+        showToast(`${valid.length} scenario${valid.length === 1 ? "" : "s"} imported.`, "success");
+      } catch (err) {
+        console.error(err);
+        showToast("Could not read that scenario file. Check it is valid JSON.", "error");
+      } finally {
+        event.target.value = "";
+      }
+    };
+    reader.readAsText(file);
+  }
+
+  // Write the current parameters back into the Data and settings inputs,
+  // for example after loading a saved scenario.
+  function syncScenarioInputs() {
+    const p = state.params;
+    const set = (id, value) => {
+      const el = document.getElementById(id);
+      if (el && value !== undefined && value !== null) el.value = value;
+    };
+    set("pricePerTonne", p.pricePerTonne);
+    set("years", p.years);
+    set("persistenceYears", p.persistenceYears);
+    set("discountRate", p.discountRate);
+    set("reinvestmentRate", p.reinvestmentRate);
+    set("minimumReturnPct", p.minimumReturnPct);
+    set("comparisonMode", p.comparisonMode);
+    set("responseProfile", p.responseProfile.type);
+    set("responseHalfLife", p.responseProfile.halfLife);
+    set("responseCustom", p.responseProfile.custom.join(", "));
+    const halfLifeField = document.getElementById("responseHalfLifeField");
+    const customField = document.getElementById("responseCustomField");
+    if (halfLifeField) halfLifeField.hidden = p.responseProfile.type !== "exponential";
+    if (customField) customField.hidden = p.responseProfile.type !== "custom";
+  }
+
+  function onResetInputPrices() {
+    const ip = state.inputPrices;
+    ip.categoryPct = {};
+    ip.items = {};
+    refreshCosts();
+    showToast("Input prices reset to the dataset values.", "success");
+  }
+
+  function onResetCostCategories() {
+    state.costCategories.overrides = {};
+    refreshCosts();
+    showToast("Cost categories reset to automatic grouping.", "success");
+  }
+
+  function readRiskInputs() {
+    const risk = state.risk;
+    const num = (id, fallback) => {
+      const el = document.getElementById(id);
+      if (!el) return fallback;
+      const x = parseNumber(el.value);
+      return Number.isNaN(x) ? fallback : x;
+    };
+    risk.iterations = Math.round(num("riskIterations", risk.iterations));
+    risk.seed = Math.round(num("riskSeed", risk.seed));
+    const methodSelect = document.getElementById("riskYieldMethod");
+    if (methodSelect && methodSelect.value) risk.yieldMethod = methodSelect.value;
+
+    for (const [prefix, spec] of [
+      ["riskPrice", risk.price],
+      ["riskCost", risk.cost]
+    ]) {
+      const typeSelect = document.getElementById(`${prefix}_type`);
+      if (typeSelect && typeSelect.value) spec.type = typeSelect.value;
+      for (const f of ["low", "mode", "high", "sd"]) {
+        spec[f] = num(`${prefix}_${f}`, spec[f]);
+      }
+      if (spec.low > spec.high) [spec.low, spec.high] = [spec.high, spec.low];
+      spec.mode = Math.min(spec.high, Math.max(spec.low, spec.mode));
+      spec.sd = Math.max(0, spec.sd);
+    }
+  }
+
+  function onRunRiskSimulation() {
+    readRiskInputs();
+    renderRiskInputs();
+    runRiskSimulation();
+    renderRisk();
+    buildAiBriefingPrompt();
+    if (state.risk.results) {
+      showToast(
+        `Risk simulation finished (${state.risk.results.iterations} iterations).`,
+        "success"
+      );
+    } else {
+      showToast("Load a dataset before running the risk simulation.", "error");
+    }
   }
 
   function onFileInputChange(event) {
     const file = event.target.files && event.target.files[0];
     if (!file) return;
+    if (/\.(xlsx|xlsm|xls|ods)$/i.test(file.name)) {
+      readWorkbookFile(file);
+      return;
+    }
 
     const reader = new FileReader();
     reader.onload = (e) => {
@@ -1353,6 +9641,69 @@
     reader.readAsText(file);
   }
 
+  function readWorkbookFile(file) {
+    if (!window.XLSX) {
+      showToast("Excel library not available, so workbooks cannot be read.", "error");
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const workbook = XLSX.read(new Uint8Array(e.target.result), {
+          type: "array",
+          cellDates: true
+        });
+        if (!workbook.SheetNames.length) throw new Error("Workbook has no sheets.");
+        // A workbook from this tool's own export keeps its data on "Dataset".
+        const sheetName = workbook.SheetNames.includes("Dataset")
+          ? "Dataset"
+          : workbook.SheetNames[0];
+        const aoa = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], {
+          header: 1,
+          defval: ""
+        });
+        state.workbookImport = {
+          fileName: file.name,
+          workbook,
+          sheetName,
+          headerRow: detectHeaderRow(aoa)
+        };
+        commitWorkbookSheet(`Sheet "${escapeHtml(sheetName)}" of ${escapeHtml(file.name)} loaded.`);
+      } catch (err) {
+        console.error(err);
+        state.workbookImport = null;
+        renderWorkbookOptions();
+        showToast("Could not read the workbook. Check it is an Excel or OpenDocument file.", "error");
+      }
+    };
+    reader.readAsArrayBuffer(file);
+  }
+
+  function onWorkbookOptionChange() {
+    const wi = state.workbookImport;
+    if (!wi) return;
+    const sheetSelect = document.getElementById("workbookSheet");
+    const headerInput = document.getElementById("workbookHeaderRow");
+    const previous = { sheetName: wi.sheetName, headerRow: wi.headerRow };
+    if (sheetSelect && sheetSelect.value !== wi.sheetName) {
+      wi.sheetName = sheetSelect.value;
+      wi.headerRow = detectHeaderRow(
+        XLSX.utils.sheet_to_json(wi.workbook.Sheets[wi.sheetName], { header: 1, defval: "" })
+      );
+    } else if (headerInput) {
+      const row = parseInt(headerInput.value, 10);
+      if (row >= 1) wi.headerRow = row;
+    }
+    try {
+      commitWorkbookSheet(`Sheet "${escapeHtml(wi.sheetName)}" loaded.`);
+    } catch (err) {
+      console.error(err);
+      Object.assign(wi, previous);
+      renderWorkbookOptions();
+      showToast(`${escapeHtml(err.message)} The previous sheet is still loaded.`, "error");
+    }
+  }
+
   function onLoadPastedClick() {
     const ta = document.getElementById("pasteInput");
     if (!ta) return;
@@ -1375,6 +9726,21 @@
 
   function onLeaderboardFilterChange() {
     renderLeaderboard();
+    writeUrlState();
+  }
+
+  async function onCopyScenarioLink() {
+    const link = shareableLink();
+    writeUrlState();
+    try {
+      await navigator.clipboard.writeText(link);
+      showToast("Link to this scenario copied.", "success");
+    } catch (_) {
+      showToast(
+        "Could not copy. Copy the address from the browser's address bar instead.",
+        "error"
+      );
+    }
   }
 
   function onCopyAiBriefing() {
@@ -1401,6 +9767,13 @@
     const fileInput = document.getElementById("fileInput");
     if (fileInput) fileInput.addEventListener("change", onFileInputChange);
 
+    const workbookSheet = document.getElementById("workbookSheet");
+    if (workbookSheet) workbookSheet.addEventListener("change", onWorkbookOptionChange);
+
+    const workbookHeaderRow = document.getElementById("workbookHeaderRow");
+    if (workbookHeaderRow)
+      workbookHeaderRow.addEventListener("change", onWorkbookOptionChange);
+
     const btnLoadPasted = document.getElementById("btnLoadPasted");
     if (btnLoadPasted)
       btnLoadPasted.addEventListener("click", onLoadPastedClick);
@@ -1429,6 +9802,115 @@
     if (btnWorkbook)
       btnWorkbook.addEventListener("click", exportWorkbook);
 
+    const btnSensitivity = document.getElementById("btnExportSensitivity");
+    if (btnSensitivity)
+      btnSensitivity.addEventListener("click", exportSensitivityCSV);
+
+    const btnRunSens = document.getElementById("btnRunSensitivity");
+    if (btnRunSens) btnRunSens.addEventListener("click", onRunSensitivity);
+
+    const btnResetSens = document.getElementById("btnResetSensitivity");
+    if (btnResetSens)
+      btnResetSens.addEventListener("click", onResetSensitivityGrid);
+
+    const winnerAxis = document.getElementById("sensitivityWinnerAxis");
+    if (winnerAxis)
+      winnerAxis.addEventListener("change", renderSensitivityWinnersChart);
+
+    [
+      "qualityPricing",
+      "qualityStandardise",
+      "qualityBasisMoisture",
+      "qualityMoistureLimit",
+      "qualityShrink",
+      "qualityDrying"
+    ].forEach((id) => {
+      const el = document.getElementById(id);
+      if (el) el.addEventListener("change", onQualityPricingChange);
+    });
+
+    [
+      "grazingEnabled",
+      "grazingUtilisation",
+      "grazingValue",
+      "nitrogenEnabled",
+      "nitrogenPerTonne",
+      "nitrogenAvailable",
+      "nitrogenPrice",
+      "hayEnabled",
+      "hayBaled",
+      "hayValue"
+    ].forEach((id) => {
+      const el = document.getElementById(id);
+      if (el) el.addEventListener("change", onBiomassStreamChange);
+    });
+
+    const btnResetComponents = document.getElementById("btnResetComponentDictionary");
+    if (btnResetComponents)
+      btnResetComponents.addEventListener("click", onResetComponentDictionary);
+
+    const btnAddBand = document.getElementById("btnAddProteinBand");
+    if (btnAddBand) btnAddBand.addEventListener("click", onAddProteinBand);
+
+    const applyAdjustments = document.getElementById("applyAdjustments");
+    if (applyAdjustments)
+      applyAdjustments.addEventListener("change", onApplyAdjustmentsChange);
+
+    const plotReviewView = document.getElementById("plotReviewView");
+    if (plotReviewView)
+      plotReviewView.addEventListener("change", onPlotReviewViewChange);
+
+    const btnMarginal = document.getElementById("btnExportMarginal");
+    if (btnMarginal) btnMarginal.addEventListener("click", exportMarginalAnalysisCSV);
+
+    const btnAdjustmentLog = document.getElementById("btnExportAdjustmentLog");
+    if (btnAdjustmentLog)
+      btnAdjustmentLog.addEventListener("click", exportAdjustmentLogCSV);
+
+    const btnResetMapping = document.getElementById("btnResetColumnMapping");
+    if (btnResetMapping)
+      btnResetMapping.addEventListener("click", onResetColumnMapping);
+
+    const btnResetCost = document.getElementById("btnResetCostCategories");
+    if (btnResetCost)
+      btnResetCost.addEventListener("click", onResetCostCategories);
+
+    const costBasis = document.getElementById("costBasis");
+    if (costBasis) costBasis.addEventListener("change", onInputPriceChange);
+
+    const btnCopyLink = document.getElementById("btnCopyScenarioLink");
+    if (btnCopyLink) btnCopyLink.addEventListener("click", onCopyScenarioLink);
+
+    const btnSaveScenario = document.getElementById("btnSaveScenario");
+    if (btnSaveScenario) btnSaveScenario.addEventListener("click", onSaveScenario);
+
+    const btnCompareScenarios = document.getElementById("btnCompareScenarios");
+    if (btnCompareScenarios)
+      btnCompareScenarios.addEventListener("click", onCompareScenarios);
+
+    const btnExportScenarios = document.getElementById("btnExportScenarios");
+    if (btnExportScenarios)
+      btnExportScenarios.addEventListener("click", onExportScenarios);
+
+    const scenarioFile = document.getElementById("scenarioFileInput");
+    if (scenarioFile) scenarioFile.addEventListener("change", onImportScenarios);
+
+    const btnAddRule = document.getElementById("btnAddReapplication");
+    if (btnAddRule) btnAddRule.addEventListener("click", onAddReapplicationRule);
+
+    const capitalMethod = document.getElementById("capitalMethod");
+    if (capitalMethod) capitalMethod.addEventListener("change", onCapitalAssetChange);
+
+    const btnResetPrices = document.getElementById("btnResetInputPrices");
+    if (btnResetPrices)
+      btnResetPrices.addEventListener("click", onResetInputPrices);
+
+    const btnRisk = document.getElementById("btnExportRisk");
+    if (btnRisk) btnRisk.addEventListener("click", exportRiskCSV);
+
+    const btnRunRisk = document.getElementById("btnRunRisk");
+    if (btnRunRisk) btnRunRisk.addEventListener("click", onRunRiskSimulation);
+
     const btnCopyAi = document.getElementById("btnCopyAiBriefing");
     if (btnCopyAi)
       btnCopyAi.addEventListener("click", onCopyAiBriefing);
@@ -1450,21 +9932,103 @@
       discInput.addEventListener("change", onApplyScenario);
     if (controlSelect)
       controlSelect.addEventListener("change", onApplyScenario);
+    const modeSelect = document.getElementById("comparisonMode");
+    if (modeSelect)
+      modeSelect.addEventListener("change", onApplyScenario);
+    [
+      "reinvestmentRate",
+      "minimumReturnPct",
+      "responseProfile",
+      "responseHalfLife",
+      "responseCustom"
+    ].forEach((id) => {
+      const el = document.getElementById(id);
+      if (el) el.addEventListener("change", onApplyScenario);
+    });
+
+    [
+      "financeEnabled",
+      "financeBasis",
+      "financeShare",
+      "financeAmount",
+      "financeRate",
+      "financeTerm",
+      "financeRepayment"
+    ].forEach((id) => {
+      const el = document.getElementById(id);
+      if (el) el.addEventListener("change", onFinanceChange);
+    });
+    const financeSelect = document.getElementById("financeTreatment");
+    if (financeSelect) financeSelect.addEventListener("change", renderFinance);
+
+    ["farmCroppedArea", "farmRamp"].forEach((id) => {
+      const el = document.getElementById(id);
+      if (el) el.addEventListener("change", onFarmChange);
+    });
+    ["btnExportFarm", "btnExportFarmCashFlow"].forEach((id) => {
+      const el = document.getElementById(id);
+      if (el) el.addEventListener("click", exportFarmCSV);
+    });
+
+    const budgetSelect = document.getElementById("partialBudgetTreatment");
+    if (budgetSelect) budgetSelect.addEventListener("change", renderPartialBudget);
+    const btnPrintBudget = document.getElementById("btnPrintPartialBudget");
+    if (btnPrintBudget) btnPrintBudget.addEventListener("click", onPrintPartialBudget);
+
+    const cashFlowSelect = document.getElementById("cashFlowTreatment");
+    if (cashFlowSelect)
+      cashFlowSelect.addEventListener("change", renderCashFlowTable);
   }
 
   function renderAll() {
     renderOverview();
     renderDataSummaryAndChecks();
+    renderImportReport();
+    renderWorkbookOptions();
     renderControlChoice();
-    computeCBA();
+    renderColumnMappingEditor();
+    renderCostCategoryEditor();
+    renderInputPriceEditor();
+    renderCapitalAssetEditor();
+    renderReapplicationEditor();
+    renderQualityPricingEditor();
+    renderBiomassStreamEditor();
+    computeAdjustmentEffect();
+    renderPlotReview();
+    computeAnalyses();
     renderLeaderboard();
     renderComparisonTable();
+    renderBreakEven();
+    renderCostBreakdownTable();
+    renderPartialBudget();
+    renderCashFlowTable();
     renderCharts();
+    renderCostCategoryChart();
+    renderCumulativeNetChart();
+    renderMarginalAnalysis();
+    renderMarginalChart();
+    renderFarm();
+    renderFarmChart();
+    renderFinance();
+    renderCombining();
+    renderCombiningChart();
+    runSensitivity();
+    renderSensitivity();
+    // The simulation is slow, so it only reruns when asked; until then an
+    // existing one is marked out of date.
+    if (state.risk.results) state.risk.stale = true;
+    renderRisk();
     buildAiBriefingPrompt();
   }
 
   document.addEventListener("DOMContentLoaded", () => {
     attachEventListeners();
+    renderSensitivityInputs();
+    renderRiskInputs();
+    readUrlState();
+    loadSavedScenarios();
+    renderScenarioList();
+    renderScenarioComparison();
     loadDefaultDataset();
   });
 })();